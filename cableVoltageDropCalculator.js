@@ -0,0 +1,503 @@
+// cableVoltageDropCalculator.js
+
+import { getField, fieldIdOf } from './fieldHelpers.js';
+import { toComputeUnits, fromComputeUnits } from './units.js';
+import { validateInputs } from './validation.js';
+import { formatFieldValue } from './formatting.js';
+import { given, derived } from './derivation.js';
+import { debounce } from './debounce.js';
+
+// --- Conductor Tables ---
+// Typical data per size as [size, R copper, R aluminium, X]; null where the size is not made in that
+// material. Metric: IEC 60228 class 2 DC resistance at 20 °C and the reactance of a multicore cable at
+// 50 Hz, in Ω/km. AWG/kcmil: NEC Chapter 9 Table 8 DC resistance at 75 °C and Table 9 reactance at
+// 60 Hz (PVC conduit), in Ω/kft. Vendor data for the installed cable should be preferred.
+const OHM_PER_KFT = 1 / 0.3048; // Ω/kft -> Ω/km
+
+const CONDUCTOR_TABLES = {
+    metric: {
+        referenceTemperature: 20,
+        frequency: 50,
+        perKm: 1,
+        rows: [
+            ['1.5', 12.1, null, 0.118], ['2.5', 7.41, null, 0.109], ['4', 4.61, null, 0.101], ['6', 3.08, null, 0.0955],
+            ['10', 1.83, 3.08, 0.0861], ['16', 1.15, 1.91, 0.0817], ['25', 0.727, 1.20, 0.0813], ['35', 0.524, 0.868, 0.0783],
+            ['50', 0.387, 0.641, 0.0779], ['70', 0.268, 0.443, 0.0751], ['95', 0.193, 0.320, 0.0762], ['120', 0.153, 0.253, 0.0740],
+            ['150', 0.124, 0.206, 0.0745], ['185', 0.0991, 0.164, 0.0742], ['240', 0.0754, 0.125, 0.0752], ['300', 0.0601, 0.100, 0.0750],
+            ['400', 0.0470, 0.0778, 0.0742], ['500', 0.0366, 0.0605, 0.0740], ['630', 0.0283, 0.0469, 0.0735]
+        ]
+    },
+    awg: {
+        referenceTemperature: 75,
+        frequency: 60,
+        perKm: OHM_PER_KFT,
+        rows: [
+            ['14', 3.14, null, 0.058], ['12', 1.98, 3.25, 0.054], ['10', 1.24, 2.04, 0.050], ['8', 0.778, 1.28, 0.052],
+            ['6', 0.491, 0.808, 0.051], ['4', 0.308, 0.508, 0.048], ['3', 0.245, 0.403, 0.047], ['2', 0.194, 0.319, 0.045],
+            ['1', 0.154, 0.253, 0.046], ['1/0', 0.122, 0.201, 0.044], ['2/0', 0.0967, 0.159, 0.043], ['3/0', 0.0766, 0.126, 0.042],
+            ['4/0', 0.0608, 0.100, 0.041], ['250', 0.0515, 0.0847, 0.041], ['300', 0.0429, 0.0707, 0.041], ['350', 0.0367, 0.0605, 0.040],
+            ['400', 0.0321, 0.0529, 0.040], ['500', 0.0258, 0.0424, 0.039], ['600', 0.0214, 0.0353, 0.039], ['750', 0.0171, 0.0282, 0.038],
+            ['1000', 0.0129, 0.0212, 0.037]
+        ]
+    }
+};
+
+// Temperature coefficient of resistance at 20 °C [1/°C].
+const MATERIALS = {
+    cu: { name: 'copper', alpha: 0.00393 },
+    al: { name: 'aluminium', alpha: 0.00403 }
+};
+
+// AWG sizes up to 4/0; larger sizes are in kcmil.
+function sizeLabel(standard, size) {
+    if (standard === 'metric') return `${size} mm²`;
+    return size.includes('/') || Number(size) <= 40 ? `${size} AWG` : `${size} kcmil`;
+}
+
+// The blank first option leaves the size to compute(): the smallest in the conductor data.
+const sizeOptions = (standard, sizes = CONDUCTOR_TABLES[standard].rows.map(([size]) => size)) =>
+    [{ value: '', text: 'Smallest available' }, ...sizes.map(size => ({ value: size, text: sizeLabel(standard, size) }))];
+
+// --- Conductor Data Parsing ---
+// One size per line (or separated by ';'): "<size>, <R at 20 °C Ω/km>, <X Ω/km>", the size written as in
+// the size list ("95", "4/0", "250"). X is taken at the system frequency. Returned from the largest
+// resistance (smallest size) down, the order in which sizes are tried for the target drop.
+function parseConductorTable(text, standard) {
+    const conductors = [];
+    const errors = [];
+    String(text || '').split(/[\n;]/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*/, '').trim();
+        if (line === '') return;
+        const parts = line.split(/[,\t]/).map(part => part.trim());
+        const size = (parts[0] || '').replace(/\s*(mm²|mm2|awg|kcmil)$/i, '');
+        const [r, x] = parts.slice(1).map(Number);
+        const label = `Conductor data line ${index + 1} ("${line}")`;
+        if (parts.length !== 3 || size === '' || isNaN(r) || isNaN(x)) errors.push(`${label}: expected "<size>, <R at 20 °C Ω/km>, <X Ω/km>".`);
+        else if (r <= 0) errors.push(`${label}: R must be greater than zero.`);
+        else if (x < 0) errors.push(`${label}: X must not be negative.`);
+        else conductors.push({ size, label: sizeLabel(standard, size), r, x, referenceTemperature: 20, frequency: null });
+    });
+    if (errors.length === 0 && conductors.length === 0) errors.push('The conductor data needs at least one size.');
+    conductors.sort((a, b) => b.r - a.r);
+    return { conductors, errors };
+}
+
+// The built-in sizes of a standard that are made in the material, in Ω/km.
+function typicalConductors(standard, material) {
+    const table = CONDUCTOR_TABLES[standard];
+    return table.rows.filter(row => row[material === 'al' ? 2 : 1] !== null).map(([size, rCu, rAl, x]) => ({
+        size,
+        label: sizeLabel(standard, size),
+        r: (material === 'al' ? rAl : rCu) * table.perKm,
+        x: x * table.perKm,
+        referenceTemperature: table.referenceTemperature,
+        frequency: table.frequency
+    }));
+}
+
+// --- Calculator Definition ---
+const cableVoltageDropCalculator = {
+    // 1. METADATA
+    id: 'cable-voltage-drop',
+    title: 'Cable Voltage Drop & Sizing',
+    description: 'Voltage drop, losses and the smallest conductor size that meets a target drop for a single- or three-phase feeder. Enter the voltage as in the 3-Phase Power Calculator (EITHER Line-to-Line or Line-to-Neutral) and the load as a current or as kW with its power factor. Sizing covers voltage drop only; check ampacity and short-circuit rating separately.',
+
+    // 2. FIELD DEFINITIONS
+    fields: [
+        {
+            id: 'system-type',
+            label: 'System:',
+            type: 'select',
+            options: [
+                { value: 'three-phase', text: 'Three-phase (3 or 4 wire)' },
+                { value: 'single-phase', text: 'Single-phase (2 wire)' }
+            ]
+        },
+        { id: 'voltage-ll', label: 'Line-to-Line Voltage (V<sub>L-L</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 400', attributes: { step: 'any', min: '0' }, validation: { exclusiveMin: 0 } },
+        { id: 'voltage-ln', label: 'Line-to-Neutral Voltage (V<sub>L-N</sub>) (Optional):', unit: 'V', type: 'number', placeholder: 'e.g., 230', attributes: { step: 'any', min: '0' }, validation: { exclusiveMin: 0 } },
+        {
+            id: 'load-input',
+            label: 'Load Given As:',
+            type: 'select',
+            options: [
+                { value: 'current', text: 'Line current' },
+                { value: 'power', text: 'Real power (kW) and power factor' }
+            ]
+        },
+        { id: 'load-current', label: 'Load Current (I) [A]:', type: 'number', quantity: 'current', placeholder: 'e.g., 150', attributes: { step: 'any', min: '0' }, validation: { required: true, exclusiveMin: 0, when: { 'load-input': 'current' } } },
+        { id: 'load-power', label: 'Load Real Power (P):', unit: 'kW', type: 'number', placeholder: 'e.g., 90', attributes: { step: 'any', min: '0' }, validation: { required: true, exclusiveMin: 0, when: { 'load-input': 'power' } } },
+        { id: 'power-factor', label: 'Load Power Factor (PF, lagging):', type: 'number', quantity: 'power-factor', value: '0.9', placeholder: 'e.g., 0.9', attributes: { step: 'any', min: '0', max: '1' }, validation: { required: true, exclusiveMin: 0, max: 1 } },
+        // Conductor
+        { isSeparator: true },
+        {
+            id: 'conductor-material',
+            label: 'Conductor Material:',
+            type: 'select',
+            options: [
+                { value: 'cu', text: 'Copper (Cu)' },
+                { value: 'al', text: 'Aluminium (Al)' }
+            ]
+        },
+        {
+            id: 'size-standard',
+            label: 'Conductor Sizes:',
+            type: 'select',
+            options: [
+                { value: 'metric', text: 'Metric (mm²)' },
+                { value: 'awg', text: 'AWG / kcmil' }
+            ]
+        },
+        { id: 'size-mm2', label: 'Cross-Section:', type: 'select', options: sizeOptions('metric'), validation: { when: { 'size-standard': 'metric' } } },
+        { id: 'size-awg', label: 'Conductor Size:', type: 'select', options: sizeOptions('awg'), validation: { when: { 'size-standard': 'awg' } } },
+        {
+            id: 'conductor-data',
+            label: 'Conductor R/X Data:',
+            type: 'select',
+            options: [
+                { value: 'typical', text: 'Typical values (built-in table)' },
+                { value: 'custom', text: 'Custom / vendor table' }
+            ]
+        },
+        {
+            id: 'custom-table',
+            label: 'Conductor Data (one per line: size, R at 20 °C [Ω/km], X [Ω/km] at the system frequency):',
+            type: 'textarea',
+            placeholder: '70, 0.268, 0.075\n95, 0.193, 0.075\n120, 0.153, 0.074',
+            attributes: { rows: '6' }
+        },
+        { id: 'parallel-runs', label: 'Parallel Runs per Phase:', type: 'number', value: '1', attributes: { step: '1', min: '1' }, validation: { required: true, integer: true, min: 1 } },
+        { id: 'length', label: 'Cable Length (one way):', unit: 'm', type: 'number', placeholder: 'e.g., 120', attributes: { step: 'any', min: '0' }, validation: { required: true, exclusiveMin: 0 } },
+        { id: 'temperature', label: 'Conductor Operating Temperature [°C]:', type: 'number', value: '75', placeholder: 'e.g., 75', attributes: { step: 'any' }, validation: { required: true, min: -50 } },
+        { id: 'frequency', label: 'System Frequency [Hz]:', type: 'number', placeholder: 'Blank: 50 for mm², 60 for AWG', attributes: { step: 'any', min: '0' }, validation: { exclusiveMin: 0 } },
+        { id: 'target-drop', label: 'Target Maximum Voltage Drop [%]:', type: 'number', value: '3', placeholder: 'e.g., 3', attributes: { step: 'any', min: '0', max: '100' }, validation: { required: true, exclusiveMin: 0, max: 100 } },
+        // Outputs
+        { isSeparator: true },
+        { id: 'line-current', label: 'Line Current (I) [A]:', type: 'number', quantity: 'current', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'resistance-operating', label: 'Conductor Resistance at Operating Temperature [Ω/km]:', type: 'number', format: { significant: 4 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'reactance-operating', label: 'Conductor Reactance at System Frequency [Ω/km]:', type: 'number', format: { significant: 4 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'voltage-drop', label: 'Voltage Drop (ΔV):', unit: 'V', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'voltage-drop-percent', label: 'Voltage Drop [%]:', type: 'number', format: { decimals: 2 }, placeholder: 'Calculated', attributes: { readonly: true, style: 'font-weight: bold; color: #0056b3;' } },
+        { id: 'receiving-voltage', label: 'Voltage at the Load:', unit: 'V', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'conductor-losses', label: 'Conductor Losses (P<sub>loss</sub>):', unit: 'kW', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'minimum-size', label: 'Smallest Size Meeting the Target Drop:', type: 'text', placeholder: 'Calculated', attributes: { readonly: true } }
+    ],
+
+    // 3. COMPUTE LOGIC (DOM-free)
+    // Inputs are keyed by field id; voltages in V, 'load-power' in kW, 'length' in m. As in the 3-Phase
+    // Power Calculator, three-phase voltage is carried as V_LL (entered, or √3 · V_LN) and
+    // P = √3 · V_LL · I · PF; the drop ΔV = √3 · I · L / n · (R cosφ + X sinφ) is line-to-line.
+    // Single-phase circuits use the 2-wire loop, ΔV = 2 · I · L / n · (R cosφ + X sinφ), on V_LN when
+    // entered (a line-to-neutral load), else on V_LL. R is corrected from the table temperature to the
+    // operating temperature and X scaled to the system frequency ('frequency' blank: the table's own,
+    // 50 Hz metric and 60 Hz AWG). A blank size is the smallest in the data. Losses are in kW; 'minimum-size'
+    // is the first size (in table order) whose drop is within 'target-drop'. Also returns `steps`.
+    compute(inputs) {
+        const SQRT3 = Math.sqrt(3);
+        const outputs = {};
+        const errors = [];
+        const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+        // --- Input Validation ---
+        const validation = validateInputs(cableVoltageDropCalculator, inputs);
+        if (!validation.valid) return { outputs, errors: validation.errors };
+        const threePhase = (inputs['system-type'] || 'three-phase') === 'three-phase';
+        const powerMode = (inputs['load-input'] || 'current') === 'power';
+        const standard = inputs['size-standard'] === 'awg' ? 'awg' : 'metric';
+        const materialKey = inputs['conductor-material'] === 'al' ? 'al' : 'cu';
+        const material = MATERIALS[materialKey];
+
+        const vll = isBlank(inputs['voltage-ll']) ? undefined : parseFloat(inputs['voltage-ll']);
+        const vln = isBlank(inputs['voltage-ln']) ? undefined : parseFloat(inputs['voltage-ln']);
+        if (vll !== undefined && vln !== undefined) {
+            errors.push('Please provide EITHER Line-to-Line OR Line-to-Neutral voltage, not both.');
+            return { outputs, errors };
+        }
+        if (vll === undefined && vln === undefined) {
+            errors.push('Please fill in: Line-to-Line Voltage (V_L-L) or Line-to-Neutral Voltage (V_L-N).');
+            return { outputs, errors };
+        }
+
+        // --- Resolve the conductor data ---
+        let conductors;
+        if (inputs['conductor-data'] === 'custom') {
+            if (isBlank(inputs['custom-table'])) return { outputs, errors };
+            const parsed = parseConductorTable(inputs['custom-table'], standard);
+            if (parsed.errors.length > 0) return { outputs, errors: parsed.errors };
+            conductors = parsed.conductors;
+        } else {
+            conductors = typicalConductors(standard, materialKey);
+        }
+        const sizeId = standard === 'awg' ? 'size-awg' : 'size-mm2';
+        const size = isBlank(inputs[sizeId]) ? conductors[0].size : String(inputs[sizeId]);
+        const conductor = conductors.find(candidate => candidate.size === size);
+        if (!conductor) {
+            errors.push(inputs['conductor-data'] === 'custom'
+                ? `The conductor data has no line for ${sizeLabel(standard, size)}.`
+                : `There is no typical ${material.name} data for ${sizeLabel(standard, size)}; pick ${conductors[0].label} or larger, or enter the conductor data.`);
+            return { outputs, errors };
+        }
+
+        const powerFactor = parseFloat(inputs['power-factor']);
+        const runs = parseFloat(inputs['parallel-runs']);
+        const length = parseFloat(inputs.length);
+        const temperature = parseFloat(inputs.temperature);
+        const frequency = isBlank(inputs.frequency) ? CONDUCTOR_TABLES[standard].frequency : parseFloat(inputs.frequency);
+        const targetDrop = parseFloat(inputs['target-drop']);
+        const sinPhi = Math.sqrt(1 - powerFactor * powerFactor);
+        const wires = threePhase ? SQRT3 : 2;
+        const steps = [];
+
+        // --- Circuit voltage and current ---
+        let voltage;
+        if (threePhase) {
+            voltage = vll !== undefined ? vll : vln * SQRT3;
+            if (vll === undefined) {
+                steps.push({
+                    title: 'Line-to-line voltage',
+                    formula: 'V_LL = √3 · V_LN',
+                    substitution: `√3 · ${given(vln, 'V')}`,
+                    result: derived(voltage, 'V'),
+                    note: 'the voltage is carried as V_LL, so P = √3 · V_LL · I · PF'
+                });
+            }
+        } else {
+            voltage = vln !== undefined ? vln : vll;
+            steps.push({
+                title: 'Circuit voltage',
+                formula: vln !== undefined ? 'V = V_LN' : 'V = V_LL',
+                result: given(voltage, 'V'),
+                note: vln !== undefined ? 'a line-to-neutral load' : 'a line-to-line load'
+            });
+        }
+
+        let current;
+        if (powerMode) {
+            const power = parseFloat(inputs['load-power']);
+            current = (power * 1000) / ((threePhase ? SQRT3 : 1) * voltage * powerFactor);
+            steps.push({
+                title: 'Line current',
+                formula: threePhase ? 'I = P / (√3 · V_LL · PF)' : 'I = P / (V · PF)',
+                substitution: threePhase
+                    ? `${given(power, 'kW')} / (√3 · ${derived(voltage, 'V')} · ${given(powerFactor)})`
+                    : `${given(power, 'kW')} / (${given(voltage, 'V')} · ${given(powerFactor)})`,
+                result: derived(current, 'A')
+            });
+        } else {
+            current = parseFloat(inputs['load-current']);
+        }
+
+        // --- Conductor impedance and voltage drop ---
+        const correction = ref => (1 + material.alpha * (temperature - 20)) / (1 + material.alpha * (ref - 20));
+        function evaluate(candidate) {
+            const resistance = candidate.r * correction(candidate.referenceTemperature);
+            const reactance = candidate.frequency ? candidate.x * (frequency / candidate.frequency) : candidate.x;
+            const perRun = (length / 1000) / runs;
+            const drop = wires * current * perRun * (resistance * powerFactor + reactance * sinPhi);
+            return { resistance, reactance, drop, percent: (drop / voltage) * 100, losses: ((threePhase ? 3 : 2) * current * current * resistance * perRun) / 1000 };
+        }
+        const result = evaluate(conductor);
+        const tableValue = (value, unit) => derived(value, unit, { significant: 4 });
+
+        outputs['line-current'] = current;
+        outputs['resistance-operating'] = result.resistance;
+        outputs['reactance-operating'] = result.reactance;
+        outputs['voltage-drop'] = result.drop;
+        outputs['voltage-drop-percent'] = result.percent;
+        outputs['receiving-voltage'] = voltage - result.drop;
+        outputs['conductor-losses'] = result.losses;
+
+        const reference = conductor.referenceTemperature;
+        steps.push({
+            title: 'Resistance at operating temperature',
+            formula: reference === 20
+                ? 'R_T = R_20 · (1 + α · (T − 20 °C))'
+                : `R_T = R_${reference} · (1 + α · (T − 20 °C)) / (1 + α · (${reference} °C − 20 °C))`,
+            substitution: reference === 20
+                ? `${tableValue(conductor.r, 'Ω/km')} · (1 + ${material.alpha} · (${given(temperature, '°C')} − 20 °C))`
+                : `${tableValue(conductor.r, 'Ω/km')} · (1 + ${material.alpha} · (${given(temperature, '°C')} − 20 °C)) / (1 + ${material.alpha} · (${reference} °C − 20 °C))`,
+            result: derived(result.resistance, 'Ω/km', { significant: 4 }),
+            note: `${conductor.label} ${material.name}, R at ${reference} °C from the ${inputs['conductor-data'] === 'custom' ? 'conductor data' : 'typical table'}`
+        });
+        if (conductor.frequency && conductor.frequency !== frequency) {
+            steps.push({
+                title: 'Reactance at system frequency',
+                formula: `X = X_${conductor.frequency} · f / ${conductor.frequency} Hz`,
+                substitution: `${tableValue(conductor.x, 'Ω/km')} · ${given(frequency, 'Hz')} / ${conductor.frequency} Hz`,
+                result: derived(result.reactance, 'Ω/km', { significant: 4 }),
+                note: `the table reactance is for ${conductor.frequency} Hz`
+            });
+        }
+        steps.push(
+            {
+                title: 'Voltage drop',
+                formula: `ΔV = ${threePhase ? '√3' : '2'} · I · L / n · (R_T · cosφ + X · sinφ)`,
+                substitution: `${threePhase ? '√3' : '2'} · ${derived(current, 'A')} · ${given(length, 'm')} / ${given(runs)} · (${derived(result.resistance, 'Ω/km', { significant: 4 })} · ${given(powerFactor)} + ${derived(result.reactance, 'Ω/km', { significant: 4 })} · ${derived(sinPhi, '', { decimals: 4 })})`,
+                result: derived(result.drop, 'V'),
+                note: threePhase ? 'line-to-line drop; sinφ = √(1 − PF²) for a lagging load' : 'drop over the 2-wire loop; sinφ = √(1 − PF²) for a lagging load'
+            },
+            {
+                title: 'Voltage drop in percent',
+                formula: threePhase ? 'ΔV% = ΔV / V_LL · 100' : 'ΔV% = ΔV / V · 100',
+                substitution: `${derived(result.drop, 'V')} / ${derived(voltage, 'V')} · 100`,
+                result: derived(result.percent, '%', { decimals: 2 })
+            },
+            {
+                title: 'Voltage at the load',
+                formula: threePhase ? 'V_load = V_LL − ΔV' : 'V_load = V − ΔV',
+                substitution: `${derived(voltage, 'V')} − ${derived(result.drop, 'V')}`,
+                result: derived(outputs['receiving-voltage'], 'V')
+            },
+            {
+                title: 'Conductor losses',
+                formula: `P_loss = ${threePhase ? 3 : 2} · I² · R_T · L / n`,
+                substitution: `${threePhase ? 3 : 2} · (${derived(current, 'A')})² · ${derived(result.resistance, 'Ω/km', { significant: 4 })} · ${given(length, 'm')} / ${given(runs)}`,
+                result: derived(result.losses, 'kW')
+            }
+        );
+
+        // --- Smallest size meeting the target drop ---
+        const candidates = conductors.map(candidate => ({ candidate, percent: evaluate(candidate).percent }));
+        const index = candidates.findIndex(({ percent }) => percent <= targetDrop);
+        if (index === -1) {
+            const largest = candidates[candidates.length - 1];
+            outputs['minimum-size'] = 'None in the table';
+            steps.push({
+                title: 'Smallest size for the target drop',
+                formula: 'ΔV% ≤ target',
+                result: outputs['minimum-size'],
+                note: `even ${largest.candidate.label} gives ${derived(largest.percent, '%', { decimals: 2 })}; add parallel runs or raise the voltage`
+            });
+        } else {
+            const { candidate, percent } = candidates[index];
+            outputs['minimum-size'] = candidate.label;
+            steps.push({
+                title: 'Smallest size for the target drop',
+                formula: 'ΔV% ≤ target',
+                substitution: `${derived(percent, '%', { decimals: 2 })} ≤ ${given(targetDrop, '%')}`,
+                result: candidate.label,
+                note: index > 0
+                    ? `the next smaller size, ${candidates[index - 1].candidate.label}, gives ${derived(candidates[index - 1].percent, '%', { decimals: 2 })}`
+                    : 'the smallest size in the table already meets the target'
+            });
+        }
+        return { outputs, errors, steps };
+    },
+
+    // 4. INITIALIZATION LOGIC (UI adapter over compute)
+    init(sectionElement) {
+        // --- Find DOM Elements ---
+        const inputIds = ['system-type', 'voltage-ll', 'voltage-ln', 'load-input', 'load-current', 'load-power', 'power-factor',
+            'conductor-material', 'size-standard', 'size-mm2', 'size-awg', 'conductor-data', 'custom-table',
+            'parallel-runs', 'length', 'temperature', 'frequency', 'target-drop'];
+        const inputElements = inputIds.map(id => getField(sectionElement, id));
+        const outputElements = cableVoltageDropCalculator.fields
+            .filter(field => field.attributes && field.attributes.readonly)
+            .map(field => getField(sectionElement, field.id));
+        const percentOutput = getField(sectionElement, 'voltage-drop-percent');
+        const clearBtn = sectionElement.querySelector('.clearBtn');
+        const statusDiv = sectionElement.querySelector('.status');
+
+        // --- Helper Functions ---
+        function clearStatus() { if (statusDiv) statusDiv.textContent = ''; }
+        function resetOutputFields() {
+            outputElements.forEach(output => { output.value = ''; });
+            percentOutput.classList.remove('limit-reached');
+        }
+
+        function showField(id, visible) {
+            getField(sectionElement, id).parentElement.style.display = visible ? '' : 'none';
+        }
+
+        // Shows the load, size and conductor data fields of the selected modes.
+        function toggleModeFields() {
+            const powerMode = getField(sectionElement, 'load-input').value === 'power';
+            const awg = getField(sectionElement, 'size-standard').value === 'awg';
+            showField('load-current', !powerMode);
+            showField('load-power', powerMode);
+            showField('size-mm2', !awg);
+            showField('size-awg', awg);
+            showField('custom-table', getField(sectionElement, 'conductor-data').value === 'custom');
+        }
+
+        // Aluminium starts at 10 mm² / 12 AWG, so a size not made in the new material moves to the smallest that is.
+        function selectAvailableSizes() {
+            if (getField(sectionElement, 'conductor-data').value === 'custom') return;
+            const material = getField(sectionElement, 'conductor-material').value;
+            [['metric', 'size-mm2'], ['awg', 'size-awg']].forEach(([standard, id]) => {
+                const select = getField(sectionElement, id);
+                const sizes = typicalConductors(standard, material).map(conductor => conductor.size);
+                if (select.value !== '' && !sizes.includes(select.value)) select.value = sizes[0];
+            });
+        }
+
+        // The size lists offer the built-in sizes, or the sizes of the custom table as it is typed.
+        function updateSizeOptions() {
+            const custom = getField(sectionElement, 'conductor-data').value === 'custom';
+            [['metric', 'size-mm2'], ['awg', 'size-awg']].forEach(([standard, id]) => {
+                const select = getField(sectionElement, id);
+                const options = custom
+                    ? sizeOptions(standard, parseConductorTable(getField(sectionElement, 'custom-table').value, standard).conductors.map(conductor => conductor.size))
+                    : sizeOptions(standard);
+                const selected = select.value;
+                select.replaceChildren(...options.map(option => new Option(option.text, option.value)));
+                select.value = options.some(option => option.value === selected) ? selected : '';
+            });
+        }
+
+        // --- Main Calculation Logic ---
+        function calculateDrop() {
+            clearStatus();
+            resetOutputFields();
+
+            const rawValues = toComputeUnits(cableVoltageDropCalculator, sectionElement,
+                Object.fromEntries(inputElements.map(input => [fieldIdOf(input), input.value])));
+            const result = cableVoltageDropCalculator.compute(rawValues);
+            const outputs = fromComputeUnits(cableVoltageDropCalculator, sectionElement, result.outputs);
+
+            outputElements.forEach(output => {
+                const value = outputs[fieldIdOf(output)];
+                if (value === undefined) return;
+                output.value = typeof value === 'number' ? formatFieldValue(cableVoltageDropCalculator, fieldIdOf(output), value) : value;
+            });
+            const targetDrop = parseFloat(getField(sectionElement, 'target-drop').value);
+            percentOutput.classList.toggle('limit-reached', result.outputs['voltage-drop-percent'] > targetDrop);
+            if (result.errors.length > 0) statusDiv.textContent = result.errors.join(' ');
+        }
+
+        // --- Clear All Fields Function ---
+        function clearFields() {
+            inputElements.forEach(input => {
+                const fieldDef = cableVoltageDropCalculator.fields.find(f => f.id === fieldIdOf(input));
+                if (fieldDef.value !== undefined) input.value = fieldDef.value;
+                else if (input.tagName !== 'SELECT') input.value = '';
+            });
+            updateSizeOptions();
+            resetOutputFields();
+            clearStatus();
+            getField(sectionElement, 'voltage-ll').focus();
+        }
+
+        // --- Event Listeners ---
+        const debouncedCalculate = debounce(calculateDrop, 300);
+        inputElements.forEach(input => input.addEventListener('input', debouncedCalculate));
+        // Registered first so the sizes are in place before the recalculation below
+        getField(sectionElement, 'conductor-material').addEventListener('change', selectAvailableSizes);
+        getField(sectionElement, 'conductor-data').addEventListener('change', updateSizeOptions);
+        getField(sectionElement, 'custom-table').addEventListener('input', updateSizeOptions);
+        ['system-type', 'load-input', 'conductor-material', 'size-standard', 'size-mm2', 'size-awg', 'conductor-data'].forEach(id => {
+            getField(sectionElement, id).addEventListener('change', () => {
+                toggleModeFields();
+                calculateDrop();
+            });
+        });
+        if (clearBtn) clearBtn.addEventListener('click', clearFields);
+        sectionElement.addEventListener('unitchange', calculateDrop);
+        sectionElement.addEventListener('formatchange', calculateDrop);
+
+        // Initial setup
+        toggleModeFields();
+        console.log('Cable Voltage Drop & Sizing Calculator Initialized.');
+    }
+};
+
+export default cableVoltageDropCalculator;
\ No newline at end of file
@@ -1,15 +1,28 @@
 // This file acts as a central registry for all available calculators.
 // To add a new calculator to the app, simply import its module here
 // and add it to the 'calculators' array.
+//
+// Each calculator module exports an object with:
+//   - id, title, description, fields : metadata used by main.js to build the UI; a field's `unit`
+//                                      (e.g. 'kW') is the unit compute works in, and the form offers
+//                                      the other units of that quantity (see units.js); a field's
+//                                      `validation` declares its input rules (see validation.js) and
+//                                      its `format` how a result is rounded (see formatting.js)
+//   - compute(inputs)                : pure, DOM-free math. Takes raw values keyed by field id and
+//                                      returns { outputs: { [fieldId]: value }, errors: [messages] },
+//                                      optionally with `steps` explaining the results (see derivation.js)
+//   - init(sectionElement)           : thin UI adapter that reads the form, calls compute and renders
 
 import powerFactorCalculator from './powerFactorCalculator.js';
 import voltageConverter from './voltageCalculator.js';
 import threePhasePowerCalculator from './threePhasePowerCalculator.js';
 import frequencyDroopCalculator from './frequencyDroopCalculator.js';
 import socCalculator from './socCalculator.js';
+import ocvSocCalculator from './ocvSocCalculator.js';
 import roundTripEfficiencyCalculator from './roundTripEfficiencyCalculator.js';
 import voltageDroopCalculator from './voltageDroopCalculator.js';
-//import voltageControlDroopCalculator from './voltageControlDroopCalculator.js'; 
+import voltageControlDroopCalculator from './voltageControlDroopCalculator.js';
+import cableVoltageDropCalculator from './cableVoltageDropCalculator.js';
 // import myFutureCalculator from './myFutureCalculator.js'; // <-- Add future calculators here
 
 export const calculators = [
@@ -18,8 +31,10 @@ export const calculators = [
     threePhasePowerCalculator,
     frequencyDroopCalculator,
     socCalculator,
+    ocvSocCalculator,
     roundTripEfficiencyCalculator,
-    voltageDroopCalculator
-    // voltageControlDroopCalculator
+    voltageDroopCalculator,
+    voltageControlDroopCalculator,
+    cableVoltageDropCalculator
     // myFutureCalculator, // <-- And here
 ];
\ No newline at end of file
@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+// cli.js
+// Command-line runner for the registered calculators.
+//
+// Usage:
+//   node cli.js --list
+//   node cli.js <calculator-id> --help
+//   node cli.js <calculator-id> [--<field-id> <value> ...] [--input <file.json | ->] [--format table|json]
+//   node cli.js <calculator-id> [--<field-id> <value> ...] --sweep <field-id>=<start>:<stop>:<step>
+//   node cli.js <calculator-id> [--<field-id> <value> ...] --precision <significant figures>
+//   node cli.js <calculator-id> [--<field-id> <value> ...] --explain
+//
+// Inputs from --input may be a single object keyed by field id, or an array of such objects
+// to run a batch. Flags are applied on top of every record read from the file / stdin; unknown
+// field ids are rejected in both. The table echoes the given inputs and the defaults of the fields
+// the selected modes use.
+// --sweep runs the calculator once per value of one numeric input (in that field's unit).
+// Table output rounds results to each field's format or --precision significant figures and shows
+// single-run outputs in the best-fitting unit ("2.5 MW"); JSON output is never rounded.
+// --explain adds the step-by-step derivation of the results (see derivation.js), also at --precision.
+
+import { readFileSync } from 'node:fs';
+import { calculators } from './calculatorRegistry.js';
+import { unitsLike, parseValueWithUnit } from './units.js';
+import { stripHtml, fieldUnit, fieldName } from './fieldLabels.js';
+import { sweepableFields, sweepValues, parseSweepSpec } from './parameterSweep.js';
+import { formatNumber, formatWithUnit, setPrecision, PRECISION_CHOICES, DEFAULT_PRECISION } from './formatting.js';
+import { isFieldInMode } from './validation.js';
+import { formatSteps } from './derivation.js';
+
+// --- Field Metadata Helpers ---
+function isOutputField(field) {
+    return Boolean(field.attributes && field.attributes.readonly);
+}
+
+function dataFields(calculator) {
+    return calculator.fields.filter(field => !field.isSeparator);
+}
+
+function defaultInputs(calculator) {
+    const defaults = {};
+    dataFields(calculator).filter(field => !isOutputField(field)).forEach(field => {
+        if (field.value !== undefined) defaults[field.id] = field.value;
+        else if (field.type === 'select' && field.options && field.options.length > 0) defaults[field.id] = field.options[0].value;
+    });
+    return defaults;
+}
+
+// Values for fields with unit metadata may carry another unit of the same quantity ("1.5MW", "13.8 kV");
+// they are converted to the field's unit before compute.
+function convertUnitSuffixes(calculator, inputs) {
+    const converted = { ...inputs };
+    dataFields(calculator).filter(field => field.unit && typeof converted[field.id] === 'string').forEach(field => {
+        const value = parseValueWithUnit(converted[field.id], field.unit);
+        if (value !== null) converted[field.id] = value;
+    });
+    return converted;
+}
+
+// --- Argument Parsing ---
+// Numeric flag values become numbers so JSON output matches JSON input; anything else stays a string.
+function toInputValue(value) {
+    return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+}
+
+function parseArgs(argv) {
+    const options = { calculatorId: null, flags: {}, input: null, sweep: null, format: 'table', precision: DEFAULT_PRECISION, explain: false, help: false, list: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            if (options.calculatorId !== null) throw new Error(`Unexpected argument "${arg}".`);
+            options.calculatorId = arg;
+            continue;
+        }
+
+        const eqIndex = arg.indexOf('=');
+        const name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+        if (name === 'help') { options.help = true; continue; }
+        if (name === 'list') { options.list = true; continue; }
+        if (name === 'explain') { options.explain = true; continue; }
+
+        let value;
+        if (eqIndex !== -1) {
+            value = arg.slice(eqIndex + 1);
+        } else {
+            // The next token is always the value, so negative numbers like "--p-initial -500" work.
+            if (i + 1 >= argv.length) throw new Error(`Missing value for --${name}.`);
+            value = argv[++i];
+        }
+
+        if (name === 'input') options.input = value;
+        else if (name === 'sweep') options.sweep = parseSweepSpec(value);
+        else if (name === 'format') options.format = value;
+        else if (name === 'precision') options.precision = Number(value);
+        else options.flags[name] = toInputValue(value);
+    }
+    if (!['table', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}". Use "table" or "json".`);
+    }
+    if (!PRECISION_CHOICES.includes(options.precision)) {
+        throw new Error(`Unknown precision "${options.precision}". Use one of ${PRECISION_CHOICES.join(', ')}.`);
+    }
+    return options;
+}
+
+function readInputRecords(source) {
+    if (source === null) return [{}];
+    const text = readFileSync(source === '-' ? 0 : source, 'utf8');
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Could not parse JSON from ${source === '-' ? 'stdin' : source}: ${error.message}`);
+    }
+    const records = Array.isArray(parsed) ? parsed : [parsed];
+    if (records.some(record => record === null || typeof record !== 'object' || Array.isArray(record))) {
+        throw new Error('JSON input must be an object keyed by field id, or an array of such objects.');
+    }
+    return records;
+}
+
+// --- Output Rendering ---
+// Results are rounded to their field's format (or `precision` significant figures) when a format is
+// given; inputs are shown as entered, and integers (counts, step numbers) are always exact.
+function formatValue(value, format = null, precision = DEFAULT_PRECISION) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'number') return format && Number.isFinite(value) && !Number.isInteger(value) ? formatNumber(value, format, precision) : String(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function formatOf(calculator, key) {
+    const field = dataFields(calculator).find(f => f.id === key);
+    return (field && field.format) || {};
+}
+
+// A single-run output with its unit, rescaled to the best-fitting unit of its quantity.
+function formatOutput(calculator, key, value, precision) {
+    const field = dataFields(calculator).find(f => f.id === key);
+    if (!field || typeof value !== 'number') return formatValue(value, formatOf(calculator, key), precision);
+    return formatWithUnit(value, fieldUnit(field), field.format, precision);
+}
+
+// Outputs such as the SoC schedule table are arrays of row objects; they get a table of their own.
+function isRowList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(row => row !== null && typeof row === 'object' && !Array.isArray(row));
+}
+
+// Point series such as [[hours, soc %], ...] are too long for a table; they stay in --format json.
+function isSeries(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(Array.isArray);
+}
+
+function renderTable(headers, rows) {
+    const widths = headers.map((header, col) => Math.max(header.length, ...rows.map(row => row[col].length)));
+    const line = cells => cells.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+    return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+function printHelp(calculator) {
+    const lines = [`${calculator.title} (${calculator.id})`, stripHtml(calculator.description), '', 'Inputs:'];
+    const describe = field => {
+        const unit = fieldUnit(field);
+        let text = `  --${field.id.padEnd(26)} ${fieldName(field)}${unit ? ` [${unit}]` : ''}`;
+        if (field.unit) text += ` (or with a unit: ${unitsLike(field.unit).join('/')})`;
+        if (field.type === 'select') text += ` (one of: ${field.options.map(option => option.value).join(', ')})`;
+        else if (field.placeholder && field.placeholder !== 'Calculated') text += ` (${field.placeholder})`;
+        if (field.value !== undefined) text += ` default: ${field.value}`;
+        return text;
+    };
+    dataFields(calculator).filter(field => !isOutputField(field)).forEach(field => lines.push(describe(field)));
+    const outputFields = dataFields(calculator).filter(isOutputField);
+    if (outputFields.length > 0) {
+        lines.push('', 'Outputs:');
+        outputFields.forEach(field => {
+            const unit = fieldUnit(field);
+            lines.push(`  ${field.id.padEnd(28)} ${fieldName(field)}${unit ? ` [${unit}]` : ''}`);
+        });
+    }
+    lines.push('', 'Common options:', '  --input <file.json | ->      Read inputs (object or array of objects) from a file or stdin',
+        '  --format table|json          Output format (default: table)',
+        `  --precision <n>              Significant figures in table output (${PRECISION_CHOICES.join(', ')}; default: ${DEFAULT_PRECISION})`,
+        '  --sweep <id>=<start>:<stop>:<step>  Run once per value of a numeric input',
+        '  --explain                    Show how the results were derived');
+    console.log(lines.join('\n'));
+}
+
+function printList() {
+    const rows = calculators.map(calculator => [calculator.id, calculator.title]);
+    console.log(renderTable(['ID', 'Title'], rows));
+}
+
+// Label + unit for a result key; falls back to the raw key for values without a field definition.
+function columnTitle(calculator, key) {
+    const field = dataFields(calculator).find(f => f.id === key);
+    if (!field) return key;
+    const unit = fieldUnit(field);
+    return `${fieldName(field)}${unit ? ` [${unit}]` : ''}`;
+}
+
+// Numeric outputs carry their unit in the value column, since it may be rescaled (W -> MW).
+function outputTitle(calculator, key, value) {
+    const field = dataFields(calculator).find(f => f.id === key);
+    return field && typeof value === 'number' ? fieldName(field) : columnTitle(calculator, key);
+}
+
+// Given values, and non-blank defaults only for fields the selected modes use (no AWG size for a
+// metric cable).
+function echoedInputKeys(calculator, inputs, record) {
+    return Object.keys(inputs).filter(key => {
+        if (Object.prototype.hasOwnProperty.call(record, key)) return true;
+        const field = dataFields(calculator).find(f => f.id === key);
+        return String(inputs[key]) !== '' && (!field || isFieldInMode(calculator, field, inputs));
+    });
+}
+
+function printResultsTable(calculator, runs, records, precision) {
+    if (runs.length === 1) {
+        const { inputs, outputs, errors } = runs[0];
+        const rows = [
+            ...echoedInputKeys(calculator, inputs, records[0]).map(key => ['input', columnTitle(calculator, key), formatValue(inputs[key])]),
+            ...Object.entries(outputs).filter(([, value]) => !isRowList(value) && !isSeries(value))
+                .map(([key, value]) => ['output', outputTitle(calculator, key, value), formatOutput(calculator, key, value, precision)])
+        ];
+        console.log(renderTable(['', 'Field', 'Value'], rows));
+        Object.entries(outputs).filter(([, value]) => isRowList(value)).forEach(([key, value]) => {
+            const headers = [...new Set(value.flatMap(row => Object.keys(row)))];
+            console.log(`\n${columnTitle(calculator, key)}:`);
+            console.log(renderTable(headers, value.map(row => headers.map(header => formatValue(row[header], {}, precision)))));
+        });
+        Object.entries(outputs).filter(([, value]) => isSeries(value)).forEach(([key, value]) => {
+            console.log(`\n${columnTitle(calculator, key)}: ${value.length} points (see --format json)`);
+        });
+        errors.forEach(error => console.log(`Error: ${error}`));
+        return;
+    }
+
+    const inputKeys = [...new Set(runs.flatMap((run, index) => echoedInputKeys(calculator, run.inputs, records[index])))];
+    const outputKeys = [...new Set(runs.flatMap(run => Object.keys(run.outputs)
+        .filter(key => !isRowList(run.outputs[key]) && !isSeries(run.outputs[key]))))];
+    const headers = ['#', ...inputKeys, ...outputKeys.map(key => `out:${key}`), 'errors'];
+    const rows = runs.map((run, index) => [
+        String(index + 1),
+        ...inputKeys.map(key => formatValue(run.inputs[key])),
+        ...outputKeys.map(key => formatValue(run.outputs[key], formatOf(calculator, key), precision)),
+        run.errors.join(' ')
+    ]);
+    console.log(renderTable(headers, rows));
+}
+
+// --- Main ---
+function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.list || options.calculatorId === null) {
+        if (!options.list) console.log('Usage: node cli.js <calculator-id> [--<field-id> <value> ...] [--input <file.json | ->] [--format table|json]\n');
+        printList();
+        return 0;
+    }
+
+    const calculator = calculators.find(c => c.id === options.calculatorId);
+    if (!calculator) {
+        console.error(`Unknown calculator "${options.calculatorId}". Run with --list to see the available ids.`);
+        return 1;
+    }
+    if (options.help) {
+        printHelp(calculator);
+        return 0;
+    }
+
+    const knownIds = dataFields(calculator).map(field => field.id);
+    const unknownFlags = Object.keys(options.flags).filter(name => !knownIds.includes(name));
+    if (unknownFlags.length > 0) {
+        console.error(`Unknown option(s) for ${calculator.id}: ${unknownFlags.map(name => `--${name}`).join(', ')}. Run with --help to see the fields.`);
+        return 1;
+    }
+
+    const inputRecords = readInputRecords(options.input);
+    const unknownKeys = [...new Set(inputRecords.flatMap(record => Object.keys(record)))].filter(name => !knownIds.includes(name));
+    if (unknownKeys.length > 0) {
+        console.error(`Unknown field(s) in --input for ${calculator.id}: ${unknownKeys.join(', ')}. Run with --help to see the fields.`);
+        return 1;
+    }
+    setPrecision(options.precision); // Steps are formatted inside compute()
+
+    // The swept value is applied last, so it also replaces a flag for the same field.
+    let records = inputRecords.map(record => ({ ...record, ...options.flags }));
+    if (options.sweep) {
+        const { fieldId, start, stop, step } = options.sweep;
+        if (!sweepableFields(calculator).some(field => field.id === fieldId)) {
+            console.error(`--sweep needs a numeric input of ${calculator.id}; "${fieldId}" is not one.`);
+            return 1;
+        }
+        const values = sweepValues(start, stop, step);
+        records = records.flatMap(record => values.map(value => ({ ...record, [fieldId]: value })));
+    }
+
+    const runs = records.map(record => {
+        const inputs = convertUnitSuffixes(calculator, { ...defaultInputs(calculator), ...record });
+        const { outputs, errors, steps = [] } = calculator.compute(inputs);
+        return { inputs, outputs, errors, ...(options.explain ? { steps } : {}) };
+    });
+
+    if (options.format === 'json') {
+        const results = runs.map(run => ({ calculator: calculator.id, ...run }));
+        console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2));
+    } else {
+        printResultsTable(calculator, runs, records, options.precision);
+        if (options.explain) {
+            runs.forEach((run, index) => {
+                console.log(`\n${runs.length > 1 ? `Derivation (#${index + 1}):` : 'Derivation:'}`);
+                console.log(run.steps.length > 0 ? formatSteps(run.steps) : '(no steps)');
+            });
+        }
+    }
+    return runs.some(run => run.errors.length > 0) ? 1 : 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,14 @@
+// debounce.js
+// Delays a call until the input has been quiet for `wait` ms (recalculation while typing).
+
+export function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func.apply(this, args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
\ No newline at end of file
@@ -0,0 +1,21 @@
+// deepLinks.js
+// Shareable links: the URL hash holds the active calculator and its entered values, e.g.
+// "#frequency-droop?droop-percent=5&base-frequency=60" (see fieldState.js for which values count).
+
+import { collectFieldValues } from './fieldState.js';
+
+// --- Hash Parsing / Building ---
+// Returns { calculatorId, values } (values keyed by field id) or null for an empty hash.
+export function parseHash(hash) {
+    const text = String(hash || '').replace(/^#/, '');
+    if (text === '') return null;
+    const queryIndex = text.indexOf('?');
+    const calculatorId = decodeURIComponent(queryIndex === -1 ? text : text.slice(0, queryIndex));
+    const values = Object.fromEntries(new URLSearchParams(queryIndex === -1 ? '' : text.slice(queryIndex + 1)));
+    return { calculatorId, values };
+}
+
+export function buildHash(calculator, sectionElement) {
+    const query = new URLSearchParams(collectFieldValues(calculator, sectionElement)).toString();
+    return `#${encodeURIComponent(calculator.id)}${query ? `?${query}` : ''}`;
+}
\ No newline at end of file
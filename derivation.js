@@ -0,0 +1,85 @@
+// derivation.js
+// "Show the math". compute() may return `steps` next to outputs and errors: one entry per derived
+// value, in the order they were worked out:
+//   { title, formula, substitution, result, note }
+//   title        : what is derived ("Over-frequency response")
+//   formula      : the symbolic formula ("ΔP = P_initial − (f − f_db_high) / (f_base · droop) · P_max")
+//   substitution : the same formula with the values and units used (see formatWithUnit)
+//   result       : the value with its unit
+//   note         : optional; why this branch or default applied
+// Every part but the title is optional, so a step can also just record a decision. main.js renders
+// the steps in a collapsible panel under the outputs; the CLI prints them with --explain.
+
+import { formComputeInputs } from './fieldState.js';
+import { formatWithUnit } from './formatting.js';
+import { debounce } from './debounce.js';
+
+// --- Value Formatting (DOM-free) ---
+// Values a step starts from are shown in full (so 59.964 Hz is not rounded to 59.96 Hz); derived
+// values follow the precision preference. Both use the best-fitting unit of their quantity.
+export function given(value, unit = '') {
+    return formatWithUnit(value, unit, { significant: 12 });
+}
+
+export function derived(value, unit = '', format = {}) {
+    return formatWithUnit(value, unit, format);
+}
+
+// --- Text Rendering (DOM-free) ---
+// Numbered, indented lines for the CLI and other plain-text reports.
+export function formatSteps(steps) {
+    return steps.flatMap((step, index) => {
+        const lines = [`${index + 1}. ${step.title}`];
+        if (step.formula) lines.push(`   ${step.formula}`);
+        if (step.substitution) lines.push(`   = ${step.substitution}`);
+        if (step.result !== undefined && step.result !== '') lines.push(`   = ${step.result}`);
+        if (step.note) lines.push(`   (${step.note})`);
+        return lines;
+    }).join('\n');
+}
+
+// --- Panel Wiring ---
+// panelElement is the '.derivation-panel' <details> rendered by main.js. While it is open, the steps
+// are recomputed from the form shortly after each edit (as the inline validation does), so the panel
+// does not depend on how a module schedules its own updates.
+export function initDerivationPanel(calculator, sectionElement, panelElement) {
+    const list = document.createElement('ol');
+    list.className = 'derivation-steps';
+    const message = document.createElement('p');
+    message.className = 'derivation-message';
+    panelElement.append(message, list);
+
+    function renderStep(step) {
+        const item = document.createElement('li');
+        const title = document.createElement('strong');
+        title.textContent = step.title;
+        item.appendChild(title);
+        [['formula', step.formula, ''], ['substitution', step.substitution, '= '], ['result', step.result, '= '], ['note', step.note, '']]
+            .filter(([, text]) => text !== undefined && text !== '')
+            .forEach(([className, text, prefix]) => {
+                const line = document.createElement('div');
+                line.className = `derivation-${className}`;
+                line.textContent = `${prefix}${text}`;
+                item.appendChild(line);
+            });
+        return item;
+    }
+
+    function render() {
+        if (!panelElement.open) return;
+        const { steps = [], errors } = calculator.compute(formComputeInputs(calculator, sectionElement));
+        list.replaceChildren(...steps.map(renderStep));
+        if (steps.length > 0) message.textContent = '';
+        else if (errors.length > 0) message.textContent = 'Fix the inputs above to see how the results are derived.';
+        else message.textContent = 'Fill in the inputs to see how the results are derived.';
+    }
+
+    const debouncedRender = debounce(render, 300);
+    sectionElement.addEventListener('input', debouncedRender);
+    sectionElement.addEventListener('change', debouncedRender);
+    sectionElement.addEventListener('unitchange', render);
+    sectionElement.addEventListener('formatchange', render);
+    // Clear All empties the form without input events
+    sectionElement.addEventListener('click', event => { if (event.target.classList.contains('clearBtn')) render(); });
+    panelElement.addEventListener('toggle', render);
+}
\ No newline at end of file
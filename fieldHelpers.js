@@ -0,0 +1,37 @@
+// fieldHelpers.js
+// DOM lookup helpers shared by the calculator modules.
+// main.js renders every calculator into one document, so element IDs are scoped per calculator
+// ("<calculator-id>__<field-id>"). Modules keep using their plain field ids and go through these helpers.
+
+// --- ID Scoping ---
+export function scopedFieldId(calculatorId, fieldId) {
+    return `${calculatorId}__${fieldId}`;
+}
+
+// --- Lookups ---
+// The section element's id is the calculator id (see main.js).
+export function getField(sectionElement, fieldId) {
+    return sectionElement.querySelector(`[id="${scopedFieldId(sectionElement.id, fieldId)}"]`);
+}
+
+export function getFieldLabel(sectionElement, fieldId) {
+    return sectionElement.querySelector(`label[for="${scopedFieldId(sectionElement.id, fieldId)}"]`);
+}
+
+// Returns the unscoped field id (as used in the module's `fields` and `compute`) for a rendered element.
+export function fieldIdOf(element) {
+    return element.dataset.fieldId;
+}
+
+// --- Calculated Values ---
+// Some modules write derived values into editable fields (e.g. the Voltage Converter fills the other
+// voltage). Marking them lets app-level features such as deep links tell user input from results;
+// readonly fields always count as calculated.
+export function setCalculated(element, isCalculated) {
+    if (isCalculated) element.dataset.calculated = 'true';
+    else delete element.dataset.calculated;
+}
+
+export function isCalculated(element) {
+    return element.readOnly || element.dataset.calculated === 'true';
+}
@@ -0,0 +1,17 @@
+// fieldLabels.js
+// Plain-text names and units for field definitions, shared by the CLI and the result export.
+
+export function stripHtml(text) {
+    return String(text || '').replace(/<sub>/g, '_').replace(/<[^>]*>/g, '');
+}
+
+// The unit comes from the field's unit metadata, else from square brackets in the label, e.g. 'Droop [%]:'.
+export function fieldUnit(field) {
+    if (field.unit) return field.unit;
+    const match = stripHtml(field.label).match(/\[([^\]]+)\]/);
+    return match ? match[1] : '';
+}
+
+export function fieldName(field) {
+    return stripHtml(field.label).replace(/\s*\[[^\]]+\]/, '').replace(/:\s*$/, '').trim();
+}
\ No newline at end of file
@@ -0,0 +1,84 @@
+// fieldState.js
+// Reads and restores the user-entered values of a rendered calculator, for features that save or
+// share inputs (deep links, saved scenarios). Only user input is collected: calculated values
+// (readonly or marked via setCalculated) and values equal to the field default are left out.
+// Values are exchanged in the fields' compute units (see units.js), so a link or saved scenario
+// means the same whichever unit the reader has selected.
+
+import { getField, isCalculated } from './fieldHelpers.js';
+import { toComputeUnits, fromComputeUnits } from './units.js';
+
+// The value a field has on a fresh page (see main.js).
+export function defaultFieldValue(field) {
+    if (field.value !== undefined) return String(field.value);
+    if (field.type === 'select' && field.options && field.options.length > 0) return String(field.options[0].value);
+    return '';
+}
+
+function inputFields(calculator) {
+    return calculator.fields.filter(field => !field.isSeparator && !(field.attributes && field.attributes.readonly));
+}
+
+// The current form as compute() inputs: every input field in compute units, with calculated fields
+// blank so they do not act as inputs. compute() on these reproduces the shown results unrounded.
+export function formComputeInputs(calculator, sectionElement) {
+    const values = {};
+    inputFields(calculator).forEach(field => {
+        const element = getField(sectionElement, field.id);
+        if (element) values[field.id] = isCalculated(element) ? '' : element.value;
+    });
+    return toComputeUnits(calculator, sectionElement, values);
+}
+
+// Returns { [fieldId]: value } for the entered, non-default values.
+export function collectFieldValues(calculator, sectionElement) {
+    const values = {};
+    inputFields(calculator).forEach(field => {
+        const element = getField(sectionElement, field.id);
+        if (!element || isCalculated(element)) return;
+        const value = toComputeUnits(calculator, sectionElement, { [field.id]: element.value })[field.id];
+        if (value.trim() !== '' && value !== defaultFieldValue(field)) values[field.id] = value;
+    });
+    return values;
+}
+
+// Sets every input field to its value from `values` (or its default) and fires the events the modules
+// listen to, so the calculator recalculates as if the user had typed the values. Selects go first
+// because they switch modes, and are set once more at the end, as their options may come from other
+// fields (the custom conductor sizes). Calculated fields without a value are left alone; unchanged
+// fields fire no events. When a value targets a field that currently holds a result, the calculator is reset
+// (Clear All) first, so the modules drop their solved state and the field takes the value.
+// Returns the ids of the fields whose value could not be applied (e.g. an unknown select option).
+export function applyFieldValues(calculator, sectionElement, values) {
+    const fields = inputFields(calculator);
+    const ordered = [...fields.filter(field => field.type === 'select'), ...fields.filter(field => field.type !== 'select')];
+    const hasValue = field => Object.prototype.hasOwnProperty.call(values, field.id);
+    const clearBtn = sectionElement.querySelector('.clearBtn');
+    const blocked = fields.some(field => {
+        const element = getField(sectionElement, field.id);
+        return element && hasValue(field) && isCalculated(element);
+    });
+    if (blocked && clearBtn) clearBtn.click();
+
+    const skipped = [];
+    const apply = (field, isRetry) => {
+        const element = getField(sectionElement, field.id);
+        if (!element || isCalculated(element)) {
+            if (hasValue(field)) skipped.push(field.id);
+            return;
+        }
+        const computeValue = hasValue(field) ? String(values[field.id]) : defaultFieldValue(field);
+        const value = fromComputeUnits(calculator, sectionElement, { [field.id]: computeValue })[field.id];
+        if (element.tagName === 'SELECT' && ![...element.options].some(option => option.value === value)) {
+            if (hasValue(field) && isRetry) skipped.push(field.id);
+            return;
+        }
+        if (element.value === value) return;
+        element.value = value;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        if (element.tagName === 'SELECT') element.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+    ordered.forEach(field => apply(field, false));
+    fields.filter(field => field.type === 'select' && hasValue(field) && !skipped.includes(field.id)).forEach(field => apply(field, true));
+    return skipped;
+}
\ No newline at end of file
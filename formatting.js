@@ -0,0 +1,125 @@
+// formatting.js
+// How numeric results are shown. A field may declare a `format`:
+//   { decimals: n }       : fixed decimals (power factors, percentages, angles)
+//   { significant: n }    : n significant figures
+//   { engineering: true } : significant figures with an SI prefix ("2.5 M", "950 m")
+// Fields without one use the global precision preference (significant figures), which is picked in
+// the app header and remembered. Form fields are number inputs, so they never get an SI prefix; text
+// reports (CLI table, copied summary) show results with a unit in the best-fitting unit of its
+// quantity instead ("2.5 MW" rather than "2500000 W").
+
+import { QUANTITIES, quantityOf, convertUnit } from './units.js';
+
+export const PRECISION_CHOICES = [3, 4, 5, 6, 8];
+export const DEFAULT_PRECISION = 4;
+
+const PREFERENCE_KEY = 'electricalCalculators.precision';
+
+const SI_PREFIXES = { '-12': 'p', '-9': 'n', '-6': 'µ', '-3': 'm', 0: '', 3: 'k', 6: 'M', 9: 'G', 12: 'T' };
+
+// --- Preference ---
+// Falls back to the last choice in this process where storage is unavailable (the CLI's --precision,
+// private mode), and to the default before any choice.
+let sessionPrecision = DEFAULT_PRECISION;
+
+export function getPrecision() {
+    try {
+        const stored = Number(localStorage.getItem(PREFERENCE_KEY));
+        return PRECISION_CHOICES.includes(stored) ? stored : sessionPrecision;
+    } catch (error) {
+        return sessionPrecision;
+    }
+}
+
+export function setPrecision(precision) {
+    sessionPrecision = precision;
+    try {
+        localStorage.setItem(PREFERENCE_KEY, String(precision));
+    } catch (error) {
+        // Storage unavailable: the choice still applies to this page
+    }
+}
+
+// --- Number Formatting (DOM-free) ---
+// Rounds to the given significant figures without switching to exponent notation for everyday
+// magnitudes; trailing zeros are dropped (0.9500 -> "0.95", 2499999 -> "2500000").
+function toSignificant(value, digits) {
+    const rounded = parseFloat(value.toPrecision(digits));
+    return String(rounded === 0 ? 0 : rounded); // no "-0"
+}
+
+// Splits a value into a mantissa in [1, 1000) and an SI prefix. Rounding can carry the mantissa to
+// 1000 (999.96 at 4 digits), which moves it up one prefix.
+function toEngineering(value, digits) {
+    if (value === 0) return { mantissa: '0', prefix: '' };
+    let exponent = Math.floor(Math.log10(Math.abs(value)) / 3) * 3;
+    exponent = Math.min(12, Math.max(-12, exponent));
+    let mantissa = parseFloat((value / 10 ** exponent).toPrecision(digits));
+    if (Math.abs(mantissa) >= 1000 && exponent < 12) {
+        exponent += 3;
+        mantissa = parseFloat((value / 10 ** exponent).toPrecision(digits));
+    }
+    return { mantissa: String(mantissa), prefix: SI_PREFIXES[exponent] };
+}
+
+// Formats one value; non-numbers (and non-finite numbers) are returned as text.
+export function formatNumber(value, format = {}, precision = getPrecision()) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return value === undefined || value === null ? '' : String(value);
+    const spec = format || {};
+    if (spec.decimals !== undefined) {
+        const fixed = value.toFixed(spec.decimals);
+        return Number(fixed) === 0 ? (0).toFixed(spec.decimals) : fixed;
+    }
+    const digits = spec.significant || precision;
+    if (spec.engineering) {
+        const { mantissa, prefix } = toEngineering(value, digits);
+        return prefix ? `${mantissa} ${prefix}` : mantissa;
+    }
+    return toSignificant(value, digits);
+}
+
+// Value and unit for text reports. Units with a quantity table (W, kVAR, kWh, ...) are rescaled to
+// the largest unit that keeps the value at or above 1; other units get an SI prefix when the field
+// asks for engineering notation.
+export function formatWithUnit(value, unit, format = {}, precision = getPrecision()) {
+    const spec = format || {};
+    if (!unit) return formatNumber(value, spec, precision);
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${formatNumber(value, spec, precision)} ${unit}`;
+    const quantity = quantityOf(unit);
+    // Rescaled only between the SI prefixes of the base unit: metres never turn into feet, nor feet into metres
+    const isPrefixed = factor => [1, 1e3, 1e6].includes(factor);
+    if (quantity && spec.decimals === undefined && isPrefixed(QUANTITIES[quantity][unit])) {
+        const [baseUnit] = Object.keys(QUANTITIES[quantity]);
+        const base = convertUnit(value, unit, baseUnit);
+        const units = Object.entries(QUANTITIES[quantity]).filter(([, factor]) => isPrefixed(factor));
+        const [bestUnit] = units.filter(([, factor]) => Math.abs(base) >= factor).pop() || [baseUnit];
+        return `${formatNumber(convertUnit(value, unit, bestUnit), { significant: spec.significant }, precision)} ${bestUnit}`;
+    }
+    if (spec.engineering) {
+        const { mantissa, prefix } = toEngineering(value, spec.significant || precision);
+        return `${mantissa} ${prefix}${unit}`;
+    }
+    return `${formatNumber(value, spec, precision)}${unit === '°' ? '' : ' '}${unit}`;
+}
+
+// A calculator output as written into its form field, using the field's `format`.
+export function formatFieldValue(calculator, fieldId, value) {
+    const field = calculator.fields.find(candidate => candidate.id === fieldId);
+    const format = field && field.format ? { ...field.format } : {};
+    // Number inputs cannot hold an SI prefix; plain significant figures are the closest fit
+    if (format.engineering && (!field || field.type === 'number')) delete format.engineering;
+    return formatNumber(value, format);
+}
+
+// --- Precision Select Wiring ---
+// Fills the header select with the choices, starting on the remembered one. A change is remembered
+// and announced with a 'formatchange' event on every calculator section, so each module can
+// re-render its outputs (as for 'unitchange').
+export function initPrecisionSelect(selectElement, sectionElements) {
+    PRECISION_CHOICES.forEach(choice => selectElement.appendChild(new Option(`${choice} significant figures`, String(choice))));
+    selectElement.value = String(getPrecision());
+    selectElement.addEventListener('change', () => {
+        setPrecision(Number(selectElement.value));
+        sectionElements.forEach(section => section.dispatchEvent(new Event('formatchange')));
+    });
+}
\ No newline at end of file
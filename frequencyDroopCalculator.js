@@ -1,5 +1,12 @@
 // frequencyDroopCalculator.js
 
+import { getField, fieldIdOf } from './fieldHelpers.js';
+import { createLineChart, paddedDomain } from './svgChart.js';
+import { toComputeUnits, fromComputeUnits, displayUnit, convertUnit } from './units.js';
+import { validateInputs } from './validation.js';
+import { formatFieldValue } from './formatting.js';
+import { given, derived } from './derivation.js';
+
 // --- Utility Function (debounce) ---
 function debounce(func, wait) {
     let timeout;
@@ -13,102 +20,264 @@ function debounce(func, wait) {
     };
 }
 
+// --- P-f Characteristic Sampling (DOM-free) ---
+// Evaluates compute() across a frequency window around the deadband. The curve is returned as
+// separate segments (below / inside / above the deadband) because Delta P jumps at the deadband edges.
+function sampleDroopCurve(inputs, pointsPerSegment = 80) {
+    const baseFreq = parseFloat(inputs['base-frequency']);
+    const dbLower = parseFloat(inputs['deadband-lower']);
+    const dbHigher = parseFloat(inputs['deadband-higher']);
+    // The steepest droop entered; the common droop may be blank when both specific ones are given
+    const droop = Math.max(...['droop-percent', 'droop-over-percent', 'droop-under-percent']
+        .map(id => Math.abs(parseFloat(inputs[id]))).filter(Number.isFinite)) / 100;
+    const freqActual = parseFloat(inputs['frequency-actual']);
+
+    // Window: wide enough to show the deadband, a meaningful part of each droop slope and the actual frequency.
+    const deadbandHalf = Math.max(baseFreq - dbLower, dbHigher - baseFreq);
+    const halfSpan = Math.max(3 * deadbandHalf, deadbandHalf + 0.2 * droop * baseFreq, 1.1 * Math.abs(freqActual - baseFreq), 1e-3 * baseFreq);
+    const xDomain = [baseFreq - halfSpan, baseFreq + halfSpan];
+    const epsilon = halfSpan * 1e-6;
+
+    const evaluate = frequency => frequencyDroopCalculator.compute({ ...inputs, 'frequency-actual': frequency }).outputs['delta-p'];
+    const sampleRange = (from, to) => {
+        const points = [];
+        for (let i = 0; i <= pointsPerSegment; i++) {
+            const frequency = from + ((to - from) * i) / pointsPerSegment;
+            points.push([frequency, evaluate(frequency)]);
+        }
+        return points;
+    };
+
+    return {
+        xDomain,
+        segments: [
+            sampleRange(xDomain[0], dbLower - epsilon),
+            sampleRange(dbLower, dbHigher),
+            sampleRange(dbHigher + epsilon, xDomain[1])
+        ]
+    };
+}
+
 // --- Calculator Definition ---
 const frequencyDroopCalculator = {
     // 1. METADATA for HTML Generation
     id: 'frequency-droop',
     title: 'Frequency Droop Calculator',
-    description: 'Calculates the required change in power (Delta P) based on frequency deviation outside a specified deadband.',
+    description: 'Calculates the required change in power (Delta P) based on frequency deviation outside a specified deadband. Optional over/under-frequency droops and power limits (negative = charging) are applied when provided.',
 
     // 2. FIELD DEFINITIONS for HTML Generation
     fields: [
         // Input Fields
-        { id: 'droop-percent', label: 'Droop [%]:', type: 'number', placeholder: 'e.g., 5', attributes: { step: 'any' } },
-        { id: 'base-frequency', label: 'Base Frequency (f<sub>base</sub>) [Hz]:', type: 'number', placeholder: 'e.g., 50 or 60', attributes: { step: 'any' } },
-        { id: 'p-max', label: 'Pmax (Rated Power) [W]:', type: 'number', placeholder: 'e.g., 1000000', attributes: { step: 'any' } },
-        { id: 'p-initial', label: 'Pinitial (Initial Power) [W]:', type: 'number', placeholder: 'e.g., 0', attributes: { step: 'any' } },
-        { id: 'deadband-lower', label: 'Frequency Deadband Lower (f<sub>db_low</sub>) [Hz]:', type: 'number', placeholder: 'e.g., 49.9', attributes: { step: 'any' } },
-        { id: 'deadband-higher', label: 'Frequency Deadband Higher (f<sub>db_high</sub>) [Hz]:', type: 'number', placeholder: 'e.g., 50.1', attributes: { step: 'any' } },
-        { id: 'frequency-actual', label: 'Frequency Actual (f<sub>actual</sub>) [Hz]:', type: 'number', placeholder: 'e.g., 50.2', attributes: { step: 'any' } },
+        { id: 'droop-percent', label: 'Droop [%]:', type: 'number', placeholder: 'e.g., 5', attributes: { step: 'any' }, validation: { required: { unless: ['droop-over-percent', 'droop-under-percent'] }, nonZero: true } },
+        { id: 'droop-over-percent', label: 'Over-Frequency Droop (Optional) [%]:', type: 'number', placeholder: 'Defaults to Droop', attributes: { step: 'any' }, validation: { nonZero: true } },
+        { id: 'droop-under-percent', label: 'Under-Frequency Droop (Optional) [%]:', type: 'number', placeholder: 'Defaults to Droop', attributes: { step: 'any' }, validation: { nonZero: true } },
+        { id: 'base-frequency', label: 'Base Frequency (f<sub>base</sub>) [Hz]:', type: 'number', placeholder: 'e.g., 50 or 60', attributes: { step: 'any' }, validation: { required: true, exclusiveMin: 0 } },
+        { id: 'p-max', label: 'Pmax (Rated Power):', unit: 'W', type: 'number', placeholder: 'e.g., 1000000', attributes: { step: 'any' }, validation: { required: true } },
+        { id: 'p-limit-upper', label: 'Upper Power Limit / Max Discharge (Optional):', unit: 'W', type: 'number', placeholder: 'Defaults to +Pmax', attributes: { step: 'any' } },
+        { id: 'p-limit-lower', label: 'Lower Power Limit / Max Charge (Optional):', unit: 'W', type: 'number', placeholder: 'Defaults to -Pmax, e.g., 0 for no charging', attributes: { step: 'any' }, validation: { max: { field: 'p-limit-upper' } } },
+        { id: 'p-initial', label: 'Pinitial (Initial Power):', unit: 'W', type: 'number', placeholder: 'e.g., 0', attributes: { step: 'any' }, validation: { required: true } },
+        { id: 'deadband-lower', label: 'Frequency Deadband Lower (f<sub>db_low</sub>) [Hz]:', type: 'number', placeholder: 'e.g., 49.9', attributes: { step: 'any' }, validation: { required: true, max: { field: 'base-frequency' } } },
+        { id: 'deadband-higher', label: 'Frequency Deadband Higher (f<sub>db_high</sub>) [Hz]:', type: 'number', placeholder: 'e.g., 50.1', attributes: { step: 'any' }, validation: { required: true, min: { field: 'base-frequency' } } },
+        { id: 'frequency-actual', label: 'Frequency Actual (f<sub>actual</sub>) [Hz]:', type: 'number', placeholder: 'e.g., 50.2', attributes: { step: 'any' }, validation: { required: true } },
         // Separator
         { isSeparator: true },
-        // Output Field
-        { id: 'delta-p', label: 'Calculated Delta P [W]:', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } }
+        // Output Fields
+        { id: 'delta-p', label: 'Calculated Delta P:', unit: 'W', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'delta-p-unlimited', label: 'Delta P before Limits:', unit: 'W', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'limit-status', label: 'Limit Status:', type: 'text', placeholder: 'Calculated', attributes: { readonly: true, style: 'font-weight: bold;' } }
     ],
 
-    // 3. INITIALIZATION LOGIC
+    // 3. COMPUTE LOGIC (DOM-free)
+    // Inputs are keyed by field id (numbers or numeric strings).
+    // Returns { outputs: { 'delta-p', 'delta-p-unlimited', 'limit-status' }, errors, steps }.
+    compute(inputs) {
+        const validation = validateInputs(frequencyDroopCalculator, inputs);
+        if (!validation.valid) return { outputs: {}, errors: validation.errors };
+
+        const value = id => parseFloat(inputs[id]);
+        const [droopValue, baseFreqValue, pMaxValue, pInitialValue, dbLowerValue, dbHigherValue, freqActualValue] =
+            ['droop-percent', 'base-frequency', 'p-max', 'p-initial', 'deadband-lower', 'deadband-higher', 'frequency-actual'].map(value);
+
+        // Optional inputs: blank falls back to the common droop / the rated power limits.
+        const isBlank = id => inputs[id] === undefined || inputs[id] === null || String(inputs[id]).trim() === '';
+        const optionalValue = (id, fallback) => (isBlank(id) ? fallback : parseFloat(inputs[id]));
+        const droopOverValue = optionalValue('droop-over-percent', droopValue);
+        const droopUnderValue = optionalValue('droop-under-percent', droopValue);
+        const pLimitUpperValue = optionalValue('p-limit-upper', Math.abs(pMaxValue));
+        const pLimitLowerValue = optionalValue('p-limit-lower', -Math.abs(pMaxValue));
+
+        // A limit left blank follows Pmax, which the field rules cannot see
+        if (pLimitLowerValue > pLimitUpperValue) {
+            return { outputs: {}, errors: ['Lower Power Limit / Max Charge must be ≤ Upper Power Limit / Max Discharge.'] };
+        }
+
+        // --- Perform Calculation ---
+        let deltaP = 0;
+        const droopOver = droopOverValue / 100; // Convert from percent to per-unit
+        const droopUnder = droopUnderValue / 100;
+        const steps = [];
+        // Over- and under-frequency response share one formula shape (see "Show the Math")
+        const responseStep = (title, deadbandSymbol, deadband, droopSymbol, droop, droopDefaulted) => ({
+            title,
+            formula: `ΔP = P_initial − (f_actual − ${deadbandSymbol}) / (f_base · ${droopSymbol}) · P_max`,
+            substitution: `${given(pInitialValue, 'W')} − (${given(freqActualValue, 'Hz')} − ${given(deadband, 'Hz')}) / (${given(baseFreqValue, 'Hz')} · ${given(droop)}) · ${given(pMaxValue, 'W')}`,
+            result: derived(deltaP, 'W'),
+            note: droopDefaulted ? `${droopSymbol} is blank, so the common droop (${given(droopValue, '%')}) applies` : ''
+        });
+
+        if (freqActualValue > dbHigherValue) {
+            // Formula: Delta P = Pinitial + (-1/Droop_over) * ((Freq_Actual - Freq_DB_High) / Freq_Base) * Pmax
+            deltaP = pInitialValue - ((-1 / droopOver) * ((dbHigherValue - freqActualValue) / baseFreqValue) * pMaxValue);
+            steps.push(responseStep('Over-frequency response (f_actual > f_db_high)', 'f_db_high', dbHigherValue, 'droop_over', droopOver, isBlank('droop-over-percent')));
+        } else if (freqActualValue < dbLowerValue) {
+            // Formula: Delta P = Pinitial + (-1/Droop_under) * ((Freq_Actual - Freq_DB_Low) / Freq_Base) * Pmax
+            deltaP = pInitialValue - ((-1 / droopUnder) * ((dbLowerValue - freqActualValue) / baseFreqValue) * pMaxValue);
+            steps.push(responseStep('Under-frequency response (f_actual < f_db_low)', 'f_db_low', dbLowerValue, 'droop_under', droopUnder, isBlank('droop-under-percent')));
+        } else {
+            // Inside the deadband, Delta P remains 0 as initialized.
+            steps.push({
+                title: 'Inside the deadband (f_db_low ≤ f_actual ≤ f_db_high)',
+                formula: 'ΔP = 0',
+                result: derived(deltaP, 'W'),
+                note: `${given(dbLowerValue, 'Hz')} ≤ ${given(freqActualValue, 'Hz')} ≤ ${given(dbHigherValue, 'Hz')}, so no response is required`
+            });
+        }
+
+        // Clamp the setpoint to what the plant can actually deliver (negative = charging).
+        const limitedDeltaP = Math.max(pLimitLowerValue, Math.min(pLimitUpperValue, deltaP));
+        let limitStatus = 'Within limits';
+        if (deltaP > pLimitUpperValue) limitStatus = 'Upper limit reached (max discharge)';
+        else if (deltaP < pLimitLowerValue) limitStatus = 'Lower limit reached (max charge)';
+        const defaultedLimits = [['p-limit-upper', 'P_limit_upper is blank, so +P_max applies'], ['p-limit-lower', 'P_limit_lower is blank, so −P_max applies']]
+            .filter(([id]) => isBlank(id)).map(([, text]) => text);
+        steps.push({
+            title: 'Power limits',
+            formula: 'ΔP_limited = min(max(ΔP, P_limit_lower), P_limit_upper)',
+            substitution: `min(max(${derived(deltaP, 'W')}, ${given(pLimitLowerValue, 'W')}), ${given(pLimitUpperValue, 'W')})`,
+            result: derived(limitedDeltaP, 'W'),
+            note: [limitStatus, ...defaultedLimits].join('; ')
+        });
+
+        return {
+            outputs: { 'delta-p': limitedDeltaP, 'delta-p-unlimited': deltaP, 'limit-status': limitStatus },
+            errors: [],
+            steps
+        };
+    },
+
+    // 4. INITIALIZATION LOGIC (UI adapter over compute)
     init(sectionElement) {
         // --- Find DOM Elements ---
-        const droopInput = sectionElement.querySelector('#droop-percent');
-        const baseFreqInput = sectionElement.querySelector('#base-frequency');
-        const pMaxInput = sectionElement.querySelector('#p-max');
-        const pInitialInput = sectionElement.querySelector('#p-initial');
-        const dbLowerInput = sectionElement.querySelector('#deadband-lower');
-        const dbHigherInput = sectionElement.querySelector('#deadband-higher');
-        const freqActualInput = sectionElement.querySelector('#frequency-actual');
-        const deltaPOutput = sectionElement.querySelector('#delta-p');
+        const droopInput = getField(sectionElement, 'droop-percent');
+        const droopOverInput = getField(sectionElement, 'droop-over-percent');
+        const droopUnderInput = getField(sectionElement, 'droop-under-percent');
+        const baseFreqInput = getField(sectionElement, 'base-frequency');
+        const pMaxInput = getField(sectionElement, 'p-max');
+        const pLimitUpperInput = getField(sectionElement, 'p-limit-upper');
+        const pLimitLowerInput = getField(sectionElement, 'p-limit-lower');
+        const pInitialInput = getField(sectionElement, 'p-initial');
+        const dbLowerInput = getField(sectionElement, 'deadband-lower');
+        const dbHigherInput = getField(sectionElement, 'deadband-higher');
+        const freqActualInput = getField(sectionElement, 'frequency-actual');
+        const deltaPOutput = getField(sectionElement, 'delta-p');
+        const deltaPUnlimitedOutput = getField(sectionElement, 'delta-p-unlimited');
+        const limitStatusOutput = getField(sectionElement, 'limit-status');
         const clearBtn = sectionElement.querySelector('.clearBtn');
         const statusDiv = sectionElement.querySelector('.status');
 
-        const allInputElements = [droopInput, baseFreqInput, pMaxInput, pInitialInput, dbLowerInput, dbHigherInput, freqActualInput];
-        const allOutputElements = [deltaPOutput];
+        const allInputElements = [droopInput, droopOverInput, droopUnderInput, baseFreqInput, pMaxInput, pLimitUpperInput, pLimitLowerInput, pInitialInput, dbLowerInput, dbHigherInput, freqActualInput];
+        const allOutputElements = [deltaPOutput, deltaPUnlimitedOutput, limitStatusOutput];
+
+        // --- P-f Droop Curve Chart (placed under the form) ---
+        const chartContainer = document.createElement('div');
+        chartContainer.className = 'chart-container';
+        limitStatusOutput.parentElement.after(chartContainer);
+        const chart = createLineChart(chartContainer, {
+            xLabel: 'Frequency [Hz]',
+            yLabel: 'Delta P [W]',
+            onMarkerDrag: (markerId, frequency) => {
+                // Dragging the actual-frequency marker writes back to the input and recalculates immediately.
+                freqActualInput.value = parseFloat(frequency.toFixed(4));
+                freqActualInput.dispatchEvent(new Event('input', { bubbles: true }));
+                calculateDroop();
+            }
+        });
 
         // --- Helper Functions ---
         function clearStatus() { if (statusDiv) statusDiv.textContent = ''; }
-        function resetOutputFields() { allOutputElements.forEach(output => { if (output) output.value = ''; }); }
+        function resetOutputFields() {
+            allOutputElements.forEach(output => { if (output) output.value = ''; });
+            limitStatusOutput.classList.remove('limit-reached');
+        }
+
+        // rawValues and deltaP are in compute units (W); the chart is drawn in the unit selected for Delta P.
+        function updateChart(rawValues, deltaP) {
+            if (deltaP === undefined) {
+                chart.showMessage('Fill in all inputs to plot the P–f droop characteristic.');
+                return;
+            }
+            const unit = displayUnit(sectionElement, frequencyDroopCalculator.fields.find(field => field.id === 'delta-p'));
+            const toUnit = power => convertUnit(power, 'W', unit);
+            const { xDomain, segments } = sampleDroopCurve(rawValues);
+            const freqActual = parseFloat(rawValues['frequency-actual']);
+            const pInitial = parseFloat(rawValues['p-initial']);
+            const pMax = Math.abs(parseFloat(rawValues['p-max']));
+            const limitValue = (id, fallback) => (rawValues[id] || '').trim() === '' ? fallback : parseFloat(rawValues[id]);
+            const pLimitUpper = limitValue('p-limit-upper', pMax);
+            const pLimitLower = limitValue('p-limit-lower', -pMax);
+            const curvePowers = segments.flat().map(([, p]) => p);
+            // Only show a limit line when the visible curve actually reaches it.
+            const limitLines = [
+                { y: pLimitUpper, label: 'Upper limit' },
+                { y: pLimitLower, label: 'Lower limit' }
+            ].filter(line => curvePowers.some(p => Math.abs(p - line.y) < 1e-9 * Math.max(1, pMax)));
+            const allPowers = [0, pInitial, deltaP, ...curvePowers, ...limitLines.map(line => line.y)];
+
+            chart.render({
+                xDomain,
+                yDomain: paddedDomain(allPowers.map(toUnit)),
+                yLabel: `Delta P [${unit}]`,
+                bands: [{ x0: parseFloat(rawValues['deadband-lower']), x1: parseFloat(rawValues['deadband-higher']), label: 'Deadband' }],
+                referenceLines: [
+                    { y: 0 },
+                    ...(pInitial !== 0 ? [{ y: toUnit(pInitial), label: 'P_initial' }] : []),
+                    ...limitLines.map(line => ({ ...line, y: toUnit(line.y) }))
+                ],
+                series: segments.map(points => ({ points: points.map(([frequency, power]) => [frequency, toUnit(power)]) })),
+                markers: [{
+                    id: 'frequency-actual',
+                    x: freqActual,
+                    y: toUnit(deltaP),
+                    label: `f = ${freqActual} Hz, ΔP = ${formatFieldValue(frequencyDroopCalculator, 'delta-p', toUnit(deltaP))} ${unit}`,
+                    draggable: true
+                }]
+            });
+        }
 
         // --- Main Calculation Logic ---
         function calculateDroop() {
             clearStatus();
             resetOutputFields();
 
-            const inputs = allInputElements.map(el => el.value.trim());
-            if (inputs.some(val => val === '')) {
-                const allEmpty = inputs.every(val => val === '');
-                if (!allEmpty) statusDiv.textContent = 'Please fill all input fields.';
-                return;
-            }
+            // compute() works in W; the form shows whatever units are selected
+            const rawValues = toComputeUnits(frequencyDroopCalculator, sectionElement,
+                Object.fromEntries(allInputElements.map(input => [fieldIdOf(input), input.value])));
+            const { outputs, errors } = frequencyDroopCalculator.compute(rawValues);
+            updateChart(rawValues, outputs['delta-p']);
 
-            // Parse all values
-            const droopValue = parseFloat(droopInput.value);
-            const baseFreqValue = parseFloat(baseFreqInput.value);
-            const pMaxValue = parseFloat(pMaxInput.value);
-            const pInitialValue = parseFloat(pInitialInput.value);
-            const dbLowerValue = parseFloat(dbLowerInput.value);
-            const dbHigherValue = parseFloat(dbHigherInput.value);
-            const freqActualValue = parseFloat(freqActualInput.value);
-
-            // --- Validation ---
-            let validationErrors = [];
-            if (isNaN(droopValue) || isNaN(baseFreqValue) || isNaN(pMaxValue) || isNaN(pInitialValue) || isNaN(dbLowerValue) || isNaN(dbHigherValue) || isNaN(freqActualValue)) {
-                validationErrors.push('All inputs must be valid numbers.');
-            }
-            if (Math.abs(droopValue) < 1e-9) validationErrors.push('Droop cannot be zero.');
-            if (Math.abs(baseFreqValue) < 1e-9) validationErrors.push('Base Frequency cannot be zero.');
-            if (dbLowerValue > baseFreqValue) validationErrors.push('Deadband Lower must be ≤ Base Frequency.');
-            if (dbHigherValue < baseFreqValue) validationErrors.push('Deadband Higher must be ≥ Base Frequency.');
-            if (dbLowerValue > dbHigherValue) validationErrors.push('Deadband Lower cannot be greater than Deadband Higher.');
-
-            if (validationErrors.length > 0) {
-                statusDiv.textContent = `Validation Error(s): ${validationErrors.join(' ')}`;
+            if (errors.length > 0) {
+                statusDiv.textContent = `Validation Error(s): ${errors.join(' ')}`;
                 return;
             }
-            
-            // --- Perform Calculation ---
-            let deltaP = 0;
-            const droop = droopValue / 100; // Convert from percent to per-unit
-
-            if (freqActualValue > dbHigherValue) {
-                // Formula: Delta P = Pinitial + (-1/Droop) * ((Freq_DB_High - Freq_Actual) / Freq_Base) * Pmax
-                deltaP = pInitialValue - ((-1 / droop) * ((dbHigherValue - freqActualValue) / baseFreqValue) * pMaxValue);
-            } else if (freqActualValue < dbLowerValue) {
-                // Formula: Delta P = Pinitial + (-1/Droop) * ((Freq_DB_Low - Freq_Actual) / Freq_Base) * Pmax
-                deltaP = pInitialValue - ((-1 / droop) * ((dbLowerValue - freqActualValue) / baseFreqValue) * pMaxValue);
-            }
-            // else: if inside the deadband, Delta P remains 0 as initialized.
-            
+
             // Display Result
-            deltaPOutput.value = deltaP.toFixed(3);
+            const displayed = fromComputeUnits(frequencyDroopCalculator, sectionElement, outputs);
+            if (displayed['delta-p'] !== undefined) deltaPOutput.value = formatFieldValue(frequencyDroopCalculator, 'delta-p', displayed['delta-p']);
+            if (displayed['delta-p-unlimited'] !== undefined) deltaPUnlimitedOutput.value = formatFieldValue(frequencyDroopCalculator, 'delta-p-unlimited', displayed['delta-p-unlimited']);
+            if (outputs['limit-status'] !== undefined) {
+                limitStatusOutput.value = outputs['limit-status'];
+                limitStatusOutput.classList.toggle('limit-reached', outputs['delta-p'] !== outputs['delta-p-unlimited']);
+            }
         }
 
         // --- Clear All Fields Function ---
@@ -116,6 +285,7 @@ const frequencyDroopCalculator = {
             allInputElements.forEach(input => { if (input) input.value = ''; });
             resetOutputFields();
             clearStatus();
+            updateChart({}, undefined);
             if (droopInput) droopInput.focus();
         }
 
@@ -123,7 +293,11 @@ const frequencyDroopCalculator = {
         const debouncedCalculate = debounce(calculateDroop, 300);
         allInputElements.forEach(input => { if (input) input.addEventListener('input', debouncedCalculate); });
         if (clearBtn) clearBtn.addEventListener('click', clearFields);
+        sectionElement.addEventListener('unitchange', calculateDroop);
+        sectionElement.addEventListener('formatchange', calculateDroop);
 
+        // Initial setup
+        updateChart({}, undefined);
         console.log('Frequency Droop Calculator Initialized.');
     }
 };
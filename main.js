@@ -1,4 +1,15 @@
 import { calculators } from './calculatorRegistry.js';
+import { scopedFieldId } from './fieldHelpers.js';
+import { parseHash, buildHash } from './deepLinks.js';
+import { applyFieldValues } from './fieldState.js';
+import { initScenarioPanel } from './scenarios.js';
+import { initExportPanel } from './resultExport.js';
+import { initSweepPanel } from './parameterSweep.js';
+import { unitsLike, initUnitSelectors } from './units.js';
+import { initFieldValidation } from './validation.js';
+import { initPrecisionSelect } from './formatting.js';
+import { initDerivationPanel } from './derivation.js';
+import { initTransferMenus } from './resultTransfer.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     const navContainer = document.getElementById('calculator-nav');
@@ -10,7 +21,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // --- 1. Dynamic HTML Generation ---
-    calculators.forEach((calculator, index) => {
+    calculators.forEach(calculator => {
         // Create Navigation Button
         const navButton = document.createElement('button');
         navButton.dataset.calculatorId = calculator.id;
@@ -35,19 +46,29 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
 
+            // Element IDs are namespaced per calculator so modules can share field names
+            const elementId = scopedFieldId(calculator.id, field.id);
+
             // Start the common wrapping div and label
-            sectionHTML += `<div class="input-group">
-                              <label for="${field.id}">${field.label}</label>`;
+            sectionHTML += `<div class="input-group${unitsLike(field.unit).length ? ' has-unit' : ''}">
+                              <label for="${elementId}">${field.label}</label>`;
 
             // Check the field type to generate the correct element
             if (field.type === 'select') {
-                sectionHTML += `<select id="${field.id}">`;
+                sectionHTML += `<select id="${elementId}" data-field-id="${field.id}">`;
                 if (field.options && Array.isArray(field.options)) {
                     field.options.forEach(option => {
                         sectionHTML += `<option value="${option.value}">${option.text}</option>`;
                     });
                 }
                 sectionHTML += `</select>`;
+            } else if (field.type === 'textarea') {
+                // Multi-line inputs (pasted tables, schedules); the default value goes between the tags
+                const attributesString = field.attributes
+                    ? Object.entries(field.attributes).map(([key, value]) =>
+                        (value === true ? key : `${key}="${value}"`)).join(' ')
+                    : '';
+                sectionHTML += `<textarea id="${elementId}" data-field-id="${field.id}" placeholder="${field.placeholder || ''}" ${attributesString}>${field.value !== undefined ? field.value : ''}</textarea>`;
             } else {
                 // Default to generating an <input> tag for all other types
                 const attributesString = field.attributes
@@ -61,11 +82,21 @@ document.addEventListener('DOMContentLoaded', () => {
                 sectionHTML += `
                     <input 
                       type="${field.type || 'text'}" 
-                      id="${field.id}" 
+                      id="${elementId}" 
+                      data-field-id="${field.id}" 
                       placeholder="${field.placeholder || ''}" 
                       ${valueString}
                       ${attributesString}>
                 `;
+
+                // Unit dropdown for fields with a convertible unit; the field's own unit comes first
+                if (unitsLike(field.unit).length) {
+                    sectionHTML += `<select id="${elementId}__unit" class="unit-select" aria-label="Unit">`;
+                    unitsLike(field.unit).forEach(unit => {
+                        sectionHTML += `<option value="${unit}"${unit === field.unit ? ' selected' : ''}>${unit}</option>`;
+                    });
+                    sectionHTML += `</select>`;
+                }
             }
 
             // Close the common wrapping div
@@ -74,33 +105,110 @@ document.addEventListener('DOMContentLoaded', () => {
         // *** END OF CORRECTED LOGIC ***
 
         sectionHTML += `
-            <button class="clearBtn">Clear All</button>
+            <details class="derivation-panel">
+                <summary>Show the Math</summary>
+            </details>
+            <details class="sweep-panel">
+                <summary>Parameter Sweep</summary>
+            </details>
+            <div class="section-actions">
+                <button class="clearBtn">Clear All</button>
+                <div class="scenario-panel">
+                    <input type="text" class="scenario-name" placeholder="Scenario name, e.g. Site 12 ERCOT droop" aria-label="Scenario name">
+                    <button type="button" data-action="save">Save</button>
+                    <select class="scenario-select" aria-label="Saved scenarios"></select>
+                    <button type="button" data-action="load">Load</button>
+                    <button type="button" data-action="delete">Delete</button>
+                    <button type="button" data-action="export">Export</button>
+                    <button type="button" data-action="import">Import</button>
+                    <input type="file" class="scenario-file" accept=".json,application/json" hidden>
+                    <span class="scenario-message"></span>
+                </div>
+                <div class="export-panel">
+                    <button type="button" data-action="export-csv">Export CSV</button>
+                    <button type="button" data-action="export-json">Export JSON</button>
+                    <button type="button" data-action="copy-summary">Copy Summary</button>
+                    <span class="export-message"></span>
+                </div>
+            </div>
             <p class="status"></p>
         `;
 
         section.innerHTML = sectionHTML;
         contentContainer.appendChild(section);
 
-        // Set the first calculator as active by default
-        if (index === 0) {
-            navButton.classList.add('active');
-            section.classList.add('active');
-            initializeCalculator(calculator.id); // Initialize the first one
-        }
+        // Unit dropdowns, inline validation, derivations, "Send to…" menus, saved scenarios, exports and
+        // sweeps only read the form (or call compute), so they are wired up front
+        initUnitSelectors(calculator, section);
+        initFieldValidation(calculator, section);
+        initDerivationPanel(calculator, section, section.querySelector('.derivation-panel'));
+        initTransferMenus(calculator, section, calculators);
+        initScenarioPanel(calculator, section, section.querySelector('.scenario-panel'));
+        initExportPanel(calculator, section, section.querySelector('.export-panel'));
+        initSweepPanel(calculator, section, section.querySelector('.sweep-panel'));
+
     });
 
+    // The precision preference applies to every calculator; modules re-render on 'formatchange'
+    const precisionSelect = document.getElementById('precision-select');
+    if (precisionSelect) {
+        initPrecisionSelect(precisionSelect, Array.from(contentContainer.querySelectorAll('.calculator-section')));
+    }
+
 
     // --- 2. Event Listeners for Navigation ---
     const navButtons = navContainer.querySelectorAll('button');
     navButtons.forEach(button => {
         button.addEventListener('click', () => {
             const calculatorId = button.dataset.calculatorId;
+            if (activeCalculatorId() === calculatorId) return;
             switchCalculatorView(calculatorId);
+            history.pushState(null, '', currentHash()); // New history entry, so back/forward switch calculators
         });
     });
 
+    // Keep the URL hash in sync with the entered values (without adding history entries);
+    // clicks cover buttons that change values without input events, such as Clear All.
+    ['input', 'change', 'click'].forEach(eventName => {
+        contentContainer.addEventListener(eventName, event => {
+            const section = event.target.closest('.calculator-section');
+            if (!section || !section.classList.contains('active')) return;
+            const hash = currentHash();
+            if (hash !== window.location.hash) history.replaceState(null, '', hash);
+        });
+    });
+
+    // Back/forward and hand-edited hashes. popstate fires for both (a hash change fires popstate, then
+    // hashchange), so listening to hashchange as well would apply the link twice.
+    window.addEventListener('popstate', applyLocationHash);
+
+    // Open the calculator from the URL hash, or the first calculator by default
+    applyLocationHash();
+
 
     // --- 3. Generic Functions ---
+    function activeCalculatorId() {
+        const activeSection = contentContainer.querySelector('.calculator-section.active');
+        return activeSection ? activeSection.id : null;
+    }
+
+    function currentHash() {
+        const calculatorId = activeCalculatorId();
+        const calculator = calculators.find(c => c.id === calculatorId);
+        return calculator ? buildHash(calculator, document.getElementById(calculatorId)) : '';
+    }
+
+    // Shows the calculator named in the hash (e.g. "#frequency-droop?droop-percent=5") and prefills
+    // its fields; unknown or empty hashes fall back to the first calculator.
+    function applyLocationHash() {
+        const link = parseHash(window.location.hash);
+        const calculator = (link && calculators.find(c => c.id === link.calculatorId)) || calculators[0];
+        if (activeCalculatorId() !== calculator.id) switchCalculatorView(calculator.id);
+        if (link && link.calculatorId === calculator.id) {
+            applyFieldValues(calculator, document.getElementById(calculator.id), link.values);
+        }
+    }
+
     function switchCalculatorView(calculatorId) {
         // Hide all sections
         contentContainer.querySelectorAll('.calculator-section').forEach(section => {
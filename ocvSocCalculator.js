@@ -0,0 +1,264 @@
+// ocvSocCalculator.js
+
+import { getField, fieldIdOf } from './fieldHelpers.js';
+import { validateInputs } from './validation.js';
+import { formatFieldValue } from './formatting.js';
+import { given, derived } from './derivation.js';
+import { debounce } from './debounce.js';
+
+// --- Chemistry Presets ---
+// Typical rested cell OCV at 25 °C as [SoC %, OCV V] pairs, and the OCV temperature coefficient
+// [mV/°C per cell]. Vendor tables for the installed cells should be preferred where available.
+const CHEMISTRY_PRESETS = {
+    lfp: {
+        table: [[0, 2.50], [10, 3.00], [20, 3.20], [30, 3.22], [40, 3.25], [50, 3.26], [60, 3.27], [70, 3.30], [80, 3.32], [90, 3.35], [100, 3.40]],
+        tempCoefficient: -0.1
+    },
+    nmc: {
+        table: [[0, 3.00], [5, 3.40], [10, 3.50], [20, 3.58], [30, 3.63], [40, 3.68], [50, 3.73], [60, 3.80], [70, 3.88], [80, 3.97], [90, 4.07], [100, 4.20]],
+        tempCoefficient: -0.3
+    }
+};
+
+// Voltage error used to express how precise the estimate is on the local slope of the curve.
+const SENSITIVITY_VOLTAGE_MV = 10;
+
+// --- OCV Table Parsing ---
+// One point per line (or separated by ';'): "<SoC %>, <cell OCV V>". OCV must rise with SoC.
+function parseOcvTable(text) {
+    const points = [];
+    const errors = [];
+    String(text || '').split(/[\n;]/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*/, '').trim();
+        if (line === '') return;
+        const values = line.split(/[,\t]/).map(part => Number(part.trim()));
+        const label = `OCV table line ${index + 1} ("${line}")`;
+        if (values.length !== 2 || values.some(isNaN)) errors.push(`${label}: expected "<SoC %>, <cell OCV V>".`);
+        else if (values[0] < 0 || values[0] > 100) errors.push(`${label}: SoC must be 0-100%.`);
+        else if (values[1] <= 0) errors.push(`${label}: OCV must be greater than zero.`);
+        else points.push(values);
+    });
+    points.sort((a, b) => a[0] - b[0]);
+    if (errors.length === 0) {
+        if (points.length < 2) errors.push('The OCV table needs at least two points.');
+        else if (points.some((point, i) => i > 0 && !(point[1] > points[i - 1][1] && point[0] > points[i - 1][0]))) {
+            errors.push('OCV table voltages must strictly increase with SoC.');
+        }
+    }
+    return { points, errors };
+}
+
+// Inverse lookup: SoC for a cell voltage by linear interpolation, with the local slope [V per % SoC]
+// and the two table points it was taken from. Voltages outside the table are clamped to its ends.
+function lookupSoc(points, cellVoltage) {
+    const last = points.length - 1;
+    const slopeOf = ([soc0, v0], [soc1, v1]) => (v1 - v0) / (soc1 - soc0);
+    if (cellVoltage <= points[0][1]) return { soc: points[0][0], slope: slopeOf(points[0], points[1]), segment: [points[0], points[1]], clamped: 'low' };
+    if (cellVoltage >= points[last][1]) return { soc: points[last][0], slope: slopeOf(points[last - 1], points[last]), segment: [points[last - 1], points[last]], clamped: 'high' };
+    const i = points.findIndex(point => point[1] >= cellVoltage);
+    const [soc0, v0] = points[i - 1];
+    const [soc1, v1] = points[i];
+    return { soc: soc0 + ((cellVoltage - v0) / (v1 - v0)) * (soc1 - soc0), slope: slopeOf(points[i - 1], points[i]), segment: [points[i - 1], points[i]], clamped: null };
+}
+
+// --- Calculator Definition ---
+const ocvSocCalculator = {
+    // 1. METADATA
+    id: 'ocv-soc-estimator',
+    title: 'OCV to SoC Estimator',
+    description: 'Estimate the State of Charge from a rested (open-circuit) rack, module or cell voltage using an OCV–SoC lookup table. Use a chemistry preset or paste the vendor table; the result can be sent to the Start SoC of the SoC / Energy Time Calculator with Send to….',
+
+    // 2. FIELD DEFINITIONS
+    fields: [
+        {
+            id: 'chemistry',
+            label: 'OCV Table:',
+            type: 'select',
+            options: [
+                { value: 'lfp', text: 'LFP preset (typical)' },
+                { value: 'nmc', text: 'NMC preset (typical)' },
+                { value: 'custom', text: 'Custom / vendor table' }
+            ]
+        },
+        {
+            id: 'custom-table',
+            label: 'Custom OCV Table (one per line: SoC %, cell OCV V at 25 °C):',
+            type: 'textarea',
+            placeholder: '0, 2.80\n50, 3.26\n100, 3.42',
+            attributes: { rows: '6' }
+        },
+        // Measurement
+        { isSeparator: true },
+        { id: 'measured-voltage', label: 'Measured Open-Circuit Voltage [V]:', type: 'number', placeholder: 'e.g., 52.3 (rack or module) or 3.28 (cell)', attributes: { step: 'any', min: '0' }, validation: { required: true, exclusiveMin: 0 } },
+        { id: 'series-cells', label: 'Cells in Series:', type: 'number', value: 1, attributes: { step: '1', min: '1' }, validation: { required: true, integer: true, min: 1 } },
+        { id: 'temperature', label: 'Cell Temperature [°C] (Optional, default 25):', type: 'number', placeholder: 'e.g., 25', attributes: { step: 'any' } },
+        { id: 'temp-coefficient', label: 'OCV Temperature Coefficient [mV/°C per cell] (Optional, default from preset):', type: 'number', placeholder: 'Preset value', attributes: { step: 'any' } },
+        // Outputs
+        { isSeparator: true },
+        { id: 'cell-voltage', label: 'Average Cell Voltage [V]:', type: 'number', format: { decimals: 4 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'corrected-cell-voltage', label: 'Cell Voltage Corrected to 25 °C [V]:', type: 'number', format: { decimals: 4 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'estimated-soc', label: 'Estimated SoC [%]:', type: 'number', quantity: 'state-of-charge', format: { decimals: 1 }, placeholder: 'Calculated', attributes: { readonly: true, style: 'font-weight: bold; color: #0056b3;' } },
+        { id: 'soc-sensitivity', label: 'SoC Uncertainty per ±10 mV Cell Error [%]:', type: 'number', format: { decimals: 1 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'table-warning', label: 'Table Range Warning:', type: 'text', placeholder: 'Calculated', attributes: { readonly: true } }
+    ],
+
+    // 3. COMPUTE LOGIC (DOM-free)
+    // Inputs are keyed by field id. 'chemistry' selects a preset table, or 'custom' uses 'custom-table'.
+    // The measured voltage is divided by 'series-cells', corrected to 25 °C with the temperature
+    // coefficient, then looked up. A voltage outside the table gives its end SoC and a 'table-warning'
+    // ('None' otherwise). Also returns the derivation `steps`.
+    compute(inputs) {
+        const outputs = {};
+        const errors = [];
+        const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+        const chemistry = inputs.chemistry || 'lfp';
+
+        // --- Resolve the OCV table ---
+        let points;
+        let presetCoefficient = 0;
+        if (chemistry === 'custom') {
+            if (isBlank(inputs['custom-table'])) return { outputs, errors };
+            const parsed = parseOcvTable(inputs['custom-table']);
+            if (parsed.errors.length > 0) return { outputs, errors: parsed.errors };
+            points = parsed.points;
+        } else if (CHEMISTRY_PRESETS[chemistry]) {
+            points = CHEMISTRY_PRESETS[chemistry].table;
+            presetCoefficient = CHEMISTRY_PRESETS[chemistry].tempCoefficient;
+        } else {
+            errors.push(`Unknown OCV table "${chemistry}".`);
+            return { outputs, errors };
+        }
+
+        // --- Input Validation ---
+        const validation = validateInputs(ocvSocCalculator, inputs);
+        if (!validation.valid) return { outputs, errors: validation.errors };
+        const measuredVoltage = parseFloat(inputs['measured-voltage']);
+        const seriesCells = parseFloat(inputs['series-cells']);
+        const temperature = isBlank(inputs.temperature) ? 25 : parseFloat(inputs.temperature);
+        const tempCoefficient = isBlank(inputs['temp-coefficient']) ? presetCoefficient : parseFloat(inputs['temp-coefficient']);
+
+        // --- Perform Calculations ---
+        const cellVoltage = measuredVoltage / seriesCells;
+        const correctedCellVoltage = cellVoltage - (tempCoefficient * (temperature - 25)) / 1000;
+        const { soc, slope, segment, clamped } = lookupSoc(points, correctedCellVoltage);
+
+        outputs['cell-voltage'] = cellVoltage;
+        outputs['corrected-cell-voltage'] = correctedCellVoltage;
+        outputs['estimated-soc'] = soc;
+        outputs['soc-sensitivity'] = (SENSITIVITY_VOLTAGE_MV / 1000) / slope;
+
+        outputs['table-warning'] = 'None';
+        if (clamped === 'low') outputs['table-warning'] = `Cell voltage is below the table (${points[0][1]} V); SoC shown as ${soc}%. Check the series cell count.`;
+        if (clamped === 'high') outputs['table-warning'] = `Cell voltage is above the table (${points[points.length - 1][1]} V); SoC shown as ${soc}%. Check the series cell count.`;
+
+        const [[soc0, v0], [soc1, v1]] = segment;
+        const defaults = [
+            isBlank(inputs.temperature) ? 'no temperature entered, so 25 °C applies' : '',
+            isBlank(inputs['temp-coefficient']) ? `the ${chemistry === 'custom' ? 'custom table has no coefficient, so 0 applies' : `${chemistry.toUpperCase()} preset coefficient applies`}` : ''
+        ].filter(Boolean);
+        const steps = [
+            {
+                title: 'Average cell voltage',
+                formula: 'V_cell = V_measured / N_series',
+                substitution: `${given(measuredVoltage, 'V')} / ${given(seriesCells)}`,
+                result: derived(cellVoltage, 'V', { decimals: 4 })
+            },
+            {
+                title: 'Temperature correction to 25 °C',
+                formula: 'V_25 = V_cell − k_T · (T − 25 °C) / 1000',
+                substitution: `${derived(cellVoltage, 'V', { decimals: 4 })} − ${tempCoefficient < 0 ? `(${given(tempCoefficient, 'mV/°C')})` : given(tempCoefficient, 'mV/°C')} · (${given(temperature, '°C')} − 25 °C) / 1000`,
+                result: derived(correctedCellVoltage, 'V', { decimals: 4 }),
+                note: defaults.join('; ')
+            },
+            clamped === null
+                ? {
+                    title: 'Interpolate in the OCV table',
+                    formula: 'SoC = SoC_0 + (V_25 − V_0) / (V_1 − V_0) · (SoC_1 − SoC_0)',
+                    substitution: `${given(soc0, '%')} + (${derived(correctedCellVoltage, 'V', { decimals: 4 })} − ${given(v0, 'V')}) / (${given(v1, 'V')} − ${given(v0, 'V')}) · (${given(soc1, '%')} − ${given(soc0, '%')})`,
+                    result: derived(soc, '%', { decimals: 1 }),
+                    note: `between the table points ${given(soc0, '%')} / ${given(v0, 'V')} and ${given(soc1, '%')} / ${given(v1, 'V')}`
+                }
+                : {
+                    title: 'Look up in the OCV table',
+                    formula: clamped === 'low' ? 'V_25 ≤ V_min, so SoC = SoC_min' : 'V_25 ≥ V_max, so SoC = SoC_max',
+                    result: derived(soc, '%', { decimals: 1 }),
+                    note: 'the voltage is outside the table and is clamped to its end'
+                },
+            {
+                title: 'SoC uncertainty',
+                formula: 'ΔSoC = ΔV / (dV/dSoC), dV/dSoC = (V_1 − V_0) / (SoC_1 − SoC_0)',
+                substitution: `${given(SENSITIVITY_VOLTAGE_MV, 'mV')} / ${derived(slope * 1000, 'mV/%')}`,
+                result: `±${derived(outputs['soc-sensitivity'], '%', { decimals: 1 })}`,
+                note: 'a flat curve, as for LFP in the mid-range, turns a small voltage error into a large SoC error'
+            }
+        ];
+        return { outputs, errors, steps };
+    },
+
+    // 4. INITIALIZATION LOGIC (UI adapter over compute)
+    init(sectionElement) {
+        // --- Find DOM Elements ---
+        const chemistrySelect = getField(sectionElement, 'chemistry');
+        const customTableInput = getField(sectionElement, 'custom-table');
+        const inputElements = ['chemistry', 'custom-table', 'measured-voltage', 'series-cells', 'temperature', 'temp-coefficient']
+            .map(id => getField(sectionElement, id));
+        const outputElements = ['cell-voltage', 'corrected-cell-voltage', 'estimated-soc', 'soc-sensitivity', 'table-warning']
+            .map(id => getField(sectionElement, id));
+        const warningOutput = getField(sectionElement, 'table-warning');
+        const clearBtn = sectionElement.querySelector('.clearBtn');
+        const statusDiv = sectionElement.querySelector('.status');
+
+        // --- Helper Functions ---
+        function clearStatus() { if (statusDiv) statusDiv.textContent = ''; }
+        function resetOutputFields() {
+            outputElements.forEach(output => { output.value = ''; });
+            warningOutput.classList.remove('limit-reached');
+        }
+
+        function toggleCustomTable() {
+            customTableInput.parentElement.style.display = chemistrySelect.value === 'custom' ? '' : 'none';
+        }
+
+        // --- Main Calculation Logic ---
+        function calculateSoc() {
+            clearStatus();
+            resetOutputFields();
+
+            const rawValues = Object.fromEntries(inputElements.map(input => [fieldIdOf(input), input.value]));
+            const { outputs, errors } = ocvSocCalculator.compute(rawValues);
+
+            outputElements.forEach(output => {
+                const value = outputs[fieldIdOf(output)];
+                if (value === undefined) return;
+                output.value = typeof value === 'number' ? formatFieldValue(ocvSocCalculator, fieldIdOf(output), value) : value;
+            });
+            warningOutput.classList.toggle('limit-reached', outputs['table-warning'] !== undefined && outputs['table-warning'] !== 'None');
+            if (errors.length > 0) statusDiv.textContent = errors.join(' ');
+        }
+
+        function clearFields() {
+            inputElements.forEach(input => {
+                const fieldDef = ocvSocCalculator.fields.find(f => f.id === fieldIdOf(input));
+                if (fieldDef.value !== undefined) input.value = fieldDef.value;
+                else if (input.tagName !== 'SELECT') input.value = '';
+            });
+            resetOutputFields();
+            clearStatus();
+        }
+
+        // --- Event Listeners ---
+        const debouncedCalculate = debounce(calculateSoc, 300);
+        inputElements.forEach(input => input.addEventListener('input', debouncedCalculate));
+        chemistrySelect.addEventListener('change', () => {
+            toggleCustomTable();
+            calculateSoc();
+        });
+        if (clearBtn) clearBtn.addEventListener('click', clearFields);
+
+        // Initial setup
+        toggleCustomTable();
+        console.log('OCV to SoC Estimator Initialized.');
+    }
+};
+
+export default ocvSocCalculator;
\ No newline at end of file
@@ -0,0 +1,207 @@
+// parameterSweep.js
+// Evaluates a calculator over a range of one numeric input, using only its `fields` metadata and
+// compute(): the other inputs keep their current values. Results are shown as a table and a chart
+// of a chosen output against the swept input. The DOM-free part is shared with the CLI (--sweep).
+
+import { fieldName, fieldUnit } from './fieldLabels.js';
+import { formComputeInputs } from './fieldState.js';
+import { toComputeUnits, fromComputeUnits, displayUnit } from './units.js';
+import { createLineChart, paddedDomain } from './svgChart.js';
+import { formatNumber } from './formatting.js';
+
+export const MAX_SWEEP_POINTS = 501;
+
+// --- Sweep Logic (DOM-free) ---
+export function sweepableFields(calculator) {
+    return calculator.fields.filter(field => !field.isSeparator && field.type === 'number' && !(field.attributes && field.attributes.readonly));
+}
+
+// Values from start to stop (either direction) in steps of |step|; stop is included when it falls on a step.
+export function sweepValues(start, stop, step) {
+    if ([start, stop, step].some(value => !Number.isFinite(value))) throw new Error('Start, stop and step must be valid numbers.');
+    if (step === 0) throw new Error('Step cannot be zero.');
+    const direction = stop >= start ? 1 : -1;
+    const increment = Math.abs(step) * direction;
+    const count = Math.floor(Math.abs(stop - start) / Math.abs(step) + 1e-9) + 1;
+    if (count > MAX_SWEEP_POINTS) throw new Error(`The sweep has ${count} points; use a larger step (at most ${MAX_SWEEP_POINTS} points).`);
+    // Computed from the index (not accumulated) so 0.1 steps do not drift; rounded to hide binary noise
+    return Array.from({ length: count }, (_, index) => parseFloat((start + index * increment).toPrecision(12)));
+}
+
+// Runs compute() once per value. Returns [{ value, outputs, errors }]; non-scalar outputs (tables,
+// trajectories) are dropped.
+export function runSweep(calculator, baseInputs, fieldId, values) {
+    return values.map(value => {
+        const { outputs, errors } = calculator.compute({ ...baseInputs, [fieldId]: value });
+        const scalars = Object.fromEntries(Object.entries(outputs).filter(([, output]) => output === null || typeof output !== 'object'));
+        return { value, outputs: scalars, errors };
+    });
+}
+
+// Parses "<field-id>=<start>:<stop>:<step>" as used by the CLI.
+export function parseSweepSpec(spec) {
+    const match = String(spec).match(/^([^=]+)=([^:]+):([^:]+):([^:]+)$/);
+    if (!match) throw new Error(`Sweep must look like <field-id>=<start>:<stop>:<step>, got "${spec}".`);
+    return { fieldId: match[1], start: parseFloat(match[2]), stop: parseFloat(match[3]), step: parseFloat(match[4]) };
+}
+
+// --- Panel Wiring ---
+// panelElement is the '.sweep-panel' <details> rendered by main.js; the controls are built here.
+export function initSweepPanel(calculator, sectionElement, panelElement) {
+    const candidates = sweepableFields(calculator);
+    if (candidates.length === 0) {
+        panelElement.remove();
+        return;
+    }
+    const fieldById = Object.fromEntries(calculator.fields.filter(field => !field.isSeparator).map(field => [field.id, field]));
+    const unitOf = field => (field.unit ? displayUnit(sectionElement, field) : fieldUnit(field));
+    const titleOf = field => `${fieldName(field)}${unitOf(field) ? ` [${unitOf(field)}]` : ''}`;
+    const formatOf = id => (fieldById[id] && fieldById[id].format) || {};
+
+    // --- Controls ---
+    const controls = document.createElement('div');
+    controls.className = 'sweep-controls';
+    const fieldSelect = document.createElement('select');
+    fieldSelect.setAttribute('aria-label', 'Input to sweep');
+    candidates.forEach(field => fieldSelect.appendChild(new Option(fieldName(field), field.id)));
+    const rangeInputs = ['Start', 'Stop', 'Step'].map(name => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.placeholder = name;
+        input.setAttribute('aria-label', name);
+        return input;
+    });
+    const runButton = document.createElement('button');
+    runButton.type = 'button';
+    runButton.className = 'actionBtn';
+    runButton.textContent = 'Run Sweep';
+    const unitHint = document.createElement('span');
+    unitHint.className = 'sweep-unit';
+    controls.append(fieldSelect, ...rangeInputs, unitHint, runButton);
+
+    const message = document.createElement('p');
+    message.className = 'sweep-message';
+    const plotSelect = document.createElement('select');
+    plotSelect.setAttribute('aria-label', 'Output to plot');
+    const plotRow = document.createElement('div');
+    plotRow.className = 'sweep-controls';
+    const plotLabel = document.createElement('span');
+    plotLabel.textContent = 'Plot:';
+    plotRow.append(plotLabel, plotSelect);
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'chart-container';
+    const tableContainer = document.createElement('div');
+    tableContainer.className = 'result-table-container';
+    panelElement.append(controls, message, plotRow, chartContainer, tableContainer);
+    const chart = createLineChart(chartContainer, {});
+
+    let lastRun = null; // { field, rows, outputIds }
+
+    function updateUnitHint() {
+        unitHint.textContent = unitOf(fieldById[fieldSelect.value]);
+    }
+
+    function showMessage(text, isError = false) {
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    }
+
+    function renderTable(field, rows, outputIds) {
+        const table = document.createElement('table');
+        table.className = 'result-table';
+        const headerRow = table.createTHead().insertRow();
+        [titleOf(field), ...outputIds.map(id => (fieldById[id] ? titleOf(fieldById[id]) : id)), 'Errors'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tr = body.insertRow();
+            if (row.errors.length > 0) tr.className = 'limit-reached';
+            [row.value, ...outputIds.map(id => row.outputs[id]), row.errors.join(' ')].forEach((value, index) => {
+                const td = tr.insertCell();
+                // The swept value is shown as entered; outputs use their field's format
+                if (typeof value === 'number') td.textContent = index === 0 ? String(value) : formatNumber(value, formatOf(outputIds[index - 1]));
+                else {
+                    td.textContent = value === undefined ? '' : String(value);
+                    if (index > 0) td.className = 'text-cell';
+                }
+            });
+        });
+        tableContainer.replaceChildren(table);
+    }
+
+    // Points without a numeric result break the line into separate segments.
+    function renderChart() {
+        if (!lastRun || plotSelect.value === '') {
+            chart.showMessage(lastRun ? 'No numeric output to plot.' : 'Pick an input and a range, then run the sweep.');
+            return;
+        }
+        const { field, rows } = lastRun;
+        const outputId = plotSelect.value;
+        const segments = [[]];
+        rows.forEach(row => {
+            const y = row.outputs[outputId];
+            if (typeof y === 'number' && Number.isFinite(y)) segments[segments.length - 1].push([row.value, y]);
+            else if (segments[segments.length - 1].length > 0) segments.push([]);
+        });
+        const points = segments.flat();
+        if (points.length === 0) {
+            chart.showMessage('The selected output has no values in this range.');
+            return;
+        }
+        chart.render({
+            xDomain: paddedDomain(rows.map(row => row.value), 0),
+            yDomain: paddedDomain(points.map(([, y]) => y)),
+            xLabel: titleOf(field),
+            yLabel: fieldById[outputId] ? titleOf(fieldById[outputId]) : outputId,
+            series: segments.filter(segment => segment.length > 0).map(segment => ({ points: segment })),
+            // A single point has no line to draw, so mark it instead
+            markers: points.length === 1 ? [{ id: 'single', x: points[0][0], y: points[0][1] }] : []
+        });
+    }
+
+    function runSweepFromForm() {
+        const field = fieldById[fieldSelect.value];
+        const [start, stop, step] = rangeInputs.map(input => parseFloat(input.value));
+        let values;
+        try {
+            values = sweepValues(start, stop, step);
+        } catch (error) {
+            showMessage(error.message, true);
+            return;
+        }
+
+        // The range is entered in the swept field's selected unit; results come back in the form's units
+        const computeValues = values.map(value => toComputeUnits(calculator, sectionElement, { [field.id]: value })[field.id]);
+        const rows = runSweep(calculator, formComputeInputs(calculator, sectionElement), field.id, computeValues).map((row, index) => ({
+            value: values[index],
+            outputs: fromComputeUnits(calculator, sectionElement, row.outputs),
+            errors: row.errors
+        }));
+        const outputIds = [...new Set(rows.flatMap(row => Object.keys(row.outputs)))].filter(id => id !== field.id);
+        const failed = rows.filter(row => row.errors.length > 0).length;
+        showMessage(`${rows.length} point${rows.length === 1 ? '' : 's'} evaluated${failed > 0 ? `, ${failed} with errors` : ''}.`, failed === rows.length);
+
+        const numericIds = outputIds.filter(id => rows.some(row => typeof row.outputs[id] === 'number'));
+        const previous = plotSelect.value;
+        plotSelect.replaceChildren(...numericIds.map(id => new Option(fieldById[id] ? fieldName(fieldById[id]) : id, id)));
+        if (numericIds.includes(previous)) plotSelect.value = previous;
+
+        lastRun = { field, rows, outputIds };
+        renderTable(field, rows, outputIds);
+        renderChart();
+    }
+
+    fieldSelect.addEventListener('change', updateUnitHint);
+    sectionElement.addEventListener('unitchange', updateUnitHint);
+    sectionElement.addEventListener('formatchange', () => { if (lastRun) renderTable(lastRun.field, lastRun.rows, lastRun.outputIds); });
+    plotSelect.addEventListener('change', renderChart);
+    runButton.addEventListener('click', runSweepFromForm);
+    rangeInputs.forEach(input => input.addEventListener('keydown', event => { if (event.key === 'Enter') runSweepFromForm(); }));
+
+    updateUnitHint();
+    renderChart();
+}
\ No newline at end of file
@@ -1,5 +1,118 @@
 // powerFactorCalculator.js
 
+import { getField, fieldIdOf } from './fieldHelpers.js';
+import { toComputeUnits, fromComputeUnits } from './units.js';
+import { validateInputs } from './validation.js';
+import { fieldName } from './fieldLabels.js';
+import { formatFieldValue } from './formatting.js';
+import { given, derived } from './derivation.js';
+
+// --- Sign Conventions ---
+// P and Q use the metering (load) reference: P > 0 = import / consume, P < 0 = export / inject;
+// Q > 0 = absorbing VARs (inductive), Q < 0 = injecting VARs (capacitive).
+// Lagging when P and Q have the same sign (Q1, Q3), leading when they differ (Q2, Q4).
+const QUADRANTS = {
+    1: 'Q1: Import P, Absorb Q (Lagging)',
+    2: 'Q2: Export P, Absorb Q (Leading)',
+    3: 'Q3: Export P, Inject Q (Lagging)',
+    4: 'Q4: Import P, Inject Q (Leading)'
+};
+
+// Formulas behind each case of the pairKey switch in compute(), in solving order, for the derivation
+// steps. Each entry is [solved key, formula, substitution from the shown values].
+const PAIR_FORMULAS = {
+    'kva-kw': [['kvar', 'Q = √(S² − P²)', v => `√((${v.kva})² − (${v.kw})²)`], ['pf', 'PF = P / S', v => `${v.kw} / ${v.kva}`]],
+    'kvar-kw': [['kva', 'S = √(P² + Q²)', v => `√((${v.kw})² + (${v.kvar})²)`], ['pf', 'PF = P / S', v => `${v.kw} / ${v.kva}`]],
+    'kw-pf': [['kva', 'S = P / PF', v => `${v.kw} / ${v.pf}`], ['kvar', 'Q = √(S² − P²)', v => `√((${v.kva})² − (${v.kw})²)`]],
+    'kva-kvar': [['kw', 'P = √(S² − Q²)', v => `√((${v.kva})² − (${v.kvar})²)`], ['pf', 'PF = P / S', v => `${v.kw} / ${v.kva}`]],
+    'kva-pf': [['kw', 'P = S · PF', v => `${v.kva} · ${v.pf}`], ['kvar', 'Q = √(S² − P²)', v => `√((${v.kva})² − (${v.kw})²)`]],
+    'kvar-pf': [['kw', 'P = Q / tan(acos PF)', v => `${v.kvar} / tan(acos ${v.pf})`], ['kva', 'S = Q / sin(acos PF)', v => `${v.kvar} / sin(acos ${v.pf})`]]
+};
+
+const QUANTITY_UNITS = { kw: 'W', kvar: 'VAR', kva: 'VA', pf: '' };
+const QUANTITY_NAMES = { kw: 'P', kvar: 'Q', kva: 'S', pf: 'PF' };
+
+function describeQuadrant(kw, kvar) {
+    const tolerance = 1e-9;
+    if (Math.abs(kvar) < tolerance) return Math.abs(kw) < tolerance ? 'No power flow' : `On P axis: ${kw > 0 ? 'Import' : 'Export'} P only`;
+    if (Math.abs(kw) < tolerance) return `On Q axis: ${kvar > 0 ? 'Absorb' : 'Inject'} Q only`;
+    if (kw > 0) return QUADRANTS[kvar > 0 ? 1 : 4];
+    return QUADRANTS[kvar > 0 ? 2 : 3];
+}
+
+// --- Power Factor Correction (DOM-free) ---
+// Sizes a three-phase shunt capacitor bank that brings the solved P/Q up to a target (lagging) PF.
+// Qc = Q - |P| * tan(acos(PF_target)); per-phase capacitance C = Q_phase / (2*pi*f * V_phase^2):
+//   Wye bank   (V_phase = V_LL / sqrt(3)): C = Qc / (2*pi*f * V_LL^2)
+//   Delta bank (V_phase = V_LL):           C = Qc / (3 * 2*pi*f * V_LL^2)
+const CORRECTION_IDS = ['correction-target-pf', 'correction-voltage-ll', 'correction-frequency'];
+
+function computeCorrection({ kw, kvar, kva }, inputs) {
+    const validation = validateInputs(powerFactorCalculator, inputs, CORRECTION_IDS);
+    if (!validation.valid) {
+        // Choosing the correction mode asks for it, so blank inputs are reported before any is typed
+        const missing = powerFactorCalculator.fields.filter(field => validation.fieldErrors[field.id] === 'Required.');
+        const errors = validation.errors.length > 0 ? validation.errors : [`Please fill in: ${missing.map(fieldName).join(', ')}.`];
+        return { outputs: {}, errors };
+    }
+    const [targetPf, voltageLL, frequency] = CORRECTION_IDS.map(id => parseFloat(inputs[id]));
+
+    // Q = 0 (unity PF) needs no compensation and falls through to zero below
+    if (kvar < 0) {
+        return { outputs: {}, errors: ['Reactive power is already being injected (Q < 0); shunt capacitors cannot improve the PF.'] };
+    }
+
+    const targetKvar = Math.abs(kw) * Math.tan(Math.acos(targetPf));
+    // Already at or better than the target: no compensation needed.
+    const compensation = Math.max(0, kvar - targetKvar);
+    const omega = 2 * Math.PI * frequency;
+    const correctedKva = Math.hypot(kw, kvar - compensation);
+    const outputs = {
+        'compensation-kvar': compensation,
+        'capacitance-wye': (compensation / (omega * voltageLL * voltageLL)) * 1e6,
+        'capacitance-delta': (compensation / (3 * omega * voltageLL * voltageLL)) * 1e6,
+        'kva-corrected': correctedKva,
+        'kva-reduction': kva - correctedKva,
+        'kva-reduction-percent': kva > 0 ? ((kva - correctedKva) / kva) * 100 : 0
+    };
+
+    const capacitanceText = `${derived(compensation, 'VAR')} / (2π · ${given(frequency, 'Hz')} · (${given(voltageLL, 'V')})²)`;
+    const steps = [
+        {
+            title: 'Reactive power at the target PF',
+            formula: 'Q_target = |P| · tan(acos PF_target)',
+            substitution: `${derived(Math.abs(kw), 'W')} · tan(acos ${given(targetPf)})`,
+            result: derived(targetKvar, 'VAR')
+        },
+        {
+            title: 'Required compensation',
+            formula: 'Q_c = max(0, Q − Q_target)',
+            substitution: `max(0, ${derived(kvar, 'VAR')} − ${derived(targetKvar, 'VAR')})`,
+            result: derived(compensation, 'VAR'),
+            note: compensation === 0 ? 'the PF already meets the target' : ''
+        },
+        {
+            title: 'Capacitance per phase, wye bank (V_phase = V_LL / √3)',
+            formula: 'C_Y = Q_c / (2π · f · V_LL²)',
+            substitution: capacitanceText,
+            result: derived(outputs['capacitance-wye'], 'µF')
+        },
+        {
+            title: 'Capacitance per phase, delta bank (V_phase = V_LL)',
+            formula: 'C_Δ = Q_c / (3 · 2π · f · V_LL²)',
+            substitution: `${derived(compensation, 'VAR')} / (3 · 2π · ${given(frequency, 'Hz')} · (${given(voltageLL, 'V')})²)`,
+            result: derived(outputs['capacitance-delta'], 'µF')
+        },
+        {
+            title: 'Corrected apparent power',
+            formula: 'S_new = √(P² + (Q − Q_c)²)',
+            substitution: `√((${derived(kw, 'W')})² + (${derived(kvar, 'VAR')} − ${derived(compensation, 'VAR')})²)`,
+            result: derived(correctedKva, 'VA')
+        }
+    ];
+    return { outputs, errors: [], steps };
+}
+
 // --- Utility Function (debounce) ---
 // This remains a module-scoped helper function.
 function debounce(func, wait) {
@@ -19,49 +132,242 @@ const powerFactorCalculator = {
     // 1. METADATA for HTML Generation
     id: 'power-factor',
     title: 'Power Factor',
-    description: 'Enter exactly two values (kW, kVA, kVAR, or PF) to calculate the others.',
+    description: 'Enter exactly two values (P, Q, S or PF) to calculate the others. P and Q are signed (+ import / absorb, − export / inject); choose how the PF sign is reported.',
 
     // 2. FIELD DEFINITIONS for HTML Generation
     // All fields are interactive, so none are 'readonly' by default.
     // The init logic will dynamically set readonly status on calculated fields.
     fields: [
+        {
+            id: 'pf-convention',
+            label: 'PF Sign Convention:',
+            type: 'select',
+            options: [
+                { value: 'unsigned', text: 'Unsigned PF (0 to 1) with Lagging/Leading' },
+                { value: 'ieee', text: 'IEEE: + Lagging, − Leading' },
+                { value: 'iec', text: 'IEC: PF sign follows P (+ Import, − Export)' }
+            ]
+        },
+        {
+            id: 'pf-type',
+            label: 'Lagging / Leading (when not set by the entered signs):',
+            type: 'select',
+            options: [
+                { value: 'lagging', text: 'Lagging (inductive)' },
+                { value: 'leading', text: 'Leading (capacitive)' }
+            ]
+        },
         {
             id: 'kw',
-            label: 'Real Power (P) [W]:',
+            label: 'Real Power (P):',
+            unit: 'W',
             type: 'number',
             placeholder: 'Enter value',
             attributes: { step: 'any' }
         },
         {
             id: 'kvar',
-            label: 'Reactive Power (Q) [VAR]:',
+            label: 'Reactive Power (Q):',
+            unit: 'VAR',
             type: 'number',
             placeholder: 'Enter value',
             attributes: { step: 'any' }
         },
         {
             id: 'kva',
-            label: 'Apparent Power (S) [VA]:',
+            label: 'Apparent Power (S):',
+            unit: 'VA',
             type: 'number',
             placeholder: 'Enter value',
-            attributes: { step: 'any' }
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0 }
         },
         {
             id: 'pf',
             label: 'Power Factor (PF):',
             type: 'number',
+            quantity: 'power-factor',
+            format: { decimals: 3 },
             placeholder: 'Enter value (0-1)',
-            attributes: { step: 'any', min: '0', max: '1' }
-        }
+            attributes: { step: 'any', min: '-1', max: '1' },
+            validation: { min: -1, max: 1 }
+        },
+        { isSeparator: true },
+        {
+            id: 'correction-mode',
+            label: 'Mode:',
+            type: 'select',
+            options: [
+                { value: 'solve', text: 'Solve Power Triangle' },
+                { value: 'correct', text: 'Solve + Correct to Target PF (Capacitor Sizing)' }
+            ]
+        },
+        {
+            id: 'pf-character',
+            label: 'Power Factor Character:',
+            type: 'text',
+            placeholder: 'Calculated',
+            attributes: { readonly: true, style: 'font-weight: bold;' }
+        },
+        {
+            id: 'quadrant',
+            label: 'Operating Quadrant:',
+            type: 'text',
+            placeholder: 'Calculated',
+            attributes: { readonly: true, style: 'font-weight: bold;' }
+        },
+        // PF Correction (shown in 'correct' mode)
+        { id: 'correction-target-pf', label: 'Target PF (Lagging):', type: 'number', placeholder: 'e.g., 0.95', attributes: { step: 'any', min: '0', max: '1' }, validation: { required: true, exclusiveMin: 0, max: 1, when: { 'correction-mode': 'correct' } } },
+        { id: 'correction-voltage-ll', label: 'System Voltage (V<sub>L-L</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 480', attributes: { step: 'any', min: '0' }, validation: { required: true, exclusiveMin: 0, when: { 'correction-mode': 'correct' } } },
+        { id: 'correction-frequency', label: 'System Frequency [Hz]:', type: 'number', placeholder: 'e.g., 50 or 60', attributes: { step: 'any', min: '0' }, validation: { required: true, exclusiveMin: 0, when: { 'correction-mode': 'correct' } } },
+        { id: 'compensation-kvar', label: 'Required Compensation (Q<sub>c</sub>):', unit: 'VAR', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'capacitance-wye', label: 'Capacitance per Phase, Wye Bank [µF]:', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'capacitance-delta', label: 'Capacitance per Phase, Delta Bank [µF]:', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'kva-corrected', label: 'Corrected Apparent Power (S<sub>new</sub>):', unit: 'VA', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'kva-reduction', label: 'Apparent Power Reduction:', unit: 'VA', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'kva-reduction-percent', label: 'Apparent Power Reduction [%]:', type: 'number', format: { decimals: 2 }, placeholder: 'Calculated', attributes: { readonly: true } }
     ],
 
-    // 3. INITIALIZATION LOGIC (The original 'init' function)
+    // 3. COMPUTE LOGIC (DOM-free)
+    // Accepts raw values keyed by field id (numbers or numeric strings; blanks are ignored).
+    // Exactly two of kw, kvar, kva and pf must be provided. Returns all four values, signed per
+    // 'pf-convention' ('unsigned' | 'ieee' | 'iec'), plus 'pf-character' and 'quadrant'.
+    // Where the entered values cannot fix a sign, 'pf-type' ('lagging' | 'leading') decides it,
+    // and P is assumed to be import (positive).
+    // In 'correction-mode' = 'correct', the capacitor sizing outputs are added (see computeCorrection).
+    compute(inputs) {
+        const errors = [];
+        const providedValues = {};
+        const convention = inputs['pf-convention'] || 'unsigned';
+        const pfType = inputs['pf-type'] || 'lagging';
+
+        // The correction fields are checked separately (see computeCorrection)
+        const validation = validateInputs(powerFactorCalculator, inputs, ['kw', 'kvar', 'kva', 'pf']);
+        if (!validation.valid) return { outputs: {}, errors: validation.errors };
+        ['kw', 'kvar', 'kva', 'pf'].forEach(key => {
+            const rawValue = inputs[key];
+            if (rawValue !== undefined && rawValue !== null && String(rawValue).trim() !== '') providedValues[key] = parseFloat(rawValue);
+        });
+        // The PF range depends on the sign convention
+        if (convention === 'unsigned' && providedValues.pf < 0) errors.push('Power Factor (PF) must be ≥ 0 in the unsigned convention.');
+        if (errors.length > 0) return { outputs: {}, errors };
+
+        const validCount = Object.keys(providedValues).length;
+        if (validCount !== 2) {
+            if (validCount > 2) { errors.push("Please provide exactly two values."); }
+            else if (validCount === 1) { errors.push("Please provide one more value."); }
+            return { outputs: {}, errors };
+        }
+
+        // --- Signs ---
+        // Work out the sign of P and Q first; the magnitudes are then solved on absolute values.
+        const has = key => providedValues[key] !== undefined;
+        const signOf = value => (value < 0 ? -1 : 1);
+        let signP = has('kw') && providedValues.kw !== 0 ? signOf(providedValues.kw) : null;
+        let signQ = has('kvar') && providedValues.kvar !== 0 ? signOf(providedValues.kvar) : null;
+        const pfSign = has('pf') && providedValues.pf !== 0 ? signOf(providedValues.pf) : null;
+
+        if (convention === 'iec' && pfSign !== null) {
+            if (signP !== null && signP !== pfSign) {
+                errors.push('Under the IEC convention the PF sign must match the sign of P.');
+                return { outputs: {}, errors };
+            }
+            signP = pfSign;
+        }
+
+        let lagging;
+        let characterSource;
+        if (signP !== null && signQ !== null) { lagging = signP === signQ; characterSource = 'the signs of P and Q'; }
+        else if (convention === 'ieee' && pfSign !== null) { lagging = pfSign > 0; characterSource = 'the sign of the IEEE PF'; }
+        else { lagging = pfType !== 'leading'; characterSource = 'the Lagging / Leading selection'; }
+
+        if (signP === null) signP = signQ !== null ? (lagging ? signQ : -signQ) : 1;
+        if (signQ === null) signQ = lagging ? signP : -signP;
+
+        const magnitudeValues = Object.fromEntries(Object.entries(providedValues).map(([key, value]) => [key, Math.abs(value)]));
+
+        let results = { kw: NaN, kva: NaN, kvar: NaN, pf: NaN };
+        const sortedKeys = Object.keys(magnitudeValues).sort();
+        const pairKey = `${sortedKeys[0]}-${sortedKeys[1]}`;
+        try {
+             switch (pairKey) {
+                case 'kva-kw': { const { kw, kva } = magnitudeValues; if (kva === 0 && kw !== 0) throw new Error("kVA cannot be 0 if kW is non-zero."); if (Math.abs(kw) > Math.abs(kva)) throw new Error("Absolute kW cannot be greater than absolute kVA."); results.kw = kw; results.kva = kva; results.pf = (kva === 0) ? (kw === 0 ? 1 : NaN) : kw / kva; results.kvar = (kva*kva < kw*kw) ? 0 : Math.sqrt(kva*kva - kw*kw); if (isNaN(results.pf)) throw new Error("Calculation resulted in undefined PF."); break; }
+                case 'kvar-kw': { const { kw, kvar } = magnitudeValues; results.kw = kw; results.kvar = kvar; results.kva = Math.sqrt(kw*kw + kvar*kvar); results.pf = (results.kva === 0) ? (kw === 0 ? 1 : NaN) : kw / results.kva; if (isNaN(results.pf)) throw new Error("Calculation resulted in undefined PF."); break; }
+                case 'kw-pf': { const { kw, pf } = magnitudeValues; if (pf === 0 && kw !== 0) throw new Error("PF cannot be 0 if kW is non-zero."); if (pf < 0 || pf > 1) throw new Error("PF must be between 0 and 1."); results.kw = kw; results.pf = pf; results.kva = (pf === 0) ? (kw === 0 ? 0 : Infinity) : kw / pf; if (!isFinite(results.kva)) throw new Error("kVA is infinite (PF=0 with non-zero kW)."); results.kvar = (results.kva*results.kva < kw*kw) ? 0 : Math.sqrt(results.kva*results.kva - kw*kw); break; }
+                case 'kva-kvar': { const { kva, kvar } = magnitudeValues; if (Math.abs(kvar) > Math.abs(kva)) throw new Error("Absolute kVAR cannot be greater than absolute kVA."); results.kva = kva; results.kvar = kvar; results.kw = (kva*kva < kvar*kvar) ? 0 : Math.sqrt(kva*kva - kvar*kvar); results.pf = (kva === 0) ? (results.kw === 0 ? 1: NaN) : results.kw / kva; if (isNaN(results.pf)) throw new Error("Calculation resulted in undefined PF."); break; }
+                case 'kva-pf': { const { kva, pf } = magnitudeValues; if (pf < 0 || pf > 1) throw new Error("PF must be between 0 and 1."); results.kva = kva; results.pf = pf; results.kw = kva * pf; results.kvar = (kva*kva < results.kw*results.kw) ? 0 : Math.sqrt(kva*kva - results.kw*results.kw); break; }
+                case 'kvar-pf': { const { kvar, pf } = magnitudeValues; if (pf < 0 || pf > 1) throw new Error("PF must be between 0 and 1."); results.kvar = kvar; results.pf = pf; if (pf === 1 && kvar !== 0) throw new Error("PF cannot be 1 if kVAR is non-zero."); if (pf === 0 && kvar === 0) { results.kw = 0; results.kva = 0; } else if (pf === 1) { throw new Error("Cannot calculate from kVAR and PF=1. Please provide kW or kVA instead."); } else if (pf === 0) { results.kw = 0; results.kva = Math.abs(kvar); } else { const angle = Math.acos(pf); if (Math.abs(pf) < 1e-9) { results.kw = 0; } else { results.kw = kvar / Math.tan(angle); } if (Math.abs(pf - 1.0) < 1e-9) { results.kva = Math.abs(results.kw); } else { results.kva = kvar / Math.sin(angle); } } break; }
+                default: throw new Error("Invalid input pair detected.");
+             }
+        } catch (error) {
+             errors.push(`Calculation Error: ${error.message}`);
+             return { outputs: {}, errors };
+        }
+
+        // --- Apply Signs ---
+        const kw = Math.abs(results.kw) * signP;
+        const kvar = Math.abs(results.kvar) * signQ;
+        const pfMagnitude = Math.abs(results.pf);
+        const isUnity = Math.abs(kvar) < 1e-9 || Math.abs(pfMagnitude - 1) < 1e-9;
+        let pf = pfMagnitude;
+        if (convention === 'ieee') pf = (isUnity || lagging) ? pfMagnitude : -pfMagnitude;
+        else if (convention === 'iec') pf = pfMagnitude * signP;
+
+        const outputs = {
+            kw,
+            kvar,
+            kva: Math.abs(results.kva),
+            pf,
+            'pf-character': isUnity ? 'Unity' : (lagging ? 'Lagging' : 'Leading'),
+            quadrant: describeQuadrant(kw, kvar)
+        };
+
+        // --- Derivation ---
+        // The triangle is solved on magnitudes; entered values are shown as given, solved ones rounded.
+        const shown = Object.fromEntries(Object.keys(QUANTITY_UNITS).map(key =>
+            [key, (has(key) ? given : derived)(Math.abs(results[key]), QUANTITY_UNITS[key])]));
+        const steps = [
+            {
+                title: `Input pair "${pairKey}": ${sortedKeys.map(key => QUANTITY_NAMES[key]).join(' and ')} entered`,
+                note: 'the power triangle is solved on magnitudes; signs are applied afterwards'
+            },
+            ...PAIR_FORMULAS[pairKey].map(([key, formula, substitute]) => ({
+                title: `Solve ${QUANTITY_NAMES[key]}`,
+                formula,
+                substitution: substitute(shown),
+                result: shown[key]
+            })),
+            {
+                title: 'Signs and PF convention',
+                formula: `P ${signP > 0 ? '> 0 (import)' : '< 0 (export)'}, Q ${signQ > 0 ? '> 0 (absorb)' : '< 0 (inject)'}`,
+                result: `${derived(pf, '', { decimals: 3 })} (${outputs['pf-character']}, ${convention} convention)`,
+                note: `${lagging ? 'lagging' : 'leading'} from ${characterSource}; ${outputs.quadrant}`
+            }
+        ];
+
+        if (inputs['correction-mode'] === 'correct') {
+            const correction = computeCorrection(outputs, inputs);
+            Object.assign(outputs, correction.outputs);
+            errors.push(...correction.errors);
+            if (correction.steps) steps.push(...correction.steps);
+        }
+        return { outputs, errors, steps };
+    },
+
+    // 4. INITIALIZATION LOGIC (UI adapter over compute)
     init(sectionElement) {
         // Find elements
-        const kwInput = sectionElement.querySelector('#kw');
-        const kvaInput = sectionElement.querySelector('#kva');
-        const kvarInput = sectionElement.querySelector('#kvar');
-        const pfInput = sectionElement.querySelector('#pf');
+        const kwInput = getField(sectionElement, 'kw');
+        const kvaInput = getField(sectionElement, 'kva');
+        const kvarInput = getField(sectionElement, 'kvar');
+        const pfInput = getField(sectionElement, 'pf');
+        const conventionSelect = getField(sectionElement, 'pf-convention');
+        const pfTypeSelect = getField(sectionElement, 'pf-type');
+        const pfCharacterOutput = getField(sectionElement, 'pf-character');
+        const quadrantOutput = getField(sectionElement, 'quadrant');
+        const correctionModeSelect = getField(sectionElement, 'correction-mode');
+        const correctionInputs = ['correction-target-pf', 'correction-voltage-ll', 'correction-frequency'].map(id => getField(sectionElement, id));
+        const correctionOutputs = ['compensation-kvar', 'capacitance-wye', 'capacitance-delta', 'kva-corrected', 'kva-reduction', 'kva-reduction-percent'].map(id => getField(sectionElement, id));
         const clearBtn = sectionElement.querySelector('.clearBtn');
         const statusDiv = sectionElement.querySelector('.status');
         const inputs = [kwInput, kvaInput, kvarInput, pfInput];
@@ -75,8 +381,8 @@ const powerFactorCalculator = {
         function clearStatus() { statusDiv.textContent = ''; }
 
         function resetPlaceholder(inputElement) {
-            switch (inputElement.id) {
-                case 'pf': inputElement.placeholder = 'Enter value (0-1)'; break;
+            switch (fieldIdOf(inputElement)) {
+                case 'pf': inputElement.placeholder = conventionSelect.value === 'unsigned' ? 'Enter value (0-1)' : 'Enter value (-1 to 1)'; break;
                 default: inputElement.placeholder = 'Enter value'; break;
             }
         }
@@ -87,7 +393,19 @@ const powerFactorCalculator = {
             else if (!isReadOnly) { if (inputElement.value === '') { resetPlaceholder(inputElement); } }
         }
         
+        function resetSignOutputs() {
+            pfCharacterOutput.value = '';
+            quadrantOutput.value = '';
+            correctionOutputs.forEach(output => { output.value = ''; });
+        }
+
+        function toggleCorrectionFields() {
+            const display = correctionModeSelect.value === 'correct' ? '' : 'none';
+            [...correctionInputs, ...correctionOutputs].forEach(element => { element.parentElement.style.display = display; });
+        }
+
         function resetToInitialState() {
+             resetSignOutputs();
              initialCalculationDone = false;
              sourceFieldIds = [];
              inputs.forEach(input => {
@@ -107,92 +425,58 @@ const powerFactorCalculator = {
                 setReadOnly(input, false);
                 resetPlaceholder(input);
             });
+            correctionInputs.forEach(input => { input.value = ''; });
+            resetSignOutputs();
             clearStatus();
             kwInput.focus();
         }
 
         // --- Main Calculation Logic ---
         function calculatePowerFactor() {
-            // (The entire, complex calculatePowerFactor function from your original
-            // file goes here, without any changes to its internal logic.)
             clearStatus();
-            let currentValidInputs = {};
-            let sourceValues = {};
-            let targetFieldIds = [];
-    
-            if (initialCalculationDone) {
-                let proceedRecalc = true;
-                sourceFieldIds.forEach(id => {
-                    const inputElement = inputs.find(el => el.id === id);
-                    const value = parseFloat(inputElement.value);
-                    if (inputElement.value.trim() === '' || isNaN(value)) { statusDiv.textContent = `Please provide a valid number for ${id.toUpperCase()}.`; proceedRecalc = false; }
-                    else if ((id === 'kw' || id === 'kva' || id === 'kvar') && value < 0) { statusDiv.textContent = `Value for ${id.toUpperCase()} cannot be negative.`; proceedRecalc = false; }
-                    else if (id === 'pf' && (value < 0 || value > 1)) { statusDiv.textContent = "Power Factor (PF) must be between 0 and 1."; proceedRecalc = false; }
-                    if (!proceedRecalc) { resetToInitialState(); return; }
-                    sourceValues[id] = value;
-                });
-                if (!proceedRecalc) return;
-                currentValidInputs = sourceValues;
-                targetFieldIds = inputs.map(inp => inp.id).filter(id => !sourceFieldIds.includes(id));
-            } else {
-                let potentialValidInputs = {};
-                let validCount = 0;
-                let hasInvalidFormat = false;
-                inputs.forEach(inputElement => {
-                    const key = inputElement.id;
-                    const value = parseFloat(inputElement.value);
-                    if (inputElement.value.trim() !== '') {
-                         if (!isNaN(value)) {
-                             if ((key === 'kw' || key === 'kva' || key === 'kvar') && value < 0) { statusDiv.textContent = `Value for ${key.toUpperCase()} cannot be negative.`; hasInvalidFormat = true; }
-                             else if (key === 'pf' && (value < 0 || value > 1)) { statusDiv.textContent = "Power Factor (PF) must be between 0 and 1."; hasInvalidFormat = true; }
-                             else { potentialValidInputs[key] = value; validCount++; }
-                         } else { statusDiv.textContent = `Invalid number entered for ${key.toUpperCase()}.`; hasInvalidFormat = true; }
-                     }
-                });
-                if (hasInvalidFormat) { resetToInitialState(); return; }
-                if (validCount !== 2) {
-                     if (validCount > 2) { statusDiv.textContent = "Please provide exactly two values."; }
-                     else if (validCount === 1) { statusDiv.textContent = "Please provide one more value."; }
-                     else { clearStatus(); }
-                     resetToInitialState();
-                     return;
-                 }
-                 currentValidInputs = potentialValidInputs;
-                 sourceFieldIds = Object.keys(currentValidInputs);
-                 targetFieldIds = inputs.map(inp => inp.id).filter(id => !sourceFieldIds.includes(id));
-            }
-    
-            let results = { kw: NaN, kva: NaN, kvar: NaN, pf: NaN };
-            let calculationPossible = true;
-            try {
-                 const sortedKeys = Object.keys(currentValidInputs).sort();
-                 if (sortedKeys.length !== 2) throw new Error("Internal error: Expected 2 valid inputs.");
-                 const pairKey = `${sortedKeys[0]}-${sortedKeys[1]}`;
-                 switch (pairKey) {
-                    case 'kva-kw': { const { kw, kva } = currentValidInputs; if (kva === 0 && kw !== 0) throw new Error("kVA cannot be 0 if kW is non-zero."); if (Math.abs(kw) > Math.abs(kva)) throw new Error("Absolute kW cannot be greater than absolute kVA."); results.kw = kw; results.kva = kva; results.pf = (kva === 0) ? (kw === 0 ? 1 : NaN) : kw / kva; results.kvar = (kva*kva < kw*kw) ? 0 : Math.sqrt(kva*kva - kw*kw); if (isNaN(results.pf)) throw new Error("Calculation resulted in undefined PF."); break; }
-                    case 'kvar-kw': { const { kw, kvar } = currentValidInputs; results.kw = kw; results.kvar = kvar; results.kva = Math.sqrt(kw*kw + kvar*kvar); results.pf = (results.kva === 0) ? (kw === 0 ? 1 : NaN) : kw / results.kva; if (isNaN(results.pf)) throw new Error("Calculation resulted in undefined PF."); break; }
-                    case 'kw-pf': { const { kw, pf } = currentValidInputs; if (pf === 0 && kw !== 0) throw new Error("PF cannot be 0 if kW is non-zero."); if (pf < 0 || pf > 1) throw new Error("PF must be between 0 and 1."); results.kw = kw; results.pf = pf; results.kva = (pf === 0) ? (kw === 0 ? 0 : Infinity) : kw / pf; if (!isFinite(results.kva)) throw new Error("kVA is infinite (PF=0 with non-zero kW)."); results.kvar = (results.kva*results.kva < kw*kw) ? 0 : Math.sqrt(results.kva*results.kva - kw*kw); break; }
-                    case 'kva-kvar': { const { kva, kvar } = currentValidInputs; if (Math.abs(kvar) > Math.abs(kva)) throw new Error("Absolute kVAR cannot be greater than absolute kVA."); results.kva = kva; results.kvar = kvar; results.kw = (kva*kva < kvar*kvar) ? 0 : Math.sqrt(kva*kva - kvar*kvar); results.pf = (kva === 0) ? (results.kw === 0 ? 1: NaN) : results.kw / kva; if (isNaN(results.pf)) throw new Error("Calculation resulted in undefined PF."); break; }
-                    case 'kva-pf': { const { kva, pf } = currentValidInputs; if (pf < 0 || pf > 1) throw new Error("PF must be between 0 and 1."); results.kva = kva; results.pf = pf; results.kw = kva * pf; results.kvar = (kva*kva < results.kw*results.kw) ? 0 : Math.sqrt(kva*kva - results.kw*results.kw); break; }
-                    case 'kvar-pf': { const { kvar, pf } = currentValidInputs; if (pf < 0 || pf > 1) throw new Error("PF must be between 0 and 1."); results.kvar = kvar; results.pf = pf; if (pf === 1 && kvar !== 0) throw new Error("PF cannot be 1 if kVAR is non-zero."); if (pf === 0 && kvar === 0) { results.kw = 0; results.kva = 0; } else if (pf === 1) { throw new Error("Cannot calculate from kVAR and PF=1. Please provide kW or kVA instead."); } else if (pf === 0) { results.kw = 0; results.kva = Math.abs(kvar); } else { const angle = Math.acos(pf); if (Math.abs(pf) < 1e-9) { results.kw = 0; } else { results.kw = kvar / Math.tan(angle); } if (Math.abs(pf - 1.0) < 1e-9) { results.kva = Math.abs(results.kw); } else { results.kva = kvar / Math.sin(angle); } } break; }
-                    default: throw new Error("Invalid input pair detected.");
-                 }
-            } catch (error) {
-                 statusDiv.textContent = `Calculation Error: ${error.message}`;
-                 calculationPossible = false;
-                 resetToInitialState();
+
+            // Once a calculation has run, only the original source fields drive recalculation;
+            // the other fields hold calculated (readonly) values.
+            const drivingInputs = initialCalculationDone
+                ? inputs.filter(input => sourceFieldIds.includes(fieldIdOf(input)))
+                : inputs;
+            const rawValues = Object.fromEntries(drivingInputs.map(input => [fieldIdOf(input), input.value]));
+
+            const result = powerFactorCalculator.compute(toComputeUnits(powerFactorCalculator, sectionElement, {
+                ...rawValues,
+                ...Object.fromEntries(correctionInputs.map(input => [fieldIdOf(input), input.value])),
+                'pf-convention': conventionSelect.value,
+                'pf-type': pfTypeSelect.value,
+                'correction-mode': correctionModeSelect.value
+            }));
+            const outputs = fromComputeUnits(powerFactorCalculator, sectionElement, result.outputs);
+            const errors = result.errors;
+            // Errors without a power-triangle solution reset the form; correction errors are only reported.
+            statusDiv.textContent = errors.join(' ');
+            if (outputs.kw === undefined) {
+                resetToInitialState();
+                return;
             }
-    
-            if (calculationPossible) {
-                targetFieldIds.forEach(id => {
-                    const inputElement = inputs.find(el => el.id === id);
-                    let outputValue = Number(results[id]);
-                     if (isNaN(outputValue)) { inputElement.value = ''; setReadOnly(inputElement, false); resetPlaceholder(inputElement); }
-                     else { if (Math.abs(outputValue) < 1e-9) outputValue = 0; inputElement.value = outputValue.toFixed(3); setReadOnly(inputElement, true); }
-                });
-                 sourceFieldIds.forEach(id => { const inputElement = inputs.find(el => el.id === id); setReadOnly(inputElement, false); });
-                if (!initialCalculationDone) { initialCalculationDone = true; }
+
+            if (!initialCalculationDone) {
+                sourceFieldIds = Object.keys(rawValues).filter(id => rawValues[id].trim() !== '');
             }
+            const targetFieldIds = inputs.map(inp => fieldIdOf(inp)).filter(id => !sourceFieldIds.includes(id));
+
+            targetFieldIds.forEach(id => {
+                const inputElement = inputs.find(el => fieldIdOf(el) === id);
+                let outputValue = Number(outputs[id]);
+                 if (isNaN(outputValue)) { inputElement.value = ''; setReadOnly(inputElement, false); resetPlaceholder(inputElement); }
+                 else { if (Math.abs(outputValue) < 1e-9) outputValue = 0; inputElement.value = formatFieldValue(powerFactorCalculator, id, outputValue); setReadOnly(inputElement, true); }
+            });
+            sourceFieldIds.forEach(id => { const inputElement = inputs.find(el => fieldIdOf(el) === id); setReadOnly(inputElement, false); });
+            pfCharacterOutput.value = outputs['pf-character'];
+            quadrantOutput.value = outputs.quadrant;
+            correctionOutputs.forEach(output => {
+                const value = outputs[fieldIdOf(output)];
+                output.value = value === undefined ? '' : formatFieldValue(powerFactorCalculator, fieldIdOf(output), value);
+            });
+            if (!initialCalculationDone) { initialCalculationDone = true; }
         } // End calculatePowerFactor
 
         // --- Event Listeners ---
@@ -200,7 +484,22 @@ const powerFactorCalculator = {
         inputs.forEach(input => {
             input.addEventListener('input', debouncedCalculate);
         });
+        correctionInputs.forEach(input => {
+            input.addEventListener('input', debouncedCalculate);
+        });
+        [conventionSelect, pfTypeSelect, correctionModeSelect].forEach(select => {
+            select.addEventListener('change', () => {
+                if (fieldIdOf(select) === 'pf-convention' && pfInput.value === '') resetPlaceholder(pfInput);
+                if (fieldIdOf(select) === 'correction-mode') toggleCorrectionFields();
+                calculatePowerFactor();
+            });
+        });
         clearBtn.addEventListener('click', clearFields);
+        sectionElement.addEventListener('unitchange', calculatePowerFactor);
+        sectionElement.addEventListener('formatchange', calculatePowerFactor);
+
+        // Initial setup
+        toggleCorrectionFields();
 
         console.log('PF Calc Initialized: Dynamic recalculation active.');
     }
@@ -0,0 +1,151 @@
+// resultExport.js
+// Exports what a calculator currently shows: its inputs (with the selected units) and outputs as a
+// CSV row or a JSON document, or as a plain-text summary copied to the clipboard.
+// Only fields visible in the current mode are included; calculated values count as outputs.
+// The summary shows numeric outputs in the best-fitting unit ("2.5 MW"), see formatting.js.
+
+import { getField, getFieldLabel, isCalculated } from './fieldHelpers.js';
+import { fieldName, fieldUnit } from './fieldLabels.js';
+import { displayUnit } from './units.js';
+import { formatWithUnit } from './formatting.js';
+
+// --- Snapshot (DOM) ---
+// Returns { id, title, timestamp, inputs: [entry], outputs: [entry], status }
+// with entry = { id, label, value, unit, format } (value as shown in the form; select values as their
+// option text; format from the field definition).
+function takeSnapshot(calculator, sectionElement) {
+    const snapshot = { id: calculator.id, title: calculator.title, timestamp: new Date().toISOString(), inputs: [], outputs: [], status: '' };
+    calculator.fields.filter(field => !field.isSeparator).forEach(field => {
+        const element = getField(sectionElement, field.id);
+        if (!element || element.parentElement.style.display === 'none') return;
+        const labelElement = getFieldLabel(sectionElement, field.id);
+        // Labels can be rewritten by the module (e.g. the RTE measurement point), so prefer the rendered one
+        const labelField = { ...field, label: labelElement ? labelElement.innerHTML : field.label };
+        const value = element.tagName === 'SELECT' && element.selectedIndex >= 0 ? element.options[element.selectedIndex].text : element.value;
+        // Text such as a formatted duration ("1 hour, 14 minutes") already carries its unit
+        const spelledOut = value.trim() !== '' && !isNumeric(value);
+        const entry = {
+            id: field.id,
+            label: fieldName(labelField),
+            value,
+            unit: spelledOut ? '' : (field.unit ? displayUnit(sectionElement, field) : fieldUnit(labelField)),
+            format: field.format
+        };
+        (isCalculated(element) ? snapshot.outputs : snapshot.inputs).push(entry);
+    });
+    const statusElement = sectionElement.querySelector('.status');
+    snapshot.status = statusElement ? statusElement.textContent.trim() : '';
+    return snapshot;
+}
+
+// --- Formats (DOM-free) ---
+function isNumeric(value) {
+    return value.trim() !== '' && !isNaN(Number(value));
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function columnName(entry) {
+    return `${entry.label}${entry.unit ? ` [${entry.unit}]` : ''}`;
+}
+
+// One header row and one value row.
+function toCsv(snapshot) {
+    const entries = [...snapshot.inputs, ...snapshot.outputs];
+    const header = ['Calculator ID', 'Calculator', 'Timestamp', ...entries.map(columnName), 'Status'];
+    const row = [snapshot.id, snapshot.title, snapshot.timestamp, ...entries.map(entry => entry.value), snapshot.status];
+    return [header, row].map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Numeric strings become numbers so the document can be processed without re-parsing.
+function toJson(snapshot) {
+    const entriesById = entries => Object.fromEntries(entries.map(({ id, label, value, unit }) =>
+        [id, { label, value: isNumeric(value) ? Number(value) : value, ...(unit ? { unit } : {}) }]));
+    return JSON.stringify({
+        calculator: { id: snapshot.id, title: snapshot.title },
+        timestamp: snapshot.timestamp,
+        inputs: entriesById(snapshot.inputs),
+        outputs: entriesById(snapshot.outputs),
+        status: snapshot.status
+    }, null, 2);
+}
+
+function toSummary(snapshot) {
+    const line = entry => `  ${entry.label}: ${entry.value === '' ? '—' : entry.value}${entry.unit && entry.value !== '' ? ` ${entry.unit}` : ''}`;
+    const outputLine = entry => (isNumeric(entry.value) && entry.unit
+        ? `  ${entry.label}: ${formatWithUnit(Number(entry.value), entry.unit, entry.format)}`
+        : line(entry));
+    return [
+        `${snapshot.title} (${snapshot.id})`,
+        snapshot.timestamp,
+        '',
+        'Inputs:',
+        ...snapshot.inputs.map(line),
+        '',
+        'Outputs:',
+        ...snapshot.outputs.map(outputLine),
+        ...(snapshot.status ? ['', `Status: ${snapshot.status}`] : [])
+    ].join('\n');
+}
+
+// --- Browser Helpers ---
+function downloadText(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Clipboard API where available (secure contexts), else the older execCommand route.
+function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) return navigator.clipboard.writeText(text);
+    return new Promise((resolve, reject) => {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand && document.execCommand('copy');
+        textarea.remove();
+        if (copied) resolve();
+        else reject(new Error('Copying is not supported in this browser.'));
+    });
+}
+
+// --- Panel Wiring ---
+// panelElement is the '.export-panel' rendered by main.js next to the Clear All button.
+export function initExportPanel(calculator, sectionElement, panelElement) {
+    const message = panelElement.querySelector('.export-message');
+    const button = action => panelElement.querySelector(`button[data-action="${action}"]`);
+    const baseName = timestamp => `${calculator.id}-${timestamp.replace(/[:.]/g, '-')}`;
+
+    function showMessage(text, isError = false) {
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    }
+
+    button('export-csv').addEventListener('click', () => {
+        const snapshot = takeSnapshot(calculator, sectionElement);
+        downloadText(`${baseName(snapshot.timestamp)}.csv`, toCsv(snapshot), 'text/csv');
+        showMessage('Exported CSV.');
+    });
+    button('export-json').addEventListener('click', () => {
+        const snapshot = takeSnapshot(calculator, sectionElement);
+        downloadText(`${baseName(snapshot.timestamp)}.json`, toJson(snapshot), 'application/json');
+        showMessage('Exported JSON.');
+    });
+    button('copy-summary').addEventListener('click', () => {
+        copyText(toSummary(takeSnapshot(calculator, sectionElement)))
+            .then(() => showMessage('Summary copied to the clipboard.'))
+            .catch(error => showMessage(`Could not copy: ${error.message}`, true));
+    });
+}
\ No newline at end of file
@@ -0,0 +1,113 @@
+// resultTransfer.js
+// "Send to…": carries a result into a compatible input of another calculator, so a chain such as
+// 3-Phase Power -> Power Factor needs no retyping. Fields are compatible when they hold the same
+// quantity: the quantity of their `unit` (see units.js), or a declared `quantity` for values without
+// a unit, e.g. quantity: 'power-factor' or 'state-of-charge'. The unrounded result is sent (not the
+// value as displayed), converted to the unit selected on the target field.
+
+import { getField, isCalculated } from './fieldHelpers.js';
+import { fieldName } from './fieldLabels.js';
+import { formComputeInputs } from './fieldState.js';
+import { quantityOf, convertUnit, displayUnit } from './units.js';
+
+export function fieldQuantity(field) {
+    if (field.quantity) return field.quantity;
+    return field.unit ? quantityOf(field.unit) : null;
+}
+
+// --- Targets (DOM-free) ---
+// The number inputs of the other calculators that take the same quantity as `field`.
+export function transferTargets(calculators, calculatorId, field) {
+    const quantity = fieldQuantity(field);
+    if (!quantity) return [];
+    return calculators.filter(calculator => calculator.id !== calculatorId).flatMap(calculator => calculator.fields
+        .filter(target => target.type === 'number' && !(target.attributes && target.attributes.readonly) && fieldQuantity(target) === quantity)
+        .map(target => ({ calculator, field: target })));
+}
+
+// --- Sending ---
+// Opens the target calculator (initialising it if needed), switches it to the mode the field belongs
+// to (its validation `when`), and enters the value as if typed. `value` is a number in `unit` (the
+// source field's compute unit, or '' for values without one). Returns '' on success, or why the
+// value could not be sent.
+export function sendValue(calculator, field, value, unit) {
+    const navButton = document.querySelector(`button[data-calculator-id="${calculator.id}"]`);
+    const section = document.getElementById(calculator.id);
+    const element = section ? getField(section, field.id) : null;
+    if (!navButton || !element) return `${calculator.title} is not available.`;
+    if (isCalculated(element)) return `${fieldName(field)} in ${calculator.title} holds a calculated value; clear it there first.`;
+    navButton.click();
+
+    const when = field.validation && field.validation.when ? field.validation.when : {};
+    Object.entries(when).forEach(([selectId, expected]) => {
+        const select = getField(section, selectId);
+        const allowed = [].concat(expected).map(String);
+        if (!select || allowed.includes(select.value)) return;
+        select.value = allowed[0];
+        select.dispatchEvent(new Event('input', { bubbles: true }));
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+
+    const targetUnit = field.unit ? displayUnit(section, field) : unit;
+    element.value = String(unit && targetUnit ? convertUnit(value, unit, targetUnit) : value);
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.focus();
+    return '';
+}
+
+// --- Menu Wiring ---
+// Adds a "Send to…" menu under every field with compatible targets, listing them by calculator. The
+// menu is shown while the field holds a result (readonly, or solved by the module), so entered values
+// are not offered; modules mark results through the readonly attribute or setCalculated.
+export function initTransferMenus(calculator, sectionElement, calculators) {
+    const menus = [];
+    calculator.fields.filter(field => !field.isSeparator && field.type === 'number').forEach(field => {
+        const element = getField(sectionElement, field.id);
+        const targets = transferTargets(calculators, calculator.id, field);
+        if (!element || targets.length === 0) return;
+
+        const select = document.createElement('select');
+        select.className = 'transfer-select';
+        select.setAttribute('aria-label', `Send ${fieldName(field)} to another calculator`);
+        select.appendChild(new Option('Send to…', ''));
+        calculators.filter(other => targets.some(target => target.calculator === other)).forEach(other => {
+            const group = document.createElement('optgroup');
+            group.label = other.title;
+            targets.filter(target => target.calculator === other)
+                .forEach(target => group.appendChild(new Option(fieldName(target.field), `${other.id}:${target.field.id}`)));
+            select.appendChild(group);
+        });
+        const message = document.createElement('span');
+        message.className = 'transfer-message';
+        element.parentElement.append(select, message);
+
+        select.addEventListener('change', () => {
+            const [targetCalculatorId, targetFieldId] = select.value.split(':');
+            select.value = '';
+            if (!targetFieldId) return;
+            const target = targets.find(candidate => candidate.calculator.id === targetCalculatorId && candidate.field.id === targetFieldId);
+            if (element.value.trim() === '') {
+                message.textContent = 'Nothing to send yet.';
+                return;
+            }
+            // Recomputed from the form, as shown but unrounded (in the field's compute unit)
+            const value = calculator.compute(formComputeInputs(calculator, sectionElement)).outputs[field.id];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                message.textContent = 'Nothing to send yet.';
+                return;
+            }
+            message.textContent = sendValue(target.calculator, target.field, value, field.unit || '');
+        });
+        menus.push({ element, select, message });
+    });
+    if (menus.length === 0) return;
+
+    function refresh() {
+        menus.forEach(({ element, select, message }) => {
+            select.hidden = !isCalculated(element);
+            if (select.hidden) message.textContent = '';
+        });
+    }
+    new MutationObserver(refresh).observe(sectionElement, { subtree: true, attributes: true, attributeFilter: ['readonly', 'data-calculated'] });
+    refresh();
+}
\ No newline at end of file
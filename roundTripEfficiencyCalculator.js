@@ -1,5 +1,12 @@
 // roundTripEfficiencyCalculator.js
 
+import { getField, getFieldLabel, fieldIdOf } from './fieldHelpers.js';
+import { createLineChart, paddedDomain } from './svgChart.js';
+import { toComputeUnits, fromComputeUnits } from './units.js';
+import { validateInputs } from './validation.js';
+import { formatNumber, formatFieldValue } from './formatting.js';
+import { given, derived } from './derivation.js';
+
 // --- Utility Function (debounce) ---
 function debounce(func, wait) {
     let timeout;
@@ -13,12 +20,251 @@ function debounce(func, wait) {
     };
 }
 
+// --- RTE Core ---
+// System (grid) vs component (BESS block) RTE from charged/discharged energy at the selected
+// measurement point ('system' | 'component'); aux energy, when > 0, lets the other RTE be inferred.
+// Returns { outputs: { 'system-rte', 'component-rte' } (percent, omitted when unknown), errors, steps }.
+function computeRte(mode, eCharged, eDischarged, eAux) {
+    const outputs = {};
+    const errors = [];
+    const steps = [];
+    const rteStep = (title, formula, charged, key, note = '') => steps.push({
+        title,
+        formula,
+        substitution: `${given(eDischarged, 'kWh')} / ${charged} · 100`,
+        result: derived(outputs[key], '%', { decimals: 2 }),
+        note
+    });
+    let eInGrid, eOutGrid, eInComponent, eOutComponent;
+
+    if (mode === 'system') {
+        eInGrid = eCharged;
+        eOutGrid = eDischarged;
+
+        // Directly calculate System RTE
+        if (eOutGrid > eInGrid) {
+            errors.push('Error: Discharged energy cannot be greater than charged energy at the grid.');
+            return { outputs, errors, steps };
+        }
+        outputs['system-rte'] = (eOutGrid / eInGrid) * 100;
+        rteStep('System RTE', 'RTE_system = E_discharged / E_charged · 100', given(eCharged, 'kWh'), 'system-rte');
+        
+        // If aux energy is provided, infer Component RTE
+        if (eAux > 0) {
+            eInComponent = eInGrid - eAux;
+            eOutComponent = eOutGrid; // Assumption: Aux load is on the AC side, so BESS still has to deliver the same amount to the grid.
+            if (eInComponent <= 0) {
+                errors.push('Auxiliary energy is greater than or equal to charged energy; cannot calculate Component RTE.');
+                return { outputs, errors, steps };
+            }
+            outputs['component-rte'] = (eOutComponent / eInComponent) * 100;
+            rteStep('Component RTE (inferred)', 'RTE_component = E_discharged / (E_charged − E_aux) · 100',
+                `(${given(eCharged, 'kWh')} − ${given(eAux, 'kWh')})`, 'component-rte',
+                'the auxiliary load is on the AC side, so the BESS delivers the same discharged energy');
+        }
+
+    } else { // mode is 'component'
+        eInComponent = eCharged;
+        eOutComponent = eDischarged;
+        
+        // Directly calculate Component RTE
+        if (eOutComponent > eInComponent) {
+            errors.push('Error: Discharged energy cannot be greater than charged energy for the BESS component.');
+            return { outputs, errors, steps };
+        }
+        outputs['component-rte'] = (eOutComponent / eInComponent) * 100;
+        rteStep('Component RTE', 'RTE_component = E_discharged / E_charged · 100', given(eCharged, 'kWh'), 'component-rte');
+
+        // If aux energy is provided, infer System RTE
+        if (eAux > 0) {
+            eInGrid = eInComponent + eAux;
+            eOutGrid = eOutComponent;
+            outputs['system-rte'] = (eOutGrid / eInGrid) * 100;
+            rteStep('System RTE (inferred)', 'RTE_system = E_discharged / (E_charged + E_aux) · 100',
+                `(${given(eCharged, 'kWh')} + ${given(eAux, 'kWh')})`, 'system-rte',
+                'the auxiliary energy is drawn from the grid on top of the BESS charge');
+        }
+    }
+
+    return { outputs, errors, steps };
+}
+
+// --- Partial-Cycle Correction ---
+// When a test does not end at its starting SoC, the net stored-energy change
+// dE = (end SoC - start SoC) / 100 x usable energy is credited to the discharged energy (dE > 0:
+// energy still in the battery) or to the charged energy (dE < 0: energy taken from prior storage).
+// SoC-based energy is a DC-side estimate, so the correction is approximate for AC metering.
+// Returns { deltaStored } (kWh, null when no SoC data was entered) or { errors }. The field ranges are
+// checked by compute() beforehand.
+function partialCycleCorrection(inputs) {
+    const ids = ['start-soc', 'end-soc', 'usable-energy'];
+    const isBlank = id => inputs[id] === undefined || inputs[id] === null || String(inputs[id]).trim() === '';
+    if (ids.every(isBlank)) return { deltaStored: null, errors: [] };
+    if (ids.some(isBlank)) return { deltaStored: null, errors: ['Please enter Start SoC, End SoC and Usable Energy to apply the partial-cycle correction.'] };
+
+    const [startSoc, endSoc, usableEnergy] = ids.map(id => parseFloat(inputs[id]));
+    return { deltaStored: ((endSoc - startSoc) / 100) * usableEnergy, errors: [] };
+}
+
+// --- Meter Data Import ---
+// CSV rows of "timestamp, import kWh, export kWh[, aux kWh]" (comma, semicolon or tab separated).
+// A header row is skipped when its energy columns are not numeric.
+function parseMeterData(text) {
+    const rows = [];
+    const errors = [];
+    const lines = String(text || '').split(/\r?\n/);
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('#')) return;
+        const cells = line.split(/[,;\t]/).map(cell => cell.trim());
+        const numbers = cells.slice(1).map(cell => (cell === '' ? NaN : Number(cell)));
+        if (rows.length === 0 && errors.length === 0 && isNaN(numbers[0]) && isNaN(numbers[1])) return; // Header
+        const label = `Meter data line ${index + 1}`;
+        if (cells.length < 3 || cells.length > 4 || isNaN(numbers[0]) || isNaN(numbers[1]) || (cells.length === 4 && isNaN(numbers[2]))) {
+            errors.push(`${label}: expected "timestamp, import kWh, export kWh[, aux kWh]".`);
+        } else if (numbers.some(value => value < 0)) {
+            errors.push(`${label}: energy values cannot be negative.`);
+        } else {
+            rows.push({ timestamp: cells[0], imported: numbers[0], exported: numbers[1], aux: cells.length === 4 ? numbers[2] : 0 });
+        }
+    });
+    return { rows, errors: errors.slice(0, 5).concat(errors.length > 5 ? [`...and ${errors.length - 5} more line errors.`] : []) };
+}
+
+// Splits intervals into cycles. An interval charges when import - export exceeds the idle threshold
+// and discharges when export - import does. A cycle starts with a charge phase and ends where the next
+// charge phase begins after a discharge; idle intervals belong to the cycle they fall in. Discharge
+// before the first charge is skipped, and a final cycle without discharge is reported as incomplete.
+function detectCycles(intervals, idleThreshold) {
+    const cycles = [];
+    let current = null;
+    let leadingSkipped = 0;
+    intervals.forEach(interval => {
+        const net = interval.exported - interval.imported;
+        const state = net > idleThreshold ? 'discharge' : (-net > idleThreshold ? 'charge' : 'idle');
+        if (state === 'charge' && (current === null || current.hasDischarge)) {
+            current = { intervals: [], hasDischarge: false };
+            cycles.push(current);
+        }
+        if (current === null) {
+            leadingSkipped++;
+            return;
+        }
+        if (state === 'discharge') current.hasDischarge = true;
+        current.intervals.push(interval);
+    });
+    return { cycles, leadingSkipped };
+}
+
+// Least-squares slope of y over x (here: RTE percentage points per cycle).
+function linearTrend(points) {
+    if (points.length < 2) return undefined;
+    const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+    const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+    const sxx = points.reduce((sum, [x]) => sum + (x - meanX) ** 2, 0);
+    const sxy = points.reduce((sum, [x, y]) => sum + (x - meanX) * (y - meanY), 0);
+    return sxx === 0 ? undefined : sxy / sxx;
+}
+
+function computeMeterCycles(inputs, mode) {
+    const outputs = {};
+    const errors = [];
+    const text = inputs['meter-data'];
+    if (text === undefined || text === null || String(text).trim() === '') return { outputs, errors };
+
+    const validation = validateInputs(roundTripEfficiencyCalculator, inputs);
+    if (!validation.valid) return { outputs, errors: validation.errors };
+    const idleThreshold = inputs['idle-threshold'] === undefined || String(inputs['idle-threshold']).trim() === '' ? 0 : parseFloat(inputs['idle-threshold']);
+    const parsed = parseMeterData(text);
+    if (parsed.errors.length > 0) return { outputs, errors: parsed.errors };
+    if (parsed.rows.length === 0) {
+        errors.push('No meter data rows found.');
+        return { outputs, errors };
+    }
+
+    const { cycles, leadingSkipped } = detectCycles(parsed.rows, idleThreshold);
+    const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+    const table = cycles.map((cycle, index) => {
+        const charged = sum(cycle.intervals, 'imported');
+        const discharged = sum(cycle.intervals, 'exported');
+        const aux = sum(cycle.intervals, 'aux');
+        const row = {
+            cycle: index + 1,
+            start: cycle.intervals[0].timestamp,
+            end: cycle.intervals[cycle.intervals.length - 1].timestamp,
+            intervals: cycle.intervals.length,
+            charged,
+            discharged,
+            aux,
+            systemRte: undefined,
+            componentRte: undefined,
+            note: ''
+        };
+        if (!cycle.hasDischarge) {
+            row.note = 'Incomplete (no discharge)';
+            return row;
+        }
+        const result = computeRte(mode, charged, discharged, aux);
+        row.systemRte = result.outputs['system-rte'];
+        row.componentRte = result.outputs['component-rte'];
+        row.note = result.errors.join(' ');
+        return row;
+    });
+
+    const completeRows = table.filter(row => row.note === '');
+    outputs['cycle-count'] = completeRows.length;
+    outputs['cycle-table'] = table;
+    if (completeRows.length === 0) {
+        errors.push('No complete charge/discharge cycle found in the meter data.');
+        return { outputs, errors };
+    }
+
+    // Aggregate over complete cycles with the same system/component logic
+    const totals = ['charged', 'discharged', 'aux'].map(key => sum(completeRows, key));
+    const aggregate = computeRte(mode, ...totals);
+    Object.assign(outputs, aggregate.outputs);
+    errors.push(...aggregate.errors);
+
+    const trendKey = mode === 'system' ? 'systemRte' : 'componentRte';
+    const trend = linearTrend(completeRows.map(row => [row.cycle, row[trendKey]]));
+    if (trend !== undefined) outputs['rte-trend'] = trend;
+
+    const steps = [
+        {
+            title: 'Detect cycles',
+            result: `${completeRows.length} complete cycle(s) of ${table.length}`,
+            note: `an interval charges or discharges when |import − export| > ${given(idleThreshold, 'kWh')}; a cycle runs from one charge phase to the next after a discharge`
+        },
+        {
+            title: 'Totals over the complete cycles',
+            formula: 'E_charged = Σ E_import, E_discharged = Σ E_export, E_aux = Σ E_aux',
+            result: ['E_charged', 'E_discharged', 'E_aux'].map((symbol, index) => `${symbol} = ${derived(totals[index], 'kWh')}`).join(', ')
+        },
+        ...aggregate.steps
+    ];
+    if (trend !== undefined) {
+        steps.push({
+            title: 'RTE trend',
+            formula: 'slope of the least-squares line through (cycle, RTE per cycle)',
+            result: `${derived(trend, '', { decimals: 3 })} %-points per cycle`
+        });
+    }
+
+    // Trimmed data is normal for a meter export, so it is reported as a note rather than an error
+    const notes = [];
+    if (leadingSkipped > 0) notes.push(`${leadingSkipped} interval(s) before the first charge were skipped.`);
+    const skippedCycles = table.length - completeRows.length;
+    if (skippedCycles > 0) notes.push(`${skippedCycles} cycle(s) excluded from the aggregate (see the cycle notes).`);
+    outputs['meter-notes'] = notes.length === 0 ? 'None' : notes.join(' ');
+    return { outputs, errors, steps };
+}
+
 // --- Calculator Definition ---
 const roundTripEfficiencyCalculator = {
     // 1. METADATA
     id: 'rte-calculator',
     title: 'Round-Trip Efficiency (RTE) Calculator',
-    description: 'Calculate the System (wall-to-wall) and/or Component (BESS-only) efficiency. Select the mode that matches your measurement point.',
+    description: 'Calculate the System (wall-to-wall) and/or Component (BESS-only) efficiency. Select the mode that matches your measurement point. Enter energy totals, or import interval meter data to get the RTE per detected charge/discharge cycle.',
 
     // 2. FIELD DEFINITIONS
     fields: [
@@ -32,29 +278,65 @@ const roundTripEfficiencyCalculator = {
                 { value: 'component', text: 'Measured at BESS Inverter (Component RTE)' }
             ]
         },
+        {
+            id: 'data-source',
+            label: 'Energy Data:',
+            type: 'select',
+            options: [
+                { value: 'totals', text: 'Enter Totals' },
+                { value: 'meter', text: 'Import Interval Meter Data (CSV)' }
+            ]
+        },
         // Input Fields
         {
             id: 'energy-charged',
-            label: 'Energy Charged [kWh]:', // Label will be updated by JS
+            label: 'Energy Charged:', // Label will be updated by JS
+            unit: 'kWh',
             type: 'number',
             placeholder: 'e.g., 110.5',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { required: true, exclusiveMin: 0, when: { 'data-source': 'totals' } }
         },
         {
             id: 'energy-discharged',
-            label: 'Energy Discharged [kWh]:', // Label will be updated by JS
+            label: 'Energy Discharged:', // Label will be updated by JS
+            unit: 'kWh',
             type: 'number',
             placeholder: 'e.g., 100.2',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { required: true, min: 0, when: { 'data-source': 'totals' } }
         },
         // Optional Auxiliary Load Input
         {
             id: 'aux-energy',
-            label: 'Total Auxiliary Energy Consumed (Optional) [kWh]:',
+            label: 'Total Auxiliary Energy Consumed (Optional):',
+            unit: 'kWh',
             type: 'number',
             placeholder: 'e.g., 2.5',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0, when: { 'data-source': 'totals' } }
         },
+        // Interval Meter Data
+        {
+            id: 'meter-data',
+            label: 'Meter Data (CSV: timestamp, import kWh, export kWh, optional aux kWh):',
+            type: 'textarea',
+            placeholder: 'timestamp,import_kwh,export_kwh,aux_kwh\n2024-05-01 00:00,25.1,0,0.4\n2024-05-01 00:15,25.3,0,0.4\n...',
+            attributes: { rows: '8' }
+        },
+        {
+            id: 'idle-threshold',
+            label: 'Idle Threshold (net energy per interval):',
+            unit: 'kWh',
+            type: 'number',
+            value: 0,
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0, when: { 'data-source': 'meter' } }
+        },
+        // Optional Partial-Cycle Correction (totals only)
+        { id: 'start-soc', label: 'Start SoC (Optional) [%]:', type: 'number', quantity: 'state-of-charge', placeholder: 'e.g., 50', attributes: { step: 'any', min: '0', max: '100' }, validation: { min: 0, max: 100, when: { 'data-source': 'totals' } } },
+        { id: 'end-soc', label: 'End SoC (Optional) [%]:', type: 'number', quantity: 'state-of-charge', placeholder: 'e.g., 46', attributes: { step: 'any', min: '0', max: '100' }, validation: { min: 0, max: 100, when: { 'data-source': 'totals' } } },
+        { id: 'usable-energy', label: 'Usable Energy (Optional):', unit: 'kWh', type: 'number', placeholder: 'e.g., 200', attributes: { step: 'any', min: '0' }, validation: { exclusiveMin: 0, when: { 'data-source': 'totals' } } },
         // Separator
         { isSeparator: true },
         // Output Fields
@@ -62,6 +344,7 @@ const roundTripEfficiencyCalculator = {
             id: 'system-rte',
             label: 'Calculated System RTE (Wall-to-Wall) [%]:',
             type: 'number',
+            format: { decimals: 2 },
             placeholder: 'Calculated',
             attributes: { readonly: true }
         },
@@ -69,41 +352,257 @@ const roundTripEfficiencyCalculator = {
             id: 'component-rte',
             label: 'Calculated Component RTE (BESS Block) [%]:',
             type: 'number',
+            format: { decimals: 2 },
             placeholder: 'Calculated',
             attributes: { readonly: true }
-        }
+        },
+        { id: 'soc-correction', label: 'Stored Energy Change (End − Start):', unit: 'kWh', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'corrected-energy-charged', label: 'Corrected Energy Charged:', unit: 'kWh', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'corrected-energy-discharged', label: 'Corrected Energy Discharged:', unit: 'kWh', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'rte-correction', label: 'RTE Change from Correction [%-points]:', type: 'number', format: { decimals: 2 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        {
+            id: 'cycle-count',
+            label: 'Complete Cycles Detected:',
+            type: 'number',
+            format: { decimals: 0 },
+            placeholder: 'Calculated',
+            attributes: { readonly: true }
+        },
+        {
+            id: 'rte-trend',
+            label: 'RTE Trend [%-points per cycle]:',
+            type: 'number',
+            format: { decimals: 3 },
+            placeholder: 'Calculated',
+            attributes: { readonly: true }
+        },
+        { id: 'meter-notes', label: 'Meter Data Notes:', type: 'text', placeholder: 'Calculated', attributes: { readonly: true } }
     ],
 
-    // 3. INITIALIZATION LOGIC
+    // 3. COMPUTE LOGIC (DOM-free)
+    // Inputs are keyed by field id. RTE outputs are percentages; an output is omitted when it cannot be inferred.
+    // With 'start-soc', 'end-soc' and 'usable-energy', totals are corrected first (see partialCycleCorrection).
+    // With 'data-source' = 'meter', 'meter-data' is split into cycles (see computeMeterCycles): the RTE
+    // outputs are then the aggregate over complete cycles, plus 'cycle-count', 'rte-trend',
+    // 'meter-notes' (skipped intervals and cycles, or 'None') and 'cycle-table' (one row per detected cycle). All modes also return the derivation `steps`.
+    compute(inputs) {
+        const outputs = {};
+        const mode = inputs['calculation-mode'] || 'system';
+        if (inputs['data-source'] === 'meter') return computeMeterCycles(inputs, mode);
+
+        // --- Validation ---
+        const validation = validateInputs(roundTripEfficiencyCalculator, inputs);
+        if (!validation.valid) return { outputs, errors: validation.errors };
+
+        const eCharged = parseFloat(inputs['energy-charged']);
+        const eDischarged = parseFloat(inputs['energy-discharged']);
+        const eAux = parseFloat(inputs['aux-energy']) || 0; // Default to 0 if empty
+
+        const correction = partialCycleCorrection(inputs);
+        if (correction.errors.length > 0) return { outputs, errors: correction.errors };
+        if (correction.deltaStored === null) return computeRte(mode, eCharged, eDischarged, eAux);
+
+        // --- Partial-Cycle Correction ---
+        const correctedCharged = eCharged + Math.max(0, -correction.deltaStored);
+        const correctedDischarged = eDischarged + Math.max(0, correction.deltaStored);
+        const uncorrected = computeRte(mode, eCharged, eDischarged, eAux);
+        const corrected = computeRte(mode, correctedCharged, correctedDischarged, eAux);
+        Object.assign(outputs, corrected.outputs, {
+            'soc-correction': correction.deltaStored,
+            'corrected-energy-charged': correctedCharged,
+            'corrected-energy-discharged': correctedDischarged
+        });
+        const headlineKey = mode === 'system' ? 'system-rte' : 'component-rte';
+        if (corrected.outputs[headlineKey] !== undefined && uncorrected.outputs[headlineKey] !== undefined) {
+            outputs['rte-correction'] = corrected.outputs[headlineKey] - uncorrected.outputs[headlineKey];
+        }
+
+        const deltaStored = correction.deltaStored;
+        const steps = [
+            {
+                title: 'Stored energy change',
+                formula: 'ΔE = (SoC_end − SoC_start) / 100 · E_usable',
+                substitution: `(${given(parseFloat(inputs['end-soc']), '%')} − ${given(parseFloat(inputs['start-soc']), '%')}) / 100 · ${given(parseFloat(inputs['usable-energy']), 'kWh')}`,
+                result: derived(deltaStored, 'kWh')
+            },
+            deltaStored >= 0
+                ? {
+                    title: 'Corrected energy discharged',
+                    formula: 'E_discharged,corr = E_discharged + ΔE',
+                    substitution: `${given(eDischarged, 'kWh')} + ${derived(deltaStored, 'kWh')}`,
+                    result: derived(correctedDischarged, 'kWh'),
+                    note: 'energy still in the battery counts as discharged'
+                }
+                : {
+                    title: 'Corrected energy charged',
+                    formula: 'E_charged,corr = E_charged + |ΔE|',
+                    substitution: `${given(eCharged, 'kWh')} + ${derived(-deltaStored, 'kWh')}`,
+                    result: derived(correctedCharged, 'kWh'),
+                    note: 'energy taken from prior storage counts as charged'
+                },
+            ...corrected.steps
+        ];
+        if (outputs['rte-correction'] !== undefined) {
+            steps.push({
+                title: 'RTE change from the correction',
+                formula: 'ΔRTE = RTE_corrected − RTE_uncorrected',
+                substitution: `${derived(corrected.outputs[headlineKey], '%', { decimals: 2 })} − ${derived(uncorrected.outputs[headlineKey], '%', { decimals: 2 })}`,
+                result: `${derived(outputs['rte-correction'], '', { decimals: 2 })} %-points`
+            });
+        }
+        return { outputs, errors: corrected.errors, steps };
+    },
+
+    // 4. INITIALIZATION LOGIC (UI adapter over compute)
     init(sectionElement) {
         // --- Find DOM Elements ---
         const inputs = {
-            mode: sectionElement.querySelector('#calculation-mode'),
-            charged: sectionElement.querySelector('#energy-charged'),
-            discharged: sectionElement.querySelector('#energy-discharged'),
-            aux: sectionElement.querySelector('#aux-energy')
+            mode: getField(sectionElement, 'calculation-mode'),
+            dataSource: getField(sectionElement, 'data-source'),
+            charged: getField(sectionElement, 'energy-charged'),
+            discharged: getField(sectionElement, 'energy-discharged'),
+            aux: getField(sectionElement, 'aux-energy'),
+            startSoc: getField(sectionElement, 'start-soc'),
+            endSoc: getField(sectionElement, 'end-soc'),
+            usableEnergy: getField(sectionElement, 'usable-energy'),
+            meterData: getField(sectionElement, 'meter-data'),
+            idleThreshold: getField(sectionElement, 'idle-threshold')
         };
         const outputs = {
-            system: sectionElement.querySelector('#system-rte'),
-            component: sectionElement.querySelector('#component-rte')
+            system: getField(sectionElement, 'system-rte'),
+            component: getField(sectionElement, 'component-rte'),
+            socCorrection: getField(sectionElement, 'soc-correction'),
+            correctedCharged: getField(sectionElement, 'corrected-energy-charged'),
+            correctedDischarged: getField(sectionElement, 'corrected-energy-discharged'),
+            rteCorrection: getField(sectionElement, 'rte-correction'),
+            cycleCount: getField(sectionElement, 'cycle-count'),
+            trend: getField(sectionElement, 'rte-trend'),
+            meterNotes: getField(sectionElement, 'meter-notes')
         };
         const clearBtn = sectionElement.querySelector('.clearBtn');
         const statusDiv = sectionElement.querySelector('.status');
         const allInputElements = Object.values(inputs);
 
+        // --- CSV File Picker (loads the file into the meter data field) ---
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.csv,text/csv,text/plain';
+        inputs.meterData.after(fileInput);
+
+        // --- Per-Cycle Results (table + RTE trend chart, placed under the outputs) ---
+        const cyclesContainer = document.createElement('div');
+        outputs.meterNotes.parentElement.after(cyclesContainer);
+        const tableContainer = document.createElement('div');
+        tableContainer.className = 'result-table-container';
+        const chartContainer = document.createElement('div');
+        chartContainer.className = 'chart-container';
+        cyclesContainer.append(tableContainer, chartContainer);
+        const chart = createLineChart(chartContainer, {
+            xLabel: 'Cycle',
+            yLabel: 'RTE [%]',
+            formatX: value => (Number.isInteger(value) ? String(value) : '')
+        });
+
         // --- Helper Functions ---
         function clearStatus() { if (statusDiv) statusDiv.textContent = ''; }
-        function resetOutputFields() { Object.values(outputs).forEach(output => { if (output) output.value = ''; }); }
+        function resetOutputFields() {
+            Object.values(outputs).forEach(output => { if (output) output.value = ''; });
+            renderCycles(null);
+        }
+
+        function isMeterMode() {
+            return inputs.dataSource.value === 'meter';
+        }
+
+        function toggleDataSource() {
+            const meter = isMeterMode();
+            [inputs.charged, inputs.discharged, inputs.aux, inputs.startSoc, inputs.endSoc, inputs.usableEnergy]
+                .forEach(input => { input.parentElement.style.display = meter ? 'none' : ''; });
+            toggleCorrectionOutputs();
+            [inputs.meterData, inputs.idleThreshold, outputs.cycleCount, outputs.trend, outputs.meterNotes].forEach(element => { element.parentElement.style.display = meter ? '' : 'none'; });
+            cyclesContainer.style.display = meter ? '' : 'none';
+        }
+
+        // Correction outputs are only shown once SoC data is entered.
+        function toggleCorrectionOutputs() {
+            const hasSocData = !isMeterMode() && [inputs.startSoc, inputs.endSoc, inputs.usableEnergy].some(input => input.value.trim() !== '');
+            [outputs.socCorrection, outputs.correctedCharged, outputs.correctedDischarged, outputs.rteCorrection]
+                .forEach(output => { output.parentElement.style.display = hasSocData ? '' : 'none'; });
+        }
+
+        function renderCycles(rows, trend) {
+            tableContainer.replaceChildren();
+            if (!rows || rows.length === 0) {
+                chart.showMessage('Paste or load interval meter data to see the RTE per cycle.');
+                return;
+            }
+            // Energies follow the precision preference; RTE columns use the RTE outputs' format
+            const energyCell = value => (value === undefined ? '–' : formatNumber(value));
+            const rteCell = value => (value === undefined ? '–' : formatFieldValue(roundTripEfficiencyCalculator, 'system-rte', value));
+
+            const table = document.createElement('table');
+            table.className = 'result-table';
+            const headerRow = table.createTHead().insertRow();
+            ['Cycle', 'Start', 'End', 'Intervals', 'Charged [kWh]', 'Discharged [kWh]', 'Aux [kWh]', 'System RTE [%]', 'Component RTE [%]', 'Note'].forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                headerRow.appendChild(th);
+            });
+            const body = table.createTBody();
+            rows.forEach(row => {
+                const tr = body.insertRow();
+                if (row.note !== '') tr.className = 'limit-reached';
+                [row.cycle, row.start, row.end, row.intervals, energyCell(row.charged), energyCell(row.discharged), energyCell(row.aux),
+                    rteCell(row.systemRte), rteCell(row.componentRte), row.note].forEach((text, index) => {
+                    const td = tr.insertCell();
+                    td.textContent = text;
+                    if ([1, 2, 9].includes(index)) td.className = 'text-cell';
+                });
+            });
+            tableContainer.appendChild(table);
+
+            const completeRows = rows.filter(row => row.note === '');
+            const seriesFor = key => completeRows.filter(row => row[key] !== undefined).map(row => [row.cycle, row[key]]);
+            const systemPoints = seriesFor('systemRte');
+            const componentPoints = seriesFor('componentRte');
+            const trendKey = inputs.mode.value === 'system' ? 'systemRte' : 'componentRte';
+            const trendPoints = seriesFor(trendKey);
+            const series = [
+                { points: systemPoints },
+                { points: componentPoints, className: 'secondary' }
+            ];
+            if (trend !== undefined && trendPoints.length >= 2) {
+                // Draw the least-squares line through the centroid of the measured cycles
+                const meanX = trendPoints.reduce((sum, [x]) => sum + x, 0) / trendPoints.length;
+                const meanY = trendPoints.reduce((sum, [, y]) => sum + y, 0) / trendPoints.length;
+                const x0 = trendPoints[0][0];
+                const x1 = trendPoints[trendPoints.length - 1][0];
+                series.push({ points: [[x0, meanY + trend * (x0 - meanX)], [x1, meanY + trend * (x1 - meanX)]], className: 'trend' });
+            }
+            const allPoints = [...systemPoints, ...componentPoints];
+            if (allPoints.length === 0) {
+                chart.showMessage('No complete cycle to plot.');
+                return;
+            }
+            chart.render({
+                xDomain: paddedDomain(allPoints.map(([x]) => x), 0.05),
+                yDomain: paddedDomain(allPoints.map(([, y]) => y)),
+                series,
+                // A single cycle has no line to draw, so mark it instead
+                markers: [systemPoints, componentPoints].filter(points => points.length === 1)
+                    .map(([[x, y]], index) => ({ id: `single-${index}`, x, y, label: `${formatFieldValue(roundTripEfficiencyCalculator, 'system-rte', y)}%` }))
+            });
+        }
         
         function updateInputLabels() {
-            const chargedLabel = sectionElement.querySelector('label[for="energy-charged"]');
-            const dischargedLabel = sectionElement.querySelector('label[for="energy-discharged"]');
+            const chargedLabel = getFieldLabel(sectionElement, 'energy-charged');
+            const dischargedLabel = getFieldLabel(sectionElement, 'energy-discharged');
             if (inputs.mode.value === 'system') {
-                chargedLabel.textContent = 'Energy Charged (from Grid) [kWh]:';
-                dischargedLabel.textContent = 'Energy Discharged (to Grid) [kWh]:';
+                chargedLabel.textContent = 'Energy Charged (from Grid):';
+                dischargedLabel.textContent = 'Energy Discharged (to Grid):';
             } else { // component
-                chargedLabel.textContent = 'Energy Charged (to BESS Block) [kWh]:';
-                dischargedLabel.textContent = 'Energy Discharged (from BESS Block) [kWh]:';
+                chargedLabel.textContent = 'Energy Charged (to BESS Block):';
+                dischargedLabel.textContent = 'Energy Discharged (from BESS Block):';
             }
         }
 
@@ -112,69 +611,33 @@ const roundTripEfficiencyCalculator = {
             clearStatus();
             resetOutputFields();
 
-            const eCharged = parseFloat(inputs.charged.value);
-            const eDischarged = parseFloat(inputs.discharged.value);
-            const eAux = parseFloat(inputs.aux.value) || 0; // Default to 0 if empty or invalid
+            toggleCorrectionOutputs();
+            const rawValues = toComputeUnits(roundTripEfficiencyCalculator, sectionElement,
+                Object.fromEntries(allInputElements.map(input => [fieldIdOf(input), input.value])));
+            const result = roundTripEfficiencyCalculator.compute(rawValues);
+            result.outputs = fromComputeUnits(roundTripEfficiencyCalculator, sectionElement, result.outputs);
 
-            // --- Validation ---
-            if (isNaN(eCharged) || isNaN(eDischarged)) {
-                if (inputs.charged.value || inputs.discharged.value) {
-                     statusDiv.textContent = 'Please fill required energy fields with valid numbers.';
-                }
-                return;
-            }
-            if (eCharged <= 0) {
-                statusDiv.textContent = 'Energy Charged must be greater than zero.';
-                return;
-            }
-
-            let eInGrid, eOutGrid, eInComponent, eOutComponent;
-
-            if (inputs.mode.value === 'system') {
-                eInGrid = eCharged;
-                eOutGrid = eDischarged;
-
-                // Directly calculate System RTE
-                if (eOutGrid > eInGrid) {
-                    statusDiv.textContent = 'Error: Discharged energy cannot be greater than charged energy at the grid.';
-                    return;
-                }
-                outputs.system.value = ((eOutGrid / eInGrid) * 100).toFixed(2);
-                
-                // If aux energy is provided, infer Component RTE
-                if (eAux > 0) {
-                    eInComponent = eInGrid - eAux;
-                    eOutComponent = eOutGrid; // Assumption: Aux load is on the AC side, so BESS still has to deliver the same amount to the grid.
-                    if (eInComponent <= 0) {
-                        statusDiv.textContent = 'Auxiliary energy is greater than or equal to charged energy; cannot calculate Component RTE.';
-                        return;
-                    }
-                    outputs.component.value = ((eOutComponent / eInComponent) * 100).toFixed(2);
-                }
-
-            } else { // mode is 'component'
-                eInComponent = eCharged;
-                eOutComponent = eDischarged;
-                
-                // Directly calculate Component RTE
-                if (eOutComponent > eInComponent) {
-                    statusDiv.textContent = 'Error: Discharged energy cannot be greater than charged energy for the BESS component.';
-                    return;
-                }
-                outputs.component.value = ((eOutComponent / eInComponent) * 100).toFixed(2);
-
-                // If aux energy is provided, infer System RTE
-                if (eAux > 0) {
-                    eInGrid = eInComponent + eAux;
-                    eOutGrid = eOutComponent;
-                    outputs.system.value = ((eOutGrid / eInGrid) * 100).toFixed(2);
-                }
+            Object.values(outputs).forEach(output => {
+                const value = result.outputs[fieldIdOf(output)];
+                if (value === undefined) return;
+                output.value = typeof value === 'number' ? formatFieldValue(roundTripEfficiencyCalculator, fieldIdOf(output), value) : value;
+            });
+            if (result.outputs['cycle-table'] !== undefined) renderCycles(result.outputs['cycle-table'], result.outputs['rte-trend']);
+            if (result.errors.length > 0) {
+                statusDiv.textContent = result.errors.join(' ');
             }
         }
 
         // --- Clear All Fields Function ---
         function clearFields() {
-            allInputElements.forEach(input => { if (input) input.value = ''; });
+            allInputElements.forEach(input => {
+                if (!input || input.tagName === 'SELECT') return;
+                const fieldDef = roundTripEfficiencyCalculator.fields.find(f => f.id === fieldIdOf(input));
+                input.value = fieldDef && fieldDef.value !== undefined
+                    ? fromComputeUnits(roundTripEfficiencyCalculator, sectionElement, { [fieldDef.id]: fieldDef.value })[fieldDef.id]
+                    : '';
+            });
+            fileInput.value = '';
             resetOutputFields();
             clearStatus();
             if (inputs.charged) inputs.charged.focus();
@@ -190,10 +653,31 @@ const roundTripEfficiencyCalculator = {
             calculateRTE();
         });
 
+        inputs.dataSource.addEventListener('change', () => {
+            toggleDataSource();
+            calculateRTE();
+        });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                inputs.meterData.value = reader.result;
+                calculateRTE();
+            };
+            reader.onerror = () => { statusDiv.textContent = `Could not read ${file.name}.`; };
+            reader.readAsText(file);
+        });
+
         if (clearBtn) clearBtn.addEventListener('click', clearFields);
+        sectionElement.addEventListener('unitchange', calculateRTE);
+        sectionElement.addEventListener('formatchange', calculateRTE);
 
         // Initial setup
         updateInputLabels();
+        toggleDataSource();
+        renderCycles(null);
         console.log('Advanced Round-Trip Efficiency (RTE) Calculator Initialized.');
     }
 };
@@ -0,0 +1,178 @@
+// scenarios.js
+// Named input sets per calculator, kept in localStorage and shareable as JSON files.
+// Storage layout: { [calculatorId]: { [name]: { savedAt: ISO string, inputs: { [fieldId]: value } } } }
+
+import { collectFieldValues, applyFieldValues } from './fieldState.js';
+import { fieldName } from './fieldLabels.js';
+
+const STORAGE_KEY = 'electricalCalculators.scenarios';
+const EXPORT_FORMAT = 'electrical-calculators-scenarios';
+
+// --- Storage ---
+function readStore() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function writeStore(store) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+}
+
+function scenariosFor(calculatorId) {
+    return readStore()[calculatorId] || {};
+}
+
+function updateScenarios(calculatorId, update) {
+    const store = readStore();
+    store[calculatorId] = update({ ...(store[calculatorId] || {}) });
+    writeStore(store);
+}
+
+// --- Import Validation ---
+// Accepts the export format ({ format, calculator, scenarios }) for the given calculator.
+function parseImport(text, calculatorId) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a valid JSON file (${error.message}).`);
+    }
+    if (!data || data.format !== EXPORT_FORMAT || typeof data.scenarios !== 'object' || data.scenarios === null) {
+        throw new Error('This file is not a saved-scenarios export.');
+    }
+    if (data.calculator !== calculatorId) {
+        throw new Error(`This file holds scenarios for "${data.calculator}", not for this calculator.`);
+    }
+    const scenarios = {};
+    Object.entries(data.scenarios).forEach(([name, scenario]) => {
+        if (!scenario || typeof scenario.inputs !== 'object' || scenario.inputs === null) return;
+        const inputs = Object.fromEntries(Object.entries(scenario.inputs).map(([fieldId, value]) => [fieldId, String(value)]));
+        scenarios[name] = { savedAt: scenario.savedAt || new Date().toISOString(), inputs };
+    });
+    return scenarios;
+}
+
+// --- Panel Wiring ---
+// panelElement is the '.scenario-panel' rendered by main.js next to the Clear All button.
+export function initScenarioPanel(calculator, sectionElement, panelElement) {
+    const nameInput = panelElement.querySelector('.scenario-name');
+    const scenarioSelect = panelElement.querySelector('.scenario-select');
+    const fileInput = panelElement.querySelector('.scenario-file');
+    const message = panelElement.querySelector('.scenario-message');
+    const button = action => panelElement.querySelector(`button[data-action="${action}"]`);
+
+    function showMessage(text, isError = false) {
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    }
+
+    function refreshList(selectedName) {
+        const names = Object.keys(scenariosFor(calculator.id)).sort((a, b) => a.localeCompare(b));
+        scenarioSelect.replaceChildren(...(names.length === 0 ? [new Option('No saved scenarios', '')] : names.map(name => new Option(name, name))));
+        scenarioSelect.disabled = names.length === 0;
+        if (selectedName && names.includes(selectedName)) scenarioSelect.value = selectedName;
+        ['load', 'delete', 'export'].forEach(action => { button(action).disabled = names.length === 0; });
+    }
+
+    // Wraps storage access so a full or disabled localStorage shows a message instead of throwing.
+    function withStorage(action) {
+        try {
+            action();
+        } catch (error) {
+            showMessage(`Browser storage is not available: ${error.message}`, true);
+        }
+    }
+
+    function saveScenario() {
+        const name = nameInput.value.trim();
+        if (name === '') {
+            showMessage('Enter a name for the scenario.', true);
+            nameInput.focus();
+            return;
+        }
+        const inputs = collectFieldValues(calculator, sectionElement);
+        withStorage(() => {
+            const exists = Object.prototype.hasOwnProperty.call(scenariosFor(calculator.id), name);
+            updateScenarios(calculator.id, scenarios => ({ ...scenarios, [name]: { savedAt: new Date().toISOString(), inputs } }));
+            refreshList(name);
+            showMessage(`${exists ? 'Updated' : 'Saved'} "${name}" (${Object.keys(inputs).length} value${Object.keys(inputs).length === 1 ? '' : 's'}).`);
+        });
+    }
+
+    function loadScenario() {
+        const name = scenarioSelect.value;
+        const scenario = scenariosFor(calculator.id)[name];
+        if (!scenario) return;
+        const skipped = applyFieldValues(calculator, sectionElement, scenario.inputs);
+        nameInput.value = name;
+        if (skipped.length === 0) {
+            showMessage(`Loaded "${name}".`);
+            return;
+        }
+        const names = skipped.map(id => fieldName(calculator.fields.find(field => field.id === id)));
+        showMessage(`Loaded "${name}", but could not apply: ${names.join(', ')}.`, true);
+    }
+
+    function deleteScenario() {
+        const name = scenarioSelect.value;
+        if (!name || !window.confirm(`Delete the saved scenario "${name}"?`)) return;
+        withStorage(() => {
+            updateScenarios(calculator.id, scenarios => {
+                delete scenarios[name];
+                return scenarios;
+            });
+            refreshList();
+            showMessage(`Deleted "${name}".`);
+        });
+    }
+
+    function exportScenarios() {
+        const data = { format: EXPORT_FORMAT, calculator: calculator.id, exportedAt: new Date().toISOString(), scenarios: scenariosFor(calculator.id) };
+        const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${calculator.id}-scenarios.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        showMessage(`Exported ${Object.keys(data.scenarios).length} scenario(s).`);
+    }
+
+    // Imported scenarios are merged in; entries with the same name are replaced.
+    function importScenarios() {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const imported = parseImport(reader.result, calculator.id);
+                withStorage(() => {
+                    updateScenarios(calculator.id, scenarios => ({ ...scenarios, ...imported }));
+                    refreshList(Object.keys(imported)[0]);
+                    showMessage(`Imported ${Object.keys(imported).length} scenario(s) from ${file.name}.`);
+                });
+            } catch (error) {
+                showMessage(error.message, true);
+            }
+            fileInput.value = '';
+        };
+        reader.onerror = () => showMessage(`Could not read ${file.name}.`, true);
+        reader.readAsText(file);
+    }
+
+    button('save').addEventListener('click', saveScenario);
+    button('load').addEventListener('click', loadScenario);
+    button('delete').addEventListener('click', deleteScenario);
+    button('export').addEventListener('click', exportScenarios);
+    button('import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', importScenarios);
+    scenarioSelect.addEventListener('change', () => { nameInput.value = scenarioSelect.value; });
+    nameInput.addEventListener('keydown', event => { if (event.key === 'Enter') saveScenario(); });
+
+    withStorage(() => refreshList());
+}
\ No newline at end of file
@@ -1,5 +1,12 @@
 // socCalculator.js
 
+import { getField, fieldIdOf } from './fieldHelpers.js';
+import { createLineChart } from './svgChart.js';
+import { toComputeUnits, fromComputeUnits } from './units.js';
+import { validateInputs } from './validation.js';
+import { formatNumber, formatFieldValue } from './formatting.js';
+import { given, derived } from './derivation.js';
+
 // --- Utility Function (debounce) ---
 function debounce(func, wait) {
     let timeout;
@@ -17,8 +24,9 @@ function debounce(func, wait) {
 function formatTime(decimalHours) {
     if (isNaN(decimalHours) || decimalHours < 0) return "N/A";
     if (!isFinite(decimalHours)) return "Never (infinite)";
-    const hours = Math.floor(decimalHours);
-    const minutes = Math.round((decimalHours - hours) * 60);
+    const totalMinutes = Math.round(decimalHours * 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
     let result = '';
     if (hours > 0) result += `${hours} hour${hours > 1 ? 's' : ''}`;
     if (minutes > 0) {
@@ -28,15 +36,205 @@ function formatTime(decimalHours) {
     return result === '' ? 'Less than a minute' : result;
 }
 
+// --- Battery Power Model ---
+// Returns netBatteryPower(gridPower_kW, soc): net power into the battery [kW] for a grid-side power
+// (positive = charge, negative = discharge, 0 = idle). The inverter DC power is P * eff when charging
+// and |P| / eff when discharging; the auxiliary load is always drawn from the battery. With a taper
+// curve and/or maximum C-rate, the DC power is capped at taper% x (C-rate x usable energy), or at
+// taper% of the requested DC power when no C-rate is given.
+function createPowerModel({ usableEnergy_kWh, invEff, auxLoss_kW, maxCRate = null, taperCurve = [] }) {
+    return function netBatteryPower(gridPower_kW, soc) {
+        if (gridPower_kW === 0) return -auxLoss_kW;
+        const charging = gridPower_kW > 0;
+        const requestedDc = charging ? gridPower_kW * invEff : -gridPower_kW / invEff;
+        let limit = maxCRate !== null ? maxCRate * usableEnergy_kWh : requestedDc;
+        if (taperCurve.length > 0) limit *= interpolateTaper(taperCurve, soc, charging ? 'charge' : 'discharge') / 100;
+        const dcPower = Math.min(requestedDc, limit);
+        return (charging ? dcPower : -dcPower) - auxLoss_kW;
+    };
+}
+
+// --- Taper Curve ---
+// One breakpoint per line (or separated by ';'): "<SoC %>, <charge power %>[, <discharge power %>]".
+// SoC must increase from line to line; the discharge column defaults to 100% (no derating).
+function parseTaperCurve(text) {
+    const points = [];
+    const errors = [];
+    String(text || '').split(/[\n;]/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*/, '').trim();
+        if (line === '') return;
+        const values = line.split(',').map(part => Number(part.trim()));
+        const label = `Taper curve line ${index + 1} ("${line}")`;
+        if (values.length < 2 || values.length > 3 || values.some(isNaN)) {
+            errors.push(`${label}: expected "<SoC %>, <charge %>" or "<SoC %>, <charge %>, <discharge %>".`);
+            return;
+        }
+        const [soc, charge, discharge = 100] = values;
+        if (soc < 0 || soc > 100) errors.push(`${label}: SoC must be 0-100%.`);
+        else if (charge < 0 || charge > 100 || discharge < 0 || discharge > 100) errors.push(`${label}: power percentages must be 0-100%.`);
+        else if (points.length > 0 && soc <= points[points.length - 1].soc) errors.push(`${label}: SoC breakpoints must increase.`);
+        else points.push({ soc, charge, discharge });
+    });
+    return { points, errors };
+}
+
+// Linear interpolation between breakpoints; the first/last value holds beyond the ends.
+function interpolateTaper(points, soc, column) {
+    if (soc <= points[0].soc) return points[0][column];
+    for (let i = 1; i < points.length; i++) {
+        if (soc <= points[i].soc) {
+            const fraction = (soc - points[i - 1].soc) / (points[i].soc - points[i - 1].soc);
+            return points[i - 1][column] + fraction * (points[i][column] - points[i - 1][column]);
+        }
+    }
+    return points[points.length - 1][column];
+}
+
+// --- SoC Integration ---
+// Walks the SoC in small increments at constant grid power, integrating dt = dSoC * E / P(SoC).
+// Runs until targetSoc is reached, or for `duration` hours (stopping at 0% / 100%, where the battery
+// is held for the rest of the step). stalledAt is the SoC where the net power no longer moves the SoC
+// in the required direction; limitAt is the time a duration step reached 0% or 100%.
+const SOC_INCREMENT = 0.1; // [%]
+// Trajectory points drop binary noise from partial steps (63.625, not 63.62500000000203).
+const roundSoc = soc => parseFloat(soc.toPrecision(12));
+
+function integrateStep(netBatteryPower, gridPower_kW, usableEnergy_kWh, startSoc, { targetSoc, duration }) {
+    const socRate = soc => (netBatteryPower(gridPower_kW, soc) / usableEnergy_kWh) * 100; // [%/h]
+    const points = [[0, roundSoc(startSoc)]];
+    const direction = targetSoc !== undefined ? Math.sign(targetSoc - startSoc) : Math.sign(socRate(startSoc));
+    const endSoc = targetSoc !== undefined ? targetSoc : (direction > 0 ? 100 : 0);
+    let time = 0;
+    let soc = startSoc;
+    let increments = 0; // SoC = start + increments · SOC_INCREMENT, so float error does not pile up
+    let stalledAt = null;
+    let stoppedEarly = false;
+
+    while (direction !== 0 && soc !== endSoc) {
+        const increment = Math.min(SOC_INCREMENT, Math.abs(endSoc - soc));
+        const rate = socRate(soc + (direction * increment) / 2);
+        if (!(rate * direction > 0)) {
+            stalledAt = soc;
+            break;
+        }
+        const stepTime = increment / Math.abs(rate);
+        if (duration !== undefined && time + stepTime >= duration) {
+            soc += rate * (duration - time);
+            time = duration;
+            stoppedEarly = true;
+            break;
+        }
+        time += stepTime;
+        increments += 1;
+        soc = increment === Math.abs(endSoc - soc) ? endSoc : startSoc + direction * increments * SOC_INCREMENT;
+        // Keep roughly one trajectory point per 1% SoC
+        if (Math.abs(soc - points[points.length - 1][1]) >= 1 || soc === endSoc) points.push([time, roundSoc(soc)]);
+    }
+
+    let limitAt = null;
+    if (duration !== undefined) {
+        if (!stoppedEarly && stalledAt === null && direction !== 0) limitAt = time;
+        time = duration;
+    }
+    if (points[points.length - 1][0] !== time || points[points.length - 1][1] !== roundSoc(soc)) points.push([time, roundSoc(soc)]);
+    return { endSoc: soc, duration: time, points, stalledAt, limitAt };
+}
+
+// --- Schedule Parsing ---
+// One step per line (or separated by ';'): "<power kW>, <duration>" or "<power kW>, <target SoC>%".
+// Power is signed (+ charge, - discharge, 0 or 'idle' for an idle period); durations are in hours
+// unless suffixed with 'min'. '#' starts a comment.
+function parseScheduleSteps(text) {
+    const steps = [];
+    const errors = [];
+    String(text || '').split(/[\n;]/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*/, '').trim();
+        if (line === '') return;
+        const parts = line.split(',').map(part => part.trim());
+        const label = `Schedule line ${index + 1} ("${line}")`;
+        if (parts.length !== 2) {
+            errors.push(`${label}: expected "<power kW>, <duration h>" or "<power kW>, <target SoC>%".`);
+            return;
+        }
+        const power = /^idle$/i.test(parts[0]) ? 0 : Number(parts[0]);
+        if (parts[0] === '' || isNaN(power)) {
+            errors.push(`${label}: power must be a number (or "idle").`);
+            return;
+        }
+        const targetMatch = parts[1].match(/^(-?[\d.]+)\s*%$/);
+        const durationMatch = parts[1].match(/^([\d.]+)\s*(h|min)?$/i);
+        if (targetMatch) {
+            const targetSoc = Number(targetMatch[1]);
+            if (isNaN(targetSoc) || targetSoc < 0 || targetSoc > 100) errors.push(`${label}: target SoC must be 0-100%.`);
+            else steps.push({ power, targetSoc });
+        } else if (durationMatch && !isNaN(Number(durationMatch[1]))) {
+            const duration = Number(durationMatch[1]) / ((durationMatch[2] || 'h').toLowerCase() === 'min' ? 60 : 1);
+            steps.push({ power, duration });
+        } else {
+            errors.push(`${label}: the second value must be a duration (e.g. 2h, 30min) or a target SoC (e.g. 80%).`);
+        }
+    });
+    return { steps, errors };
+}
+
+// --- Schedule Simulation ---
+// Runs the steps in order from startSoc. A step that reaches 0% or 100% is flagged and the battery is
+// held at that limit for the rest of the step. Returns { rows, trajectory, errors } where trajectory
+// is [[hours, soc], ...] and rows describe each step.
+function simulateSchedule(steps, netBatteryPower, usableEnergy_kWh, startSoc) {
+    const rows = [];
+    const trajectory = [[0, startSoc]];
+    const errors = [];
+    let time = 0;
+    let soc = startSoc;
+
+    for (let index = 0; index < steps.length; index++) {
+        const step = steps[index];
+        const mode = step.power > 0 ? 'Charge' : (step.power < 0 ? 'Discharge' : 'Idle');
+        const result = integrateStep(netBatteryPower, step.power, usableEnergy_kWh, soc, step);
+        if (step.targetSoc !== undefined && result.stalledAt !== null) {
+            errors.push(`Step ${index + 1} (${mode} ${Math.abs(step.power)} kW) never reaches ${step.targetSoc}% SoC from ${result.stalledAt.toFixed(1)}%.`);
+            break;
+        }
+
+        const row = {
+            step: index + 1,
+            mode,
+            power: step.power,
+            batteryPower: netBatteryPower(step.power, soc),
+            start: time,
+            duration: result.duration,
+            startSoc: soc,
+            endSoc: result.endSoc,
+            limit: result.limitAt !== null ? `Hit ${result.endSoc}% at ${(time + result.limitAt).toFixed(2)} h` : ''
+        };
+        result.points.slice(1).forEach(([stepTime, stepSoc]) => trajectory.push([time + stepTime, stepSoc]));
+        time += result.duration;
+        soc = result.endSoc;
+        rows.push(row);
+    }
+    return { rows, trajectory, errors };
+}
+
 // --- Calculator Definition ---
 const socCalculator = {
     // 1. METADATA
     id: 'soc-energy-calculator',
     title: 'SoC / Energy Time Calculator',
-    description: 'Calculate the time required to charge or discharge a battery system to a target State of Charge (SoC), accounting for system losses.',
+    description: 'Calculate the time required to charge or discharge a battery system to a target State of Charge (SoC), accounting for system losses and optional C-rate / power taper limits. In schedule mode, simulate a sequence of charge, discharge and idle steps and plot the SoC over time.',
 
     // 2. FIELD DEFINITIONS
     fields: [
+        // Calculation Mode
+        {
+            id: 'calculation-mode',
+            label: 'Calculate:',
+            type: 'select',
+            options: [
+                { value: 'single', text: 'Time to Target SoC (single step)' },
+                { value: 'schedule', text: 'Charge/Discharge Schedule (multi-step)' }
+            ]
+        },
         // Energy Input Mode
         {
             id: 'energy-input-mode',
@@ -48,62 +246,327 @@ const socCalculator = {
             ]
         },
         // Mutually Exclusive Energy Inputs
-        { id: 'usable-energy', label: 'Usable System Energy [kWh]:', type: 'number', placeholder: 'e.g., 100', attributes: { step: 'any' } },
-        { id: 'dc-block-energy', label: 'DC Block Energy [kWh]:', type: 'number', placeholder: 'e.g., 50', attributes: { step: 'any' } },
-        { id: 'num-dc-blocks', label: 'Number of DC Blocks:', type: 'number', placeholder: 'e.g., 2', attributes: { step: '1', min: '1' } },
+        { id: 'usable-energy', label: 'Usable System Energy:', unit: 'kWh', type: 'number', placeholder: 'e.g., 100', attributes: { step: 'any' }, validation: { required: true, exclusiveMin: 0, when: { 'energy-input-mode': 'system' } } },
+        { id: 'dc-block-energy', label: 'DC Block Energy:', unit: 'kWh', type: 'number', placeholder: 'e.g., 50', attributes: { step: 'any' }, validation: { required: true, exclusiveMin: 0, when: { 'energy-input-mode': 'blocks' } } },
+        { id: 'num-dc-blocks', label: 'Number of DC Blocks:', type: 'number', placeholder: 'e.g., 2', attributes: { step: '1', min: '1' }, validation: { required: true, integer: true, min: 1, when: { 'energy-input-mode': 'blocks' } } },
         
         // *** NEW INTERIM FIELD ***
-        { id: 'total-calculated-energy', label: 'Calculated Total Usable Energy [kWh]:', type: 'number', placeholder: 'Calculated', attributes: { readonly: true, style: 'font-weight: bold; color: #0056b3;' } },
+        { id: 'total-calculated-energy', label: 'Calculated Total Usable Energy:', unit: 'kWh', type: 'number', placeholder: 'Calculated', attributes: { readonly: true, style: 'font-weight: bold; color: #0056b3;' } },
 
         // Other Specs
-        { id: 'start-soc', label: 'Start SoC [%]:', type: 'number', placeholder: 'e.g., 20', attributes: { step: 'any', min: '0', max: '100' } },
-        { id: 'target-soc', label: 'Target SoC [%]:', type: 'number', placeholder: 'e.g., 80', attributes: { step: 'any', min: '0', max: '100' } },
+        { id: 'start-soc', label: 'Start SoC [%]:', type: 'number', quantity: 'state-of-charge', placeholder: 'e.g., 20', attributes: { step: 'any', min: '0', max: '100' }, validation: { required: true, min: 0, max: 100 } },
+        { id: 'target-soc', label: 'Target SoC [%]:', type: 'number', quantity: 'state-of-charge', placeholder: 'e.g., 80', attributes: { step: 'any', min: '0', max: '100' }, validation: { required: true, min: 0, max: 100, when: { 'calculation-mode': 'single' } } },
         
         // Operation
         { isSeparator: true },
-        { id: 'power-kw', label: 'Charge/Discharge Power [kW]:', type: 'number', placeholder: 'Enter positive value, e.g., 50', attributes: { step: 'any' } },
+        { id: 'power-kw', label: 'Charge/Discharge Power:', unit: 'kW', type: 'number', placeholder: 'Enter positive value, e.g., 50', attributes: { step: 'any' }, validation: { required: true, min: 0, when: { 'calculation-mode': 'single' } } },
+        {
+            id: 'schedule-steps',
+            label: 'Schedule Steps (one per line: power in kW, then a duration or target SoC):',
+            type: 'textarea',
+            placeholder: '50, 2h        # charge 50 kW for 2 hours\n0, 30min      # idle (auxiliary losses only)\n-40, 20%      # discharge 40 kW down to 20% SoC',
+            attributes: { rows: '5' }
+        },
 
         // Losses & Efficiency
         { isSeparator: true },
-        { id: 'inverter-efficiency', label: 'Inverter Efficiency (One-Way) [%]:', type: 'number', value: 98, attributes: { step: 'any', min: '0', max: '100' } },
-        { id: 'battery-efficiency', label: 'Battery Efficiency (One-Way) [%]:', type: 'number', value: 95, attributes: { step: 'any', min: '0', max: '100' } },
-        { id: 'aux-loss-watts', label: 'Auxiliary System Losses [W]:', type: 'number', value: 150, attributes: { step: 'any', min: '0' } },
+        { id: 'inverter-efficiency', label: 'Inverter Efficiency (One-Way) [%]:', type: 'number', value: 98, attributes: { step: 'any', min: '0', max: '100' }, validation: { required: true, exclusiveMin: 0, max: 100 } },
+        { id: 'battery-efficiency', label: 'Battery Efficiency (One-Way) [%]:', type: 'number', value: 95, attributes: { step: 'any', min: '0', max: '100' }, validation: { required: true, exclusiveMin: 0, max: 100 } },
+        { id: 'aux-loss-watts', label: 'Auxiliary System Losses:', unit: 'W', type: 'number', value: 150, attributes: { step: 'any', min: '0' }, validation: { required: true, min: 0 } },
+
+        // Power Limits (optional)
+        { id: 'max-c-rate', label: 'Maximum C-Rate (of usable energy) [1/h] (Optional):', type: 'number', placeholder: 'e.g., 0.5', attributes: { step: 'any', min: '0' }, validation: { exclusiveMin: 0 } },
+        {
+            id: 'taper-curve',
+            label: 'Power Taper Curve (Optional; one per line: SoC %, charge %, discharge %):',
+            type: 'textarea',
+            placeholder: '90, 100, 100   # full power up to 90% SoC\n95, 50\n100, 10        # 10% of the power limit at full charge',
+            attributes: { rows: '4' }
+        },
         
         // Outputs
         { isSeparator: true },
         { id: 'operation-mode', label: 'Operation Mode:', type: 'text', placeholder: 'Calculated', attributes: { readonly: true, style: 'font-weight: bold;' } },
-        { id: 'effective-power', label: 'Effective Power at Battery [kW]:', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
-        { id: 'time-to-target', label: 'Calculated Time to Target:', type: 'text', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'effective-power', label: 'Effective Power at Battery (at Start SoC):', unit: 'kW', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'average-effective-power', label: 'Average Effective Power at Battery:', unit: 'kW', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'time-to-target', label: 'Calculated Time to Target:', type: 'text', unit: 'h', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'schedule-end-soc', label: 'SoC at End of Schedule [%]:', type: 'number', quantity: 'state-of-charge', format: { decimals: 2 }, placeholder: 'Calculated', attributes: { readonly: true, style: 'font-weight: bold;' } },
+        { id: 'schedule-duration', label: 'Total Schedule Duration:', type: 'text', unit: 'h', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'schedule-flags', label: 'SoC Limit Warnings:', type: 'text', placeholder: 'Calculated', attributes: { readonly: true } },
     ],
 
-    // 3. INITIALIZATION LOGIC
+    // 3. COMPUTE LOGIC (DOM-free)
+    // Inputs are keyed by field id. 'time-to-target' is returned in decimal hours, integrated over the
+    // optional 'taper-curve' and 'max-c-rate' limits (see createPowerModel).
+    // With 'calculation-mode' = 'schedule', 'schedule-steps' replaces target SoC and power, and the
+    // outputs are 'schedule-end-soc', 'schedule-duration' (hours), 'schedule-flags', plus
+    // 'schedule-table' (one row per step) and 'schedule-trajectory' ([[hours, soc %], ...]).
+    // Both modes also return the derivation `steps`.
+    compute(inputs) {
+        const outputs = {};
+        const errors = [];
+        const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+        const mode = inputs['energy-input-mode'] || 'system';
+        const isSchedule = inputs['calculation-mode'] === 'schedule';
+
+        const numberOf = id => parseFloat(inputs[id]);
+
+        // --- Determine Usable Energy from selected mode ---
+        let usableEnergy_kWh;
+        if (mode === 'system') {
+            usableEnergy_kWh = numberOf('usable-energy');
+        } else { // 'blocks'
+            usableEnergy_kWh = numberOf('dc-block-energy') * numberOf('num-dc-blocks');
+            if (!isNaN(usableEnergy_kWh)) outputs['total-calculated-energy'] = usableEnergy_kWh;
+        }
+
+        // --- Validation (the rules, per mode, are declared on the fields) ---
+        const validation = validateInputs(socCalculator, inputs);
+        if (!validation.valid) return { outputs, errors: validation.errors };
+
+        const startSoc = numberOf('start-soc');
+        const targetSoc = numberOf('target-soc');
+        const maxCRate = isBlank(inputs['max-c-rate']) ? null : numberOf('max-c-rate');
+        const taper = parseTaperCurve(inputs['taper-curve']);
+        errors.push(...taper.errors);
+
+        if (errors.length > 0) {
+            return { outputs, errors };
+        }
+
+        const invEff = numberOf('inverter-efficiency') / 100;
+        const auxLoss_kW = numberOf('aux-loss-watts') / 1000;
+        const netBatteryPower = createPowerModel({ usableEnergy_kWh, invEff, auxLoss_kW, maxCRate, taperCurve: taper.points });
+
+        const steps = [];
+        if (mode === 'blocks') {
+            steps.push({
+                title: 'Total usable energy',
+                formula: 'E = E_block · N_blocks',
+                substitution: `${given(numberOf('dc-block-energy'), 'kWh')} · ${given(numberOf('num-dc-blocks'))}`,
+                result: derived(usableEnergy_kWh, 'kWh')
+            });
+        }
+        const taperNote = taper.points.length > 0 ? 'the taper curve makes the power depend on SoC, so the time is integrated in 0.1% SoC increments' : '';
+
+        if (isSchedule) {
+            if (isBlank(inputs['schedule-steps'])) return { outputs, errors };
+            const parsed = parseScheduleSteps(inputs['schedule-steps']);
+            if (parsed.errors.length > 0 || parsed.steps.length === 0) {
+                return { outputs, errors: parsed.errors.length > 0 ? parsed.errors : ['Please enter at least one schedule step.'] };
+            }
+            const { rows, trajectory, errors: simulationErrors } = simulateSchedule(parsed.steps, netBatteryPower, usableEnergy_kWh, startSoc);
+            const lastPoint = trajectory[trajectory.length - 1];
+            const flaggedRows = rows.filter(row => row.limit !== '');
+            outputs['schedule-end-soc'] = lastPoint[1];
+            outputs['schedule-duration'] = lastPoint[0];
+            outputs['schedule-flags'] = flaggedRows.length === 0 ? 'None' : flaggedRows.map(row => `Step ${row.step}: ${row.limit}`).join('; ');
+            outputs['schedule-table'] = rows;
+            outputs['schedule-trajectory'] = trajectory;
+
+            rows.forEach(row => {
+                const constantPower = taper.points.length === 0 && row.limit === '';
+                const sign = row.batteryPower < 0 ? '−' : '+';
+                steps.push({
+                    title: `Step ${row.step}: ${row.mode}${row.power !== 0 ? ` ${given(Math.abs(row.power), 'kW')}` : ''}`,
+                    formula: 'SoC_end = SoC_start + P_batt · t / E · 100',
+                    substitution: constantPower
+                        ? `${derived(row.startSoc, '%')} ${sign} ${derived(Math.abs(row.batteryPower), 'kW')} · ${derived(row.duration, 'h')} / ${given(usableEnergy_kWh, 'kWh')} · 100`
+                        : '',
+                    result: derived(row.endSoc, '%', { decimals: 2 }),
+                    note: row.limit !== '' ? `${row.limit}; held there for the rest of the step` : taperNote
+                });
+            });
+            steps.push({
+                title: 'Schedule duration',
+                formula: 't = Σ t_step',
+                substitution: rows.map(row => derived(row.duration, 'h')).join(' + '),
+                result: formatTime(lastPoint[0])
+            });
+            return { outputs, errors: simulationErrors, steps };
+        }
+
+        // --- Determine Operation Mode based on SoC ---
+        let operationMode = 'Idle';
+        const socDirection = Math.sign(targetSoc - startSoc);
+        if (socDirection > 0) operationMode = 'Charging';
+        else if (socDirection < 0) operationMode = 'Discharging';
+        if (operationMode === 'Idle') {
+            errors.push('Start and Target SoC are the same. No operation needed.');
+            return { outputs, errors };
+        }
+        outputs['operation-mode'] = operationMode;
+
+        const gridPower = operationMode === 'Charging' ? Math.abs(numberOf('power-kw')) : -Math.abs(numberOf('power-kw'));
+        const effectivePower = Math.abs(netBatteryPower(gridPower, startSoc));
+        const result = integrateStep(netBatteryPower, gridPower, usableEnergy_kWh, startSoc, { targetSoc });
+        if (result.stalledAt !== null) {
+            if (operationMode === 'Discharging') errors.push(`Discharge power tapers to zero at ${result.stalledAt.toFixed(2)}% SoC. The target cannot be reached.`);
+            else if (result.stalledAt === startSoc) errors.push('Charge power is too low to overcome system losses. The battery will not charge.');
+            else errors.push(`Charge power tapers below the system losses at ${result.stalledAt.toFixed(2)}% SoC. The target cannot be reached.`);
+            return { outputs, errors };
+        }
+        outputs['effective-power'] = effectivePower;
+        const deltaSoc = Math.abs(targetSoc - startSoc);
+        const energyToTransfer_kWh = (deltaSoc / 100) * usableEnergy_kWh;
+        outputs['time-to-target'] = result.duration;
+        outputs['average-effective-power'] = energyToTransfer_kWh / result.duration;
+
+        const charging = operationMode === 'Charging';
+        const requestedDc = charging ? Math.abs(gridPower) * invEff : Math.abs(gridPower) / invEff;
+        const dcPower = charging ? effectivePower + auxLoss_kW : effectivePower - auxLoss_kW;
+        const capped = dcPower < requestedDc - 1e-9;
+        const requestedText = charging ? 'P_grid · η_inv' : 'P_grid / η_inv';
+        const requestedValues = `${given(Math.abs(gridPower), 'kW')} ${charging ? '·' : '/'} ${given(invEff)}`;
+        steps.push(
+            {
+                title: 'Operation mode',
+                formula: charging ? 'SoC_target > SoC_start' : 'SoC_target < SoC_start',
+                substitution: `${given(targetSoc, '%')} ${charging ? '>' : '<'} ${given(startSoc, '%')}`,
+                result: operationMode
+            },
+            {
+                title: 'Effective power at the battery (at Start SoC)',
+                formula: `P_batt = ${capped ? `min(${requestedText}, P_limit)` : requestedText} ${charging ? '−' : '+'} P_aux`,
+                substitution: `${capped ? `min(${requestedValues}, ${derived(dcPower, 'kW')})` : requestedValues} ${charging ? '−' : '+'} ${given(auxLoss_kW, 'kW')}`,
+                result: derived(effectivePower, 'kW'),
+                note: capped ? 'P_limit is the C-rate times the usable energy, scaled by the taper curve at Start SoC' : ''
+            },
+            {
+                title: 'Energy to transfer',
+                formula: 'E_Δ = |SoC_target − SoC_start| / 100 · E',
+                substitution: `|${given(targetSoc, '%')} − ${given(startSoc, '%')}| / 100 · ${given(usableEnergy_kWh, 'kWh')}`,
+                result: derived(energyToTransfer_kWh, 'kWh')
+            },
+            {
+                title: 'Time to target',
+                formula: taper.points.length > 0 ? 't = ∫ E / (100 · P_batt(SoC)) dSoC' : 't = E_Δ / P_batt',
+                substitution: taper.points.length > 0 ? '' : `${derived(energyToTransfer_kWh, 'kWh')} / ${derived(effectivePower, 'kW')}`,
+                result: `${derived(result.duration, 'h')} (${formatTime(result.duration)})`,
+                note: taperNote
+            },
+            {
+                title: 'Average effective power',
+                formula: 'P_avg = E_Δ / t',
+                substitution: `${derived(energyToTransfer_kWh, 'kWh')} / ${derived(result.duration, 'h')}`,
+                result: derived(outputs['average-effective-power'], 'kW')
+            }
+        );
+        return { outputs, errors, steps };
+    },
+
+    // 4. INITIALIZATION LOGIC (UI adapter over compute)
     init(sectionElement) {
         // --- Find DOM Elements ---
         const inputs = {
-            mode: sectionElement.querySelector('#energy-input-mode'),
-            usableEnergy: sectionElement.querySelector('#usable-energy'),
-            dcBlockEnergy: sectionElement.querySelector('#dc-block-energy'),
-            numDcBlocks: sectionElement.querySelector('#num-dc-blocks'),
-            startSoc: sectionElement.querySelector('#start-soc'),
-            targetSoc: sectionElement.querySelector('#target-soc'),
-            power: sectionElement.querySelector('#power-kw'),
-            inverterEff: sectionElement.querySelector('#inverter-efficiency'),
-            batteryEff: sectionElement.querySelector('#battery-efficiency'),
-            auxLoss: sectionElement.querySelector('#aux-loss-watts'),
+            calculationMode: getField(sectionElement, 'calculation-mode'),
+            mode: getField(sectionElement, 'energy-input-mode'),
+            usableEnergy: getField(sectionElement, 'usable-energy'),
+            dcBlockEnergy: getField(sectionElement, 'dc-block-energy'),
+            numDcBlocks: getField(sectionElement, 'num-dc-blocks'),
+            startSoc: getField(sectionElement, 'start-soc'),
+            targetSoc: getField(sectionElement, 'target-soc'),
+            power: getField(sectionElement, 'power-kw'),
+            inverterEff: getField(sectionElement, 'inverter-efficiency'),
+            batteryEff: getField(sectionElement, 'battery-efficiency'),
+            auxLoss: getField(sectionElement, 'aux-loss-watts'),
+            maxCRate: getField(sectionElement, 'max-c-rate'),
+            taperCurve: getField(sectionElement, 'taper-curve'),
+            scheduleSteps: getField(sectionElement, 'schedule-steps'),
         };
         const outputs = {
-            totalCalculatedEnergy: sectionElement.querySelector('#total-calculated-energy'),
-            mode: sectionElement.querySelector('#operation-mode'),
-            effectivePower: sectionElement.querySelector('#effective-power'),
-            time: sectionElement.querySelector('#time-to-target'),
+            totalCalculatedEnergy: getField(sectionElement, 'total-calculated-energy'),
+            mode: getField(sectionElement, 'operation-mode'),
+            effectivePower: getField(sectionElement, 'effective-power'),
+            averageEffectivePower: getField(sectionElement, 'average-effective-power'),
+            time: getField(sectionElement, 'time-to-target'),
+            scheduleEndSoc: getField(sectionElement, 'schedule-end-soc'),
+            scheduleDuration: getField(sectionElement, 'schedule-duration'),
+            scheduleFlags: getField(sectionElement, 'schedule-flags'),
         };
         const clearBtn = sectionElement.querySelector('.clearBtn');
         const statusDiv = sectionElement.querySelector('.status');
         const allInputElements = Object.values(inputs);
 
+        // --- Schedule Trajectory (table + SoC chart, placed under the schedule outputs) ---
+        const scheduleContainer = document.createElement('div');
+        outputs.scheduleFlags.parentElement.after(scheduleContainer);
+        const tableContainer = document.createElement('div');
+        tableContainer.className = 'result-table-container';
+        const chartContainer = document.createElement('div');
+        chartContainer.className = 'chart-container';
+        scheduleContainer.append(tableContainer, chartContainer);
+        const chart = createLineChart(chartContainer, {
+            xLabel: 'Time [h]',
+            yLabel: 'SoC [%]',
+            formatY: value => `${value}%`
+        });
+
         // --- Helper Functions ---
         function clearStatus() { if (statusDiv) statusDiv.textContent = ''; }
-        function resetOutputFields() { Object.values(outputs).forEach(output => { if (output) output.value = ''; }); }
+        function resetOutputFields() {
+            Object.values(outputs).forEach(output => { if (output) output.value = ''; });
+            outputs.scheduleFlags.classList.remove('limit-reached');
+            renderSchedule(null);
+        }
+
+        function isScheduleMode() {
+            return inputs.calculationMode.value === 'schedule';
+        }
+
+        function toggleCalculationMode() {
+            const schedule = isScheduleMode();
+            [inputs.targetSoc, inputs.power, outputs.mode, outputs.effectivePower, outputs.averageEffectivePower, outputs.time]
+                .forEach(element => { element.parentElement.style.display = schedule ? 'none' : ''; });
+            [inputs.scheduleSteps, outputs.scheduleEndSoc, outputs.scheduleDuration, outputs.scheduleFlags]
+                .forEach(element => { element.parentElement.style.display = schedule ? '' : 'none'; });
+            scheduleContainer.style.display = schedule ? '' : 'none';
+        }
+
+        function renderSchedule(rows, trajectory) {
+            tableContainer.replaceChildren();
+            if (!rows) {
+                chart.showMessage('Enter the battery data and at least one schedule step to plot the SoC trajectory.');
+                return;
+            }
+
+            const table = document.createElement('table');
+            table.className = 'result-table';
+            const headers = ['Step', 'Mode', 'Power [kW]', 'Battery Power [kW]', 'Start [h]', 'Duration', 'Start SoC [%]', 'End SoC [%]', 'Limit'];
+            const headerRow = table.createTHead().insertRow();
+            headers.forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                headerRow.appendChild(th);
+            });
+            const body = table.createTBody();
+            rows.forEach(row => {
+                const tr = body.insertRow();
+                if (row.limit !== '') tr.className = 'limit-reached';
+                const socCell = soc => formatFieldValue(socCalculator, 'schedule-end-soc', soc);
+                [row.step, row.mode, formatNumber(row.power), formatNumber(row.batteryPower), formatNumber(row.start, { decimals: 2 }), formatTime(row.duration),
+                    socCell(row.startSoc), socCell(row.endSoc), row.limit].forEach((text, index) => {
+                    const td = tr.insertCell();
+                    td.textContent = text;
+                    if ([1, 5, 8].includes(index)) td.className = 'text-cell';
+                });
+            });
+            tableContainer.appendChild(table);
+
+            const endTime = trajectory[trajectory.length - 1][0];
+            chart.render({
+                xDomain: [0, endTime > 0 ? endTime : 1],
+                yDomain: [0, 100],
+                bands: rows.filter(row => row.mode === 'Idle' && row.duration > 0)
+                    .map(row => ({ x0: row.start, x1: row.start + row.duration, label: `Step ${row.step}: Idle` })),
+                referenceLines: [{ y: 0 }, { y: 100 }],
+                series: [{ points: trajectory }],
+                markers: rows.filter(row => row.limit !== '').map(row => {
+                    const limitPoint = trajectory.find(([time, soc]) => time >= row.start && (soc === 0 || soc === 100));
+                    return { id: `step-${row.step}`, x: limitPoint[0], y: limitPoint[1], label: `Step ${row.step}: ${limitPoint[1]}%` };
+                })
+            });
+        }
 
         function toggleEnergyInputs() {
             const systemGroup = inputs.usableEnergy.parentElement;
@@ -129,90 +592,42 @@ const socCalculator = {
             clearStatus();
             resetOutputFields();
 
-            const values = Object.fromEntries(Object.entries(inputs).map(([key, el]) => [key, parseFloat(el.value)]));
+            const rawValues = toComputeUnits(socCalculator, sectionElement,
+                Object.fromEntries(allInputElements.map(input => [fieldIdOf(input), input.value])));
+            const result = socCalculator.compute(rawValues);
+            result.outputs = fromComputeUnits(socCalculator, sectionElement, result.outputs);
 
-            // --- Determine Usable Energy from selected mode ---
-            let usableEnergy_kWh;
-            if (inputs.mode.value === 'system') {
-                usableEnergy_kWh = values.usableEnergy;
-            } else { // 'blocks'
-                if (!isNaN(values.dcBlockEnergy) && !isNaN(values.numDcBlocks)) {
-                    usableEnergy_kWh = values.dcBlockEnergy * values.numDcBlocks;
-                    // Update the interim display field
-                    outputs.totalCalculatedEnergy.value = usableEnergy_kWh.toFixed(2);
-                } else {
-                    usableEnergy_kWh = NaN; // Ensure it's NaN if inputs are bad
-                }
-            }
-            
-            // --- Validation of other fields ---
-            const otherValues = { power: values.power, startSoc: values.startSoc, targetSoc: values.targetSoc, inverterEff: values.inverterEff, batteryEff: values.batteryEff, auxLoss: values.auxLoss };
-            if (isNaN(usableEnergy_kWh) || Object.values(otherValues).some(v => isNaN(v))) {
-                 if (Object.values(inputs).some(el => el.offsetParent && el.value.trim() && isNaN(parseFloat(el.value)))) {
-                     statusDiv.textContent = 'Please fill all visible fields with valid numbers.';
-                }
-                return;
-            }
-            
-            let errors = [];
-            // ... (rest of validation remains the same)
-            if (values.startSoc < 0 || values.startSoc > 100) errors.push('Start SoC must be 0-100%.');
-            if (values.targetSoc < 0 || values.targetSoc > 100) errors.push('Target SoC must be 0-100%.');
-            if (usableEnergy_kWh <= 0) errors.push('Total Usable Energy must be > 0.');
-            if (values.inverterEff <= 0 || values.inverterEff > 100) errors.push('Inverter Efficiency must be > 0 and ≤ 100%.');
-            if (values.batteryEff <= 0 || values.batteryEff > 100) errors.push('Battery Efficiency must be > 0 and ≤ 100%.');
-            if (values.power < 0) errors.push('Power value should be positive.');
-
-            if (errors.length > 0) {
-                statusDiv.textContent = `Validation Error(s): ${errors.join(' ')}`;
-                return;
+            // Partial results (e.g. the interim energy total) are shown even when validation fails.
+            if (result.outputs['total-calculated-energy'] !== undefined) outputs.totalCalculatedEnergy.value = formatFieldValue(socCalculator, 'total-calculated-energy', result.outputs['total-calculated-energy']);
+            if (result.outputs['operation-mode'] !== undefined) outputs.mode.value = result.outputs['operation-mode'];
+            if (result.outputs['effective-power'] !== undefined) outputs.effectivePower.value = formatFieldValue(socCalculator, 'effective-power', result.outputs['effective-power']);
+            if (result.outputs['average-effective-power'] !== undefined) outputs.averageEffectivePower.value = formatFieldValue(socCalculator, 'average-effective-power', result.outputs['average-effective-power']);
+            if (result.outputs['time-to-target'] !== undefined) outputs.time.value = formatTime(result.outputs['time-to-target']);
+            if (result.outputs['schedule-table'] !== undefined) {
+                outputs.scheduleEndSoc.value = formatFieldValue(socCalculator, 'schedule-end-soc', result.outputs['schedule-end-soc']);
+                outputs.scheduleDuration.value = formatTime(result.outputs['schedule-duration']);
+                outputs.scheduleFlags.value = result.outputs['schedule-flags'];
+                outputs.scheduleFlags.classList.toggle('limit-reached', result.outputs['schedule-flags'] !== 'None');
+                renderSchedule(result.outputs['schedule-table'], result.outputs['schedule-trajectory']);
             }
 
-            // --- Determine Operation Mode based on SoC ---
-            // ... (rest of calculation logic remains the same)
-            let mode = 'Idle';
-            const socDirection = Math.sign(values.targetSoc - values.startSoc);
-            if (socDirection > 0) mode = 'Charging';
-            else if (socDirection < 0) mode = 'Discharging';
-            if (mode === 'Idle') {
-                statusDiv.textContent = 'Start and Target SoC are the same. No operation needed.';
-                return;
-            }
-            outputs.mode.value = mode;
-
-            let effectivePower = 0;
-            const powerValue = Math.abs(values.power);
-            const invEff = values.inverterEff / 100;
-            const batEff = values.batteryEff / 100;
-            const auxLoss_kW = values.auxLoss / 1000;
-            if (mode === 'Charging') {
-                let powerAfterInverter = (powerValue * invEff);
-                let netPowerToBattery = powerAfterInverter - auxLoss_kW;
-                if (netPowerToBattery <= 0) {
-                    statusDiv.textContent = 'Charge power is too low to overcome system losses. The battery will not charge.';
-                    return;
-                }
-                effectivePower = netPowerToBattery;
-            } else { // Discharging
-                let powerForLoadAndInverter = powerValue / invEff;
-                let totalPowerFromBattery = powerForLoadAndInverter + auxLoss_kW;
-                effectivePower = totalPowerFromBattery;
+            // Out-of-range inputs keep their prefix; the other errors describe the operation itself
+            const validationErrors = validateInputs(socCalculator, rawValues).errors;
+            if (validationErrors.length > 0) {
+                statusDiv.textContent = `Validation Error(s): ${validationErrors.join(' ')}`;
+            } else if (result.errors.length > 0) {
+                statusDiv.textContent = result.errors.join(' ');
             }
-            outputs.effectivePower.value = effectivePower.toFixed(3);
-            const deltaSoc = Math.abs(values.targetSoc - values.startSoc);
-            const energyToTransfer_kWh = (deltaSoc / 100) * usableEnergy_kWh;
-            const time_hours = energyToTransfer_kWh / effectivePower;
-            outputs.time.value = formatTime(time_hours);
         }
 
         // --- Clear All Fields Function ---
         function clearFields() {
             // ... (remains the same)
             allInputElements.forEach(input => {
-                const id = input.id;
+                const id = fieldIdOf(input);
                 const fieldDef = socCalculator.fields.find(f => f.id === id);
                 if (fieldDef && fieldDef.value !== undefined) {
-                    input.value = fieldDef.value;
+                    input.value = fromComputeUnits(socCalculator, sectionElement, { [id]: fieldDef.value })[id];
                 } else if (input.tagName !== 'SELECT') {
                     input.value = '';
                 }
@@ -228,10 +643,18 @@ const socCalculator = {
             toggleEnergyInputs();
             calculateTime();
         });
+        inputs.calculationMode.addEventListener('change', () => {
+            toggleCalculationMode();
+            calculateTime();
+        });
         if (clearBtn) clearBtn.addEventListener('click', clearFields);
+        sectionElement.addEventListener('unitchange', calculateTime);
+        sectionElement.addEventListener('formatchange', calculateTime);
         
         // Initial setup
         toggleEnergyInputs();
+        toggleCalculationMode();
+        renderSchedule(null);
         console.log('SoC / Energy Time Calculator Initialized.');
     }
 };
@@ -0,0 +1,223 @@
+// svgChart.js
+// Minimal dependency-free SVG line chart used by calculators that plot a characteristic.
+// Supports multiple polyline series, shaded x-bands (e.g. deadbands), reference lines and
+// point markers that can optionally be dragged horizontally.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// --- Helpers ---
+function svgElement(tagName, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tagName);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+// "Nice" tick values (1, 2, 5 x 10^n steps) covering [min, max].
+function niceTicks(min, max, targetCount = 6) {
+    const span = max - min;
+    if (!(span > 0)) return [min];
+    const rawStep = span / targetCount;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => span / s <= targetCount) || 10 * magnitude;
+    const ticks = [];
+    for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+        ticks.push(Math.abs(value) < step * 1e-9 ? 0 : value);
+    }
+    return ticks;
+}
+
+// Compact tick labels: 1500000 -> "1.5M", 0.25 -> "0.25".
+export function formatTick(value) {
+    const abs = Math.abs(value);
+    const trim = number => String(parseFloat(number.toPrecision(4)));
+    if (abs >= 1e9) return `${trim(value / 1e9)}G`;
+    if (abs >= 1e6) return `${trim(value / 1e6)}M`;
+    if (abs >= 1e4) return `${trim(value / 1e3)}k`;
+    return trim(value);
+}
+
+// Pads a [min, max] domain so lines do not sit on the plot border; widens degenerate domains.
+export function paddedDomain(values, paddingRatio = 0.08) {
+    const finite = values.filter(Number.isFinite);
+    if (finite.length === 0) return [0, 1];
+    let min = Math.min(...finite);
+    let max = Math.max(...finite);
+    if (max === min) {
+        const spread = Math.abs(min) > 0 ? Math.abs(min) * 0.1 : 1;
+        min -= spread;
+        max += spread;
+    }
+    const padding = (max - min) * paddingRatio;
+    return [min - padding, max + padding];
+}
+
+// --- Chart Factory ---
+// options: { width, height, xLabel, yLabel, formatX, formatY, onMarkerDrag(markerId, x, { done }) }
+export function createLineChart(container, options = {}) {
+    const width = options.width || 540;
+    const height = options.height || 300;
+    const margin = { top: 16, right: 20, bottom: 44, left: 64 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const formatX = options.formatX || formatTick;
+    const formatY = options.formatY || formatTick;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'chart';
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img' });
+    const message = document.createElement('p');
+    message.className = 'chart-message';
+    wrapper.append(svg, message);
+    container.appendChild(wrapper);
+
+    let xDomain = [0, 1];
+    let yDomain = [0, 1];
+    let dragging = null; // { markerId, pointerId }
+    let lastData = null;
+
+    const xScale = x => margin.left + ((x - xDomain[0]) / (xDomain[1] - xDomain[0])) * plotWidth;
+    const yScale = y => margin.top + (1 - (y - yDomain[0]) / (yDomain[1] - yDomain[0])) * plotHeight;
+    const clampX = px => Math.min(margin.left + plotWidth, Math.max(margin.left, px));
+    const invertX = px => xDomain[0] + ((clampX(px) - margin.left) / plotWidth) * (xDomain[1] - xDomain[0]);
+
+    function pointerToX(event) {
+        const rect = svg.getBoundingClientRect();
+        const scale = rect.width > 0 ? width / rect.width : 1;
+        return invertX((event.clientX - rect.left) * scale);
+    }
+
+    function drawAxes() {
+        const axes = svgElement('g', { class: 'chart-axes' });
+        niceTicks(xDomain[0], xDomain[1]).forEach(tick => {
+            const x = xScale(tick);
+            axes.appendChild(svgElement('line', { x1: x, x2: x, y1: margin.top, y2: margin.top + plotHeight, class: 'chart-grid' }));
+            const label = svgElement('text', { x, y: margin.top + plotHeight + 16, 'text-anchor': 'middle' });
+            label.textContent = formatX(tick);
+            axes.appendChild(label);
+        });
+        niceTicks(yDomain[0], yDomain[1]).forEach(tick => {
+            const y = yScale(tick);
+            axes.appendChild(svgElement('line', { x1: margin.left, x2: margin.left + plotWidth, y1: y, y2: y, class: 'chart-grid' }));
+            const label = svgElement('text', { x: margin.left - 6, y: y + 4, 'text-anchor': 'end' });
+            label.textContent = formatY(tick);
+            axes.appendChild(label);
+        });
+        axes.appendChild(svgElement('rect', { x: margin.left, y: margin.top, width: plotWidth, height: plotHeight, class: 'chart-frame' }));
+        // Labels given with the data (e.g. carrying the selected unit) override the ones from the options
+        const xLabel = (lastData && lastData.xLabel) || options.xLabel;
+        const yLabel = (lastData && lastData.yLabel) || options.yLabel;
+        if (xLabel) {
+            const label = svgElement('text', { x: margin.left + plotWidth / 2, y: height - 6, 'text-anchor': 'middle', class: 'chart-axis-label' });
+            label.textContent = xLabel;
+            axes.appendChild(label);
+        }
+        if (yLabel) {
+            const label = svgElement('text', { x: 14, y: margin.top + plotHeight / 2, 'text-anchor': 'middle', class: 'chart-axis-label', transform: `rotate(-90 14 ${margin.top + plotHeight / 2})` });
+            label.textContent = yLabel;
+            axes.appendChild(label);
+        }
+        svg.appendChild(axes);
+    }
+
+    // data: { xDomain, yDomain, xLabel, yLabel, bands: [{ x0, x1, label }], referenceLines: [{ y, label }],
+    //         series: [{ points: [[x, y], ...], className }], markers: [{ id, x, y, label, draggable }] }
+    function render(data) {
+        lastData = data;
+        message.textContent = '';
+        svg.style.display = '';
+        // Keep the scales fixed while a marker is being dragged so the plot does not jump under the pointer.
+        if (!dragging) {
+            xDomain = data.xDomain;
+            yDomain = data.yDomain;
+        }
+        svg.replaceChildren();
+
+        const clipId = `clip-${Math.random().toString(36).slice(2)}`;
+        const defs = svgElement('defs');
+        const clipPath = svgElement('clipPath', { id: clipId });
+        clipPath.appendChild(svgElement('rect', { x: margin.left, y: margin.top, width: plotWidth, height: plotHeight }));
+        defs.appendChild(clipPath);
+        svg.appendChild(defs);
+
+        drawAxes();
+        const plot = svgElement('g', { 'clip-path': `url(#${clipId})` });
+        svg.appendChild(plot);
+
+        (data.bands || []).forEach(band => {
+            const x0 = xScale(band.x0);
+            const rect = svgElement('rect', { x: x0, y: margin.top, width: Math.max(1, xScale(band.x1) - x0), height: plotHeight, class: 'chart-band' });
+            if (band.label) {
+                const title = svgElement('title');
+                title.textContent = band.label;
+                rect.appendChild(title);
+            }
+            plot.appendChild(rect);
+        });
+
+        (data.referenceLines || []).forEach(line => {
+            const y = yScale(line.y);
+            plot.appendChild(svgElement('line', { x1: margin.left, x2: margin.left + plotWidth, y1: y, y2: y, class: 'chart-reference' }));
+            if (line.label) {
+                const text = svgElement('text', { x: margin.left + 4, y: y - 4, class: 'chart-reference-label' });
+                text.textContent = line.label;
+                plot.appendChild(text);
+            }
+        });
+
+        (data.series || []).forEach(series => {
+            if (series.points.length < 2) return;
+            const points = series.points.map(([x, y]) => `${xScale(x).toFixed(2)},${yScale(y).toFixed(2)}`).join(' ');
+            plot.appendChild(svgElement('polyline', { points, class: `chart-series ${series.className || ''}`.trim() }));
+        });
+
+        (data.markers || []).forEach(marker => {
+            const group = svgElement('g', { class: `chart-marker${marker.draggable ? ' draggable' : ''}` });
+            const cx = xScale(marker.x);
+            const cy = yScale(marker.y);
+            group.appendChild(svgElement('line', { x1: cx, x2: cx, y1: margin.top, y2: margin.top + plotHeight, class: 'chart-marker-guide' }));
+            group.appendChild(svgElement('circle', { cx, cy, r: marker.draggable ? 7 : 5 }));
+            if (marker.label) {
+                const anchorRight = cx > margin.left + plotWidth * 0.7;
+                const text = svgElement('text', { x: anchorRight ? cx - 10 : cx + 10, y: Math.max(margin.top + 12, cy - 10), 'text-anchor': anchorRight ? 'end' : 'start', class: 'chart-marker-label' });
+                text.textContent = marker.label;
+                group.appendChild(text);
+            }
+            if (marker.draggable && typeof options.onMarkerDrag === 'function') {
+                group.addEventListener('pointerdown', event => {
+                    event.preventDefault();
+                    dragging = { markerId: marker.id, pointerId: event.pointerId };
+                    if (svg.setPointerCapture) svg.setPointerCapture(event.pointerId);
+                });
+            }
+            svg.appendChild(group);
+        });
+    }
+
+    function showMessage(text) {
+        lastData = null;
+        svg.replaceChildren();
+        svg.style.display = 'none';
+        message.textContent = text;
+    }
+
+    svg.addEventListener('pointermove', event => {
+        if (!dragging) return;
+        options.onMarkerDrag(dragging.markerId, pointerToX(event), { done: false });
+    });
+    const endDrag = event => {
+        if (!dragging) return;
+        const { markerId } = dragging;
+        dragging = null;
+        options.onMarkerDrag(markerId, pointerToX(event), { done: true });
+        if (lastData) render(lastData);
+    };
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointercancel', endDrag);
+
+    return {
+        render,
+        showMessage,
+        isDragging: () => dragging !== null,
+        element: wrapper
+    };
+}
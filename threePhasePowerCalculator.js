@@ -1,5 +1,11 @@
 // threePhasePowerCalculator.js
 
+import { getField, fieldIdOf } from './fieldHelpers.js';
+import { toComputeUnits, fromComputeUnits } from './units.js';
+import { validateInputs } from './validation.js';
+import { formatFieldValue } from './formatting.js';
+import { given, derived } from './derivation.js';
+
 // --- Utility Function (debounce) ---
 function debounce(func, wait) {
     let timeout;
@@ -13,175 +19,612 @@ function debounce(func, wait) {
     };
 }
 
+// --- Power Triangle Solver ---
+// Solves S, P, Q and PF (all non-negative, S/P/Q in consistent units) from any two of them.
+function solvePowerTriangle(known) {
+    const keys = Object.keys(known).sort().join('-');
+    const { s, p, q, pf } = known;
+    switch (keys) {
+        case 'p-s': {
+            if (p > s) throw new Error('Real Power cannot be greater than Apparent Power.');
+            return { s, p, q: Math.sqrt(s * s - p * p), pf: s === 0 ? 1 : p / s };
+        }
+        case 'q-s': {
+            if (q > s) throw new Error('Reactive Power cannot be greater than Apparent Power.');
+            const realPower = Math.sqrt(s * s - q * q);
+            return { s, p: realPower, q, pf: s === 0 ? 1 : realPower / s };
+        }
+        case 'pf-s':
+            return { s, p: s * pf, q: s * Math.sqrt(1 - pf * pf), pf };
+        case 'p-q': {
+            const apparentPower = Math.hypot(p, q);
+            return { s: apparentPower, p, q, pf: apparentPower === 0 ? 1 : p / apparentPower };
+        }
+        case 'p-pf': {
+            if (pf === 0) throw new Error('Power Factor cannot be 0 when solving from Real Power.');
+            const apparentPower = p / pf;
+            return { s: apparentPower, p, q: apparentPower * Math.sqrt(1 - pf * pf), pf };
+        }
+        case 'pf-q': {
+            if (pf === 1) throw new Error('Power Factor cannot be 1 when solving from Reactive Power.');
+            const apparentPower = q / Math.sqrt(1 - pf * pf);
+            return { s: apparentPower, p: apparentPower * pf, q, pf };
+        }
+        default:
+            throw new Error('Invalid power value combination.');
+    }
+}
+
+// Formulas behind each case of solvePowerTriangle, in solving order, for the derivation steps.
+// Each entry is [solved key, formula, substitution from the shown values].
+const TRIANGLE_FORMULAS = {
+    'p-s': [['q', 'Q = √(S² − P²)', v => `√((${v.s})² − (${v.p})²)`], ['pf', 'PF = P / S', v => `${v.p} / ${v.s}`]],
+    'q-s': [['p', 'P = √(S² − Q²)', v => `√((${v.s})² − (${v.q})²)`], ['pf', 'PF = P / S', v => `${v.p} / ${v.s}`]],
+    'pf-s': [['p', 'P = S · PF', v => `${v.s} · ${v.pf}`], ['q', 'Q = S · √(1 − PF²)', v => `${v.s} · √(1 − ${v.pf}²)`]],
+    'p-q': [['s', 'S = √(P² + Q²)', v => `√((${v.p})² + (${v.q})²)`], ['pf', 'PF = P / S', v => `${v.p} / ${v.s}`]],
+    'p-pf': [['s', 'S = P / PF', v => `${v.p} / ${v.pf}`], ['q', 'Q = S · √(1 − PF²)', v => `${v.s} · √(1 − ${v.pf}²)`]],
+    'pf-q': [['s', 'S = Q / √(1 − PF²)', v => `${v.q} / √(1 − ${v.pf}²)`], ['p', 'P = S · PF', v => `${v.s} · ${v.pf}`]]
+};
+
+const QUANTITY_UNITS = { v: 'V', i: 'A', s: 'kVA', p: 'kW', q: 'kVAR', pf: '' };
+const QUANTITY_NAMES = { v: 'Line-to-line voltage', i: 'Line current', s: 'Apparent power', p: 'Real power', q: 'Reactive power', pf: 'Power factor' };
+
+// --- Phasor Helpers (unbalanced mode) ---
+const PHASES = ['a', 'b', 'c'];
+const DEG = Math.PI / 180;
+
+function phasor(magnitude, angleDeg) {
+    return { re: magnitude * Math.cos(angleDeg * DEG), im: magnitude * Math.sin(angleDeg * DEG) };
+}
+const addPhasors = (...phasors) => phasors.reduce((sum, z) => ({ re: sum.re + z.re, im: sum.im + z.im }), { re: 0, im: 0 });
+const multiplyPhasors = (z, w) => ({ re: z.re * w.re - z.im * w.im, im: z.re * w.im + z.im * w.re });
+const scalePhasor = (z, factor) => ({ re: z.re * factor, im: z.im * factor });
+const phasorMagnitude = z => Math.hypot(z.re, z.im);
+const phasorAngle = z => Math.atan2(z.im, z.re) / DEG;
+
+// Fortescue transform with a = 1∠120°: X0 = (Xa + Xb + Xc) / 3, X1 = (Xa + a·Xb + a²·Xc) / 3,
+// X2 = (Xa + a²·Xb + a·Xc) / 3. Returns [zero, positive, negative].
+function sequenceComponents([xa, xb, xc]) {
+    const a = phasor(1, 120);
+    const a2 = phasor(1, 240);
+    return [
+        scalePhasor(addPhasors(xa, xb, xc), 1 / 3),
+        scalePhasor(addPhasors(xa, multiplyPhasors(a, xb), multiplyPhasors(a2, xc)), 1 / 3),
+        scalePhasor(addPhasors(xa, multiplyPhasors(a2, xb), multiplyPhasors(a, xc)), 1 / 3)
+    ];
+}
+
+// Per-phase line-to-neutral voltages and line currents (magnitude + angle in degrees, common reference).
+// Phase power S = V·I* (kVA): Q > 0 when current lags voltage. Unbalance = negative / positive sequence.
+function computeUnbalanced(inputs) {
+    const magnitudeIds = PHASES.flatMap(phase => [`phase-${phase}-voltage`, `phase-${phase}-current`]);
+    const angleIds = PHASES.flatMap(phase => [`phase-${phase}-voltage-angle`, `phase-${phase}-current-angle`]);
+    const validation = validateInputs(threePhasePowerCalculator, inputs);
+    if (!validation.valid) return { outputs: {}, errors: validation.errors };
+    const values = Object.fromEntries([...magnitudeIds, ...angleIds].map(id => [id, parseFloat(inputs[id])]));
+
+    const errors = [];
+    const outputs = {};
+    const voltages = [];
+    const currents = [];
+    const steps = [];
+    const givenPhasor = (magnitude, angle, unit) => `${given(magnitude, unit)} ∠ ${given(angle, '°')}`;
+    let totalP = 0;
+    let totalQ = 0;
+    PHASES.forEach(phase => {
+        const voltage = phasor(values[`phase-${phase}-voltage`], values[`phase-${phase}-voltage-angle`]);
+        const current = phasor(values[`phase-${phase}-current`], values[`phase-${phase}-current-angle`]);
+        const power = scalePhasor(multiplyPhasors(voltage, { re: current.re, im: -current.im }), 1 / 1000);
+        outputs[`phase-${phase}-real-power`] = power.re;
+        outputs[`phase-${phase}-reactive-power`] = power.im;
+        outputs[`phase-${phase}-apparent-power`] = phasorMagnitude(power);
+        totalP += power.re;
+        totalQ += power.im;
+        voltages.push(voltage);
+        currents.push(current);
+
+        const name = phase.toUpperCase();
+        steps.push({
+            title: `Phase ${name} power`,
+            formula: `S_${name} = V_${name} · I_${name}*`,
+            substitution: `(${givenPhasor(values[`phase-${phase}-voltage`], values[`phase-${phase}-voltage-angle`], 'V')}) · (${givenPhasor(values[`phase-${phase}-current`], -values[`phase-${phase}-current-angle`], 'A')})`,
+            result: `${derived(power.re, 'kW')} ${power.im < 0 ? '−' : '+'} j${derived(Math.abs(power.im), 'kVAR')}`,
+            note: `|S_${name}| = ${derived(phasorMagnitude(power), 'kVA')}`
+        });
+    });
+
+    outputs['total-real-power'] = totalP;
+    outputs['total-reactive-power'] = totalQ;
+    outputs['total-apparent-power'] = Math.hypot(totalP, totalQ);
+    outputs['total-power-factor'] = outputs['total-apparent-power'] === 0 ? 1 : Math.abs(totalP) / outputs['total-apparent-power'];
+    const phaseValues = (prefix, unit) => PHASES.map(phase => derived(outputs[`phase-${phase}-${prefix}`], unit));
+    steps.push(
+        {
+            title: 'Total real power',
+            formula: 'P = P_A + P_B + P_C',
+            substitution: phaseValues('real-power', 'kW').join(' + '),
+            result: derived(totalP, 'kW')
+        },
+        {
+            title: 'Total reactive power',
+            formula: 'Q = Q_A + Q_B + Q_C',
+            substitution: phaseValues('reactive-power', 'kVAR').join(' + '),
+            result: derived(totalQ, 'kVAR')
+        },
+        {
+            title: 'Total apparent power',
+            formula: 'S = √(P² + Q²)',
+            substitution: `√((${derived(totalP, 'kW')})² + (${derived(totalQ, 'kVAR')})²)`,
+            result: derived(outputs['total-apparent-power'], 'kVA'),
+            note: 'the magnitude of the summed phase powers, not the sum of the phase |S|'
+        },
+        {
+            title: 'Total power factor',
+            formula: 'PF = |P| / S',
+            substitution: `${derived(Math.abs(totalP), 'kW')} / ${derived(outputs['total-apparent-power'], 'kVA')}`,
+            result: derived(outputs['total-power-factor'], '', { decimals: 3 })
+        }
+    );
+
+    // Rounding noise (e.g. 4e-14 V of V2 for a balanced set) counts as zero
+    const denoise = magnitudes => magnitudes.map(magnitude => (magnitude < Math.max(...magnitudes) * 1e-12 ? 0 : magnitude));
+
+    // Neutral current In = Ia + Ib + Ic (= 3·I0); no angle when it cancels out
+    const neutralCurrent = addPhasors(...currents);
+    const [neutralMagnitude] = denoise([phasorMagnitude(neutralCurrent), ...currents.map(phasorMagnitude)]);
+    outputs['neutral-current'] = neutralMagnitude;
+    if (neutralMagnitude > 0) outputs['neutral-current-angle'] = phasorAngle(neutralCurrent);
+    steps.push({
+        title: 'Neutral current',
+        formula: 'I_N = I_A + I_B + I_C',
+        substitution: PHASES.map(phase => `(${givenPhasor(values[`phase-${phase}-current`], values[`phase-${phase}-current-angle`], 'A')})`).join(' + '),
+        result: neutralMagnitude > 0
+            ? `${derived(neutralMagnitude, 'A', { engineering: true })} ∠ ${derived(outputs['neutral-current-angle'], '°', { decimals: 1 })}`
+            : derived(0, 'A'),
+        note: neutralMagnitude > 0 ? '' : 'the phase currents cancel out'
+    });
+
+    const [v0, v1, v2] = denoise(sequenceComponents(voltages).map(phasorMagnitude));
+    const [i0, i1, i2] = denoise(sequenceComponents(currents).map(phasorMagnitude));
+    Object.assign(outputs, {
+        'voltage-positive-sequence': v1,
+        'voltage-negative-sequence': v2,
+        'voltage-zero-sequence': v0,
+        'current-positive-sequence': i1,
+        'current-negative-sequence': i2,
+        'current-zero-sequence': i0
+    });
+    if (v1 > 0) outputs['voltage-unbalance'] = (v2 / v1) * 100;
+    else errors.push('Voltage unbalance is undefined: the positive-sequence voltage is zero.');
+    if (i1 > 0) outputs['current-unbalance'] = (i2 / i1) * 100;
+    else errors.push('Current unbalance is undefined: the positive-sequence current is zero.');
+
+    [['Voltage', 'V', 'V', [v0, v1, v2], 'voltage-unbalance'], ['Current', 'I', 'A', [i0, i1, i2], 'current-unbalance']]
+        .forEach(([name, symbol, unit, [zero, positive, negative], unbalanceId]) => {
+            const shown = value => derived(value, unit, { engineering: true });
+            [['Positive', '1', 'a·', 'a²·', positive], ['Negative', '2', 'a²·', 'a·', negative], ['Zero', '0', '', '', zero]]
+                .forEach(([sequence, index, factorB, factorC, magnitude]) => steps.push({
+                    title: `${sequence}-sequence ${name.toLowerCase()}`,
+                    formula: `${symbol}_${index} = |${symbol}_A + ${factorB}${symbol}_B + ${factorC}${symbol}_C| / 3`,
+                    result: shown(magnitude),
+                    note: index === '1' ? 'a = 1 ∠ 120°' : ''
+                }));
+            if (outputs[unbalanceId] === undefined) return;
+            steps.push({
+                title: `${name} unbalance`,
+                formula: `unbalance = ${symbol}_2 / ${symbol}_1 · 100`,
+                substitution: `${shown(negative)} / ${shown(positive)} · 100`,
+                result: derived(outputs[unbalanceId], '%', { decimals: 2 })
+            });
+        });
+
+    return { outputs, errors, steps };
+}
+
 // --- Calculator Definition ---
 const threePhasePowerCalculator = {
     // 1. METADATA for HTML Generation
     id: 'three-phase-power',
     title: '3-Phase Power Calculator',
-    description: 'Calculates Real (kW), Reactive (kVAR), and Apparent (kVA) power. Provide EITHER Line-to-Line or Line-to-Neutral voltage, along with current and power factor.',
+    description: 'Balanced: enter any three independent values to calculate the rest: voltage (EITHER Line-to-Line or Line-to-Neutral), line current, power factor, or apparent (kVA), real (kW) and reactive (kVAR) power. Whatever follows from fewer values is solved too, e.g. kVA + current gives the voltage; kW + V<sub>L-L</sub> + PF gives the line current. Unbalanced: enter per-phase V<sub>L-N</sub> and current phasors to get per-phase and total power, neutral current and symmetrical components.',
 
     // 2. FIELD DEFINITIONS for HTML Generation
+    // All fields are interactive; the init logic marks calculated fields readonly (as in the Power Factor calculator).
     fields: [
-        // Input Fields
+        {
+            id: 'system-mode',
+            label: 'System:',
+            type: 'select',
+            options: [
+                { value: 'balanced', text: 'Balanced (one V, I and PF)' },
+                { value: 'unbalanced', text: 'Unbalanced (per-phase phasors)' }
+            ]
+        },
+        // Circuit Quantities
         {
             id: 'voltage-ll',
-            label: 'Line-to-Line Voltage (V<sub>L-L</sub>) [V]:',
+            label: 'Line-to-Line Voltage (V<sub>L-L</sub>):',
+            unit: 'V',
             type: 'number',
             placeholder: 'e.g., 480',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0, when: { 'system-mode': 'balanced' } }
         },
         {
             id: 'voltage-ln',
-            label: 'Line-to-Neutral Voltage (V<sub>L-N</sub>) [V] (Optional):',
+            label: 'Line-to-Neutral Voltage (V<sub>L-N</sub>) (Optional):',
+            unit: 'V',
             type: 'number',
             placeholder: 'e.g., 277',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0, when: { 'system-mode': 'balanced' } }
         },
         {
             id: 'line-current',
             label: 'Line Current (I) [A]:',
             type: 'number',
+            quantity: 'current',
             placeholder: 'e.g., 10',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0, when: { 'system-mode': 'balanced' } }
         },
         {
             id: 'power-factor',
             label: 'Power Factor (PF):',
             type: 'number',
+            quantity: 'power-factor',
+            format: { decimals: 3 },
             placeholder: 'e.g., 0.95',
-            attributes: { step: 'any', min: '0', max: '1' }
+            attributes: { step: 'any', min: '0', max: '1' },
+            validation: { min: 0, max: 1, when: { 'system-mode': 'balanced' } }
         },
         // Separator
         { isSeparator: true },
-        // Output Fields
+        // Power Quantities
         {
             id: 'apparent-power',
-            label: 'Calculated Apparent Power (S) [kVA]:',
+            label: 'Apparent Power (S):',
+            unit: 'kVA',
             type: 'number',
-            placeholder: 'Calculated',
-            attributes: { readonly: true }
+            placeholder: 'e.g., 100',
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0, when: { 'system-mode': 'balanced' } }
         },
         {
             id: 'real-power',
-            label: 'Calculated Real Power (P) [kW]:',
+            label: 'Real Power (P):',
+            unit: 'kW',
             type: 'number',
-            placeholder: 'Calculated',
-            attributes: { readonly: true }
+            placeholder: 'e.g., 95',
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0, when: { 'system-mode': 'balanced' } }
         },
         {
             id: 'reactive-power',
-            label: 'Calculated Reactive Power (Q) [kVAR]:',
+            label: 'Reactive Power (Q):',
+            unit: 'kVAR',
             type: 'number',
-            placeholder: 'Calculated',
-            attributes: { readonly: true }
-        }
+            placeholder: 'e.g., 31.2',
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0, when: { 'system-mode': 'balanced' } }
+        },
+        // Per-Phase Quantities (unbalanced mode): line-to-neutral voltages and line currents,
+        // angles in degrees against a common reference (e.g. V_AN = 0°)
+        { isSeparator: true },
+        { id: 'phase-a-voltage', label: 'Phase A Voltage (V<sub>AN</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 277', attributes: { step: 'any', min: '0' }, validation: { required: true, min: 0, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-a-voltage-angle', label: 'Phase A Voltage Angle [°]:', type: 'number', value: '0', attributes: { step: 'any' }, validation: { required: true, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-a-current', label: 'Phase A Current (I<sub>A</sub>) [A]:', type: 'number', placeholder: 'e.g., 100', attributes: { step: 'any', min: '0' }, validation: { required: true, min: 0, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-a-current-angle', label: 'Phase A Current Angle [°]:', type: 'number', placeholder: 'e.g., -25', attributes: { step: 'any' }, validation: { required: true, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-b-voltage', label: 'Phase B Voltage (V<sub>BN</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 277', attributes: { step: 'any', min: '0' }, validation: { required: true, min: 0, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-b-voltage-angle', label: 'Phase B Voltage Angle [°]:', type: 'number', value: '-120', attributes: { step: 'any' }, validation: { required: true, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-b-current', label: 'Phase B Current (I<sub>B</sub>) [A]:', type: 'number', placeholder: 'e.g., 100', attributes: { step: 'any', min: '0' }, validation: { required: true, min: 0, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-b-current-angle', label: 'Phase B Current Angle [°]:', type: 'number', placeholder: 'e.g., -145', attributes: { step: 'any' }, validation: { required: true, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-c-voltage', label: 'Phase C Voltage (V<sub>CN</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 277', attributes: { step: 'any', min: '0' }, validation: { required: true, min: 0, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-c-voltage-angle', label: 'Phase C Voltage Angle [°]:', type: 'number', value: '120', attributes: { step: 'any' }, validation: { required: true, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-c-current', label: 'Phase C Current (I<sub>C</sub>) [A]:', type: 'number', placeholder: 'e.g., 100', attributes: { step: 'any', min: '0' }, validation: { required: true, min: 0, when: { 'system-mode': 'unbalanced' } } },
+        { id: 'phase-c-current-angle', label: 'Phase C Current Angle [°]:', type: 'number', placeholder: 'e.g., 95', attributes: { step: 'any' }, validation: { required: true, when: { 'system-mode': 'unbalanced' } } },
+        { isSeparator: true },
+        { id: 'phase-a-real-power', label: 'Phase A Real Power (P<sub>A</sub>):', unit: 'kW', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'phase-a-reactive-power', label: 'Phase A Reactive Power (Q<sub>A</sub>):', unit: 'kVAR', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'phase-a-apparent-power', label: 'Phase A Apparent Power (S<sub>A</sub>):', unit: 'kVA', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'phase-b-real-power', label: 'Phase B Real Power (P<sub>B</sub>):', unit: 'kW', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'phase-b-reactive-power', label: 'Phase B Reactive Power (Q<sub>B</sub>):', unit: 'kVAR', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'phase-b-apparent-power', label: 'Phase B Apparent Power (S<sub>B</sub>):', unit: 'kVA', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'phase-c-real-power', label: 'Phase C Real Power (P<sub>C</sub>):', unit: 'kW', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'phase-c-reactive-power', label: 'Phase C Reactive Power (Q<sub>C</sub>):', unit: 'kVAR', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'phase-c-apparent-power', label: 'Phase C Apparent Power (S<sub>C</sub>):', unit: 'kVA', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'total-real-power', label: 'Total Real Power (P):', unit: 'kW', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'total-reactive-power', label: 'Total Reactive Power (Q):', unit: 'kVAR', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'total-apparent-power', label: 'Total Apparent Power (S):', unit: 'kVA', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'total-power-factor', label: 'Total Power Factor (P / S):', type: 'number', quantity: 'power-factor', format: { decimals: 3 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'neutral-current', label: 'Neutral Current (I<sub>N</sub>) [A]:', type: 'number', format: { engineering: true }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'neutral-current-angle', label: 'Neutral Current Angle [°]:', type: 'number', format: { decimals: 1 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'voltage-positive-sequence', label: 'Positive-Sequence Voltage (V<sub>1</sub>):', unit: 'V', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'voltage-negative-sequence', label: 'Negative-Sequence Voltage (V<sub>2</sub>):', unit: 'V', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'voltage-zero-sequence', label: 'Zero-Sequence Voltage (V<sub>0</sub>):', unit: 'V', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'current-positive-sequence', label: 'Positive-Sequence Current (I<sub>1</sub>) [A]:', type: 'number', format: { engineering: true }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'current-negative-sequence', label: 'Negative-Sequence Current (I<sub>2</sub>) [A]:', type: 'number', format: { engineering: true }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'current-zero-sequence', label: 'Zero-Sequence Current (I<sub>0</sub>) [A]:', type: 'number', format: { engineering: true }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'voltage-unbalance', label: 'Voltage Unbalance (V<sub>2</sub> / V<sub>1</sub>) [%]:', type: 'number', format: { decimals: 2 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'current-unbalance', label: 'Current Unbalance (I<sub>2</sub> / I<sub>1</sub>) [%]:', type: 'number', format: { decimals: 2 }, placeholder: 'Calculated', attributes: { readonly: true } }
     ],
 
-    // 3. INITIALIZATION LOGIC
+    // 3. COMPUTE LOGIC (DOM-free)
+    // Inputs are keyed by field id (blanks are ignored). Everything that follows from the provided
+    // values is solved using S = sqrt(3) * V_LL * I and the power triangle; e.g. kVA + I gives V only,
+    // kW + V_LL + PF gives everything. Up to three independent values may be given: at most one
+    // voltage (V_LL or V_LN), at most two of S/P/Q/PF, and not V, I and S together.
+    // Returns the solved fields, powers in kVA / kW / kVAR, and the derivation `steps` in solving order.
+    // With 'system-mode' = 'unbalanced', the per-phase fields are used instead (see computeUnbalanced).
+    compute(inputs) {
+        if ((inputs['system-mode'] || 'balanced') === 'unbalanced') return computeUnbalanced(inputs);
+
+        const SQRT3 = Math.sqrt(3);
+        const errors = [];
+        const valueIds = ['voltage-ll', 'voltage-ln', 'line-current', 'power-factor', 'apparent-power', 'real-power', 'reactive-power'];
+        const provided = {};
+
+        // --- Input Validation ---
+        const validation = validateInputs(threePhasePowerCalculator, inputs);
+        if (!validation.valid) return { outputs: {}, errors: validation.errors };
+        valueIds.forEach(id => {
+            const rawValue = inputs[id];
+            if (rawValue !== undefined && rawValue !== null && String(rawValue).trim() !== '') provided[id] = parseFloat(rawValue);
+        });
+
+        if (provided['voltage-ll'] !== undefined && provided['voltage-ln'] !== undefined) {
+            errors.push('Please provide EITHER Line-to-Line OR Line-to-Neutral voltage, not both.');
+            return { outputs: {}, errors };
+        }
+
+        // Voltage is carried as V_LL internally: S = sqrt(3) * V_LL * I = 3 * V_LN * I
+        const known = {
+            v: provided['voltage-ll'] !== undefined ? provided['voltage-ll']
+                : (provided['voltage-ln'] !== undefined ? provided['voltage-ln'] * SQRT3 : undefined),
+            i: provided['line-current'],
+            s: provided['apparent-power'],
+            p: provided['real-power'],
+            q: provided['reactive-power'],
+            pf: provided['power-factor']
+        };
+        const isKnown = key => known[key] !== undefined;
+        const providedCount = Object.values(known).filter(value => value !== undefined).length;
+        if (providedCount === 0) return { outputs: {}, errors };
+
+        // --- Over-determination Checks ---
+        if (providedCount > 3) {
+            errors.push('Please provide at most three values; the others are calculated.');
+            return { outputs: {}, errors };
+        }
+        if (['s', 'p', 'q', 'pf'].filter(isKnown).length > 2) {
+            errors.push('At most two of S, P, Q and PF can be provided; add a voltage or current instead.');
+            return { outputs: {}, errors };
+        }
+        if (['v', 'i', 's'].every(isKnown)) {
+            errors.push('V, I and S are not independent; provide PF, P or Q instead of S.');
+            return { outputs: {}, errors };
+        }
+
+        // --- Perform Calculations ---
+        // Apply both relations until nothing new can be solved. Each solved value adds a step;
+        // entered values are shown as given, solved ones rounded.
+        const givenKeys = Object.keys(known).filter(key => isKnown(key) && !(key === 'v' && provided['voltage-ln'] !== undefined));
+        const show = key => (givenKeys.includes(key) ? given : derived)(known[key], QUANTITY_UNITS[key]);
+        const steps = [];
+        if (provided['voltage-ln'] !== undefined) {
+            steps.push({
+                title: 'Line-to-line voltage',
+                formula: 'V_LL = √3 · V_LN',
+                substitution: `√3 · ${given(provided['voltage-ln'], 'V')}`,
+                result: derived(known.v, 'V'),
+                note: 'the voltage is carried as V_LL, so S = √3 · V_LL · I = 3 · V_LN · I'
+            });
+        }
+        const solveStep = (key, formula, substitution) => steps.push({ title: `Solve ${QUANTITY_NAMES[key].toLowerCase()}`, formula, substitution, result: show(key) });
+        try {
+            let progress = true;
+            while (progress) {
+                progress = false;
+                const vis = ['v', 'i', 's'].filter(isKnown);
+                if (vis.length === 2) {
+                    // Relation 1: S [kVA] = sqrt(3) * V_LL * I / 1000
+                    if (!isKnown('s')) {
+                        known.s = (SQRT3 * known.v * known.i) / 1000;
+                        solveStep('s', 'S = √3 · V_LL · I', `√3 · ${show('v')} · ${show('i')}`);
+                    } else if (!isKnown('i')) {
+                        if (known.v === 0) throw new Error('Voltage cannot be zero when solving for current.');
+                        known.i = (known.s * 1000) / (SQRT3 * known.v);
+                        solveStep('i', 'I = S / (√3 · V_LL)', `${show('s')} / (√3 · ${show('v')})`);
+                    } else {
+                        if (known.i === 0) throw new Error('Current cannot be zero when solving for voltage.');
+                        known.v = (known.s * 1000) / (SQRT3 * known.i);
+                        solveStep('v', 'V_LL = S / (√3 · I)', `${show('s')} / (√3 · ${show('i')})`);
+                    }
+                    progress = true;
+                }
+                const triangleKeys = ['s', 'p', 'q', 'pf'];
+                const triangleKnown = triangleKeys.filter(isKnown);
+                if (triangleKnown.length >= 2 && triangleKnown.length < 4) {
+                    // Relation 2: power triangle from the first two known members
+                    const pair = Object.fromEntries(triangleKnown.slice(0, 2).map(key => [key, known[key]]));
+                    Object.assign(known, solvePowerTriangle(pair));
+                    TRIANGLE_FORMULAS[Object.keys(pair).sort().join('-')]
+                        .filter(([key]) => !triangleKnown.includes(key))
+                        .forEach(([key, formula, substitute]) => {
+                            const shown = Object.fromEntries(triangleKeys.map(member => [member, show(member)]));
+                            solveStep(key, formula, substitute(shown));
+                        });
+                    progress = true;
+                }
+            }
+        } catch (error) {
+            errors.push(`Calculation Error: ${error.message}`);
+            return { outputs: {}, errors };
+        }
+        if (known.v !== undefined && provided['voltage-ln'] === undefined) {
+            steps.push({
+                title: 'Line-to-neutral voltage',
+                formula: 'V_LN = V_LL / √3',
+                substitution: `${show('v')} / √3`,
+                result: derived(known.v / SQRT3, 'V')
+            });
+        }
+
+        const outputs = {};
+        const setOutput = (id, value) => { if (value !== undefined) outputs[id] = value; };
+        setOutput('voltage-ll', known.v);
+        setOutput('voltage-ln', known.v === undefined ? undefined : known.v / SQRT3);
+        setOutput('line-current', known.i);
+        setOutput('power-factor', known.pf);
+        setOutput('apparent-power', known.s);
+        setOutput('real-power', known.p);
+        setOutput('reactive-power', known.q);
+
+        if (Object.values(outputs).some(value => !Number.isFinite(value))) {
+            errors.push('Calculation Error: The provided values do not give a finite result.');
+            return { outputs: {}, errors };
+        }
+        // Nothing beyond the inputs (and the V_LL/V_LN pair) could be solved yet.
+        const solvedCount = Object.keys(outputs).filter(id => id !== 'voltage-ll' && id !== 'voltage-ln').length + (known.v !== undefined ? 1 : 0);
+        if (solvedCount === providedCount) {
+            errors.push(`Please provide ${3 - providedCount} more value${3 - providedCount > 1 ? 's' : ''}.`);
+            return { outputs: {}, errors };
+        }
+        return { outputs, errors, steps };
+    },
+
+    // 4. INITIALIZATION LOGIC (UI adapter over compute)
     init(sectionElement) {
         // --- Find DOM Elements ---
-        const vllInput = sectionElement.querySelector('#voltage-ll');
-        const vlnInput = sectionElement.querySelector('#voltage-ln');
-        const currentInput = sectionElement.querySelector('#line-current');
-        const pfInput = sectionElement.querySelector('#power-factor');
-        const realPowerOutput = sectionElement.querySelector('#real-power');
-        const reactivePowerOutput = sectionElement.querySelector('#reactive-power');
-        const apparentPowerOutput = sectionElement.querySelector('#apparent-power');
+        const valueIds = ['voltage-ll', 'voltage-ln', 'line-current', 'power-factor', 'apparent-power', 'real-power', 'reactive-power'];
+        const allInputElements = valueIds.map(id => getField(sectionElement, id));
+        const vllInput = getField(sectionElement, 'voltage-ll');
+        const modeSelect = getField(sectionElement, 'system-mode');
+        const perPhaseInputIds = PHASES.flatMap(phase => [`phase-${phase}-voltage`, `phase-${phase}-voltage-angle`, `phase-${phase}-current`, `phase-${phase}-current-angle`]);
+        const perPhaseInputs = perPhaseInputIds.map(id => getField(sectionElement, id));
+        const perPhaseOutputs = threePhasePowerCalculator.fields
+            .filter(field => field.attributes && field.attributes.readonly)
+            .map(field => getField(sectionElement, field.id));
         const clearBtn = sectionElement.querySelector('.clearBtn');
         const statusDiv = sectionElement.querySelector('.status');
 
-        const allInputElements = [vllInput, vlnInput, currentInput, pfInput];
-        const allOutputElements = [realPowerOutput, reactivePowerOutput, apparentPowerOutput];
+        // --- State Model ---
+        // As in the Power Factor calculator, calculated fields are shown readonly. Every editable
+        // field with a value is a source, so typing into a still-unsolved field extends the solution.
 
         // --- Helper Functions ---
         function clearStatus() {
             if (statusDiv) statusDiv.textContent = '';
         }
 
-        function resetOutputFields() {
-            allOutputElements.forEach(output => {
-                if (output) output.value = '';
+        function resetPlaceholder(inputElement) {
+            const fieldDef = threePhasePowerCalculator.fields.find(f => f.id === fieldIdOf(inputElement));
+            inputElement.placeholder = fieldDef ? fieldDef.placeholder : '';
+        }
+
+        function setReadOnly(inputElement, isReadOnly) {
+            if (inputElement.readOnly !== isReadOnly) inputElement.readOnly = isReadOnly;
+            if (isReadOnly && inputElement.value !== '') inputElement.placeholder = 'Calculated';
+            else if (!isReadOnly && inputElement.value === '') resetPlaceholder(inputElement);
+        }
+
+        function resetCalculatedFields() {
+            allInputElements.forEach(input => {
+                if (input.readOnly) input.value = '';
+                setReadOnly(input, false);
             });
         }
 
-        // --- Main Calculation Logic ---
-        function calculatePower() {
-            clearStatus();
-            resetOutputFields();
+        function isUnbalanced() {
+            return modeSelect.value === 'unbalanced';
+        }
 
-            const vllStr = vllInput.value.trim();
-            const vlnStr = vlnInput.value.trim();
-            const currentStr = currentInput.value.trim();
-            const pfStr = pfInput.value.trim();
+        // Shows the field groups of the selected mode; separators are hidden when nothing follows them.
+        function toggleModeFields() {
+            const unbalanced = isUnbalanced();
+            allInputElements.forEach(input => { input.parentElement.style.display = unbalanced ? 'none' : ''; });
+            [...perPhaseInputs, ...perPhaseOutputs].forEach(element => { element.parentElement.style.display = unbalanced ? '' : 'none'; });
+            sectionElement.querySelectorAll('hr').forEach(separator => {
+                let next = separator.nextElementSibling;
+                while (next && next.classList.contains('input-group') && next.style.display === 'none') next = next.nextElementSibling;
+                const hasVisibleGroup = Boolean(next && next.classList.contains('input-group'));
+                separator.style.display = hasVisibleGroup ? '' : 'none';
+            });
+        }
 
-            // --- Input Validation ---
-            if (vllStr !== '' && vlnStr !== '') {
-                statusDiv.textContent = 'Please provide EITHER Line-to-Line OR Line-to-Neutral voltage, not both.';
-                return;
-            }
-            if ((vllStr === '' && vlnStr === '') || currentStr === '' || pfStr === '') {
-                const allEmpty = allInputElements.every(input => input.value.trim() === '');
-                if (!allEmpty) {
-                    statusDiv.textContent = 'Please fill all required input fields.';
-                }
-                return;
-            }
+        function resetPerPhaseOutputs() {
+            perPhaseOutputs.forEach(output => { output.value = ''; });
+        }
 
-            const vllValue = vllStr !== '' ? parseFloat(vllStr) : null;
-            const vlnValue = vlnStr !== '' ? parseFloat(vlnStr) : null;
-            const currentValue = parseFloat(currentStr);
-            const pfValue = parseFloat(pfStr);
+        // --- Unbalanced Calculation Logic ---
+        function calculateUnbalanced() {
+            clearStatus();
+            resetPerPhaseOutputs();
 
-            if ((vllValue !== null && isNaN(vllValue)) || (vlnValue !== null && isNaN(vlnValue)) || isNaN(currentValue) || isNaN(pfValue)) {
-                statusDiv.textContent = 'Please enter valid numbers for all required fields.';
-                return;
-            }
-            if ((vllValue !== null && vllValue < 0) || (vlnValue !== null && vlnValue < 0) || currentValue < 0) {
-                 statusDiv.textContent = 'Voltage and Current values cannot be negative.';
-                 return;
-            }
-            if (pfValue < 0 || pfValue > 1) {
-                statusDiv.textContent = 'Power Factor must be between 0 and 1.';
-                return;
-            }
+            const rawValues = toComputeUnits(threePhasePowerCalculator, sectionElement,
+                Object.fromEntries(perPhaseInputs.map(input => [fieldIdOf(input), input.value])));
+            rawValues['system-mode'] = 'unbalanced';
+            const result = threePhasePowerCalculator.compute(rawValues);
+            const outputs = fromComputeUnits(threePhasePowerCalculator, sectionElement, result.outputs);
+            const errors = result.errors;
 
-            // --- Perform Calculations ---
-            const SQRT3 = Math.sqrt(3);
-            let apparentPowerInVA;
-
-            // 1. Calculate Apparent Power (S) in VA
-            if (vllValue !== null) {
-                // Formula: S = V_LL * I * sqrt(3)
-                apparentPowerInVA = vllValue * currentValue * SQRT3;
-            } else if (vlnValue !== null) {
-                // Formula: S = 3 * V_LN * I
-                apparentPowerInVA = 3 * vlnValue * currentValue;
-            } else {
-                return; // Should be caught by validation
-            }
+            perPhaseOutputs.forEach(output => {
+                let outputValue = outputs[fieldIdOf(output)];
+                if (outputValue === undefined) return;
+                if (Math.abs(outputValue) < 1e-9) outputValue = 0;
+                output.value = formatFieldValue(threePhasePowerCalculator, fieldIdOf(output), outputValue);
+            });
+            if (errors.length > 0) statusDiv.textContent = errors.join(' ');
+        }
 
-            // 2. Calculate Real Power (P) in Watts from Apparent Power
-            // Formula: P = S * PF
-            const realPowerInWatts = apparentPowerInVA * pfValue;
+        // --- Main Calculation Logic ---
+        function calculatePower() {
+            clearStatus();
+
+            const sourceInputs = allInputElements.filter(input => !input.readOnly);
+            const rawValues = Object.fromEntries(sourceInputs.map(input => [fieldIdOf(input), input.value]));
+            const result = threePhasePowerCalculator.compute(toComputeUnits(threePhasePowerCalculator, sectionElement, rawValues));
+            const outputs = fromComputeUnits(threePhasePowerCalculator, sectionElement, result.outputs);
+            const errors = result.errors;
 
-            // 3. Calculate Reactive Power (Q) in VAR from Apparent and Real Power
-            // Formula: Q = sqrt(S^2 - P^2)
-            const reactivePowerInVAR = Math.sqrt(Math.pow(apparentPowerInVA, 2) - Math.pow(realPowerInWatts, 2));
+            if (errors.length > 0 || Object.keys(outputs).length === 0) {
+                statusDiv.textContent = errors.join(' ');
+                resetCalculatedFields();
+                return;
+            }
 
-            // --- Display Results (converted to k-units) ---
-            apparentPowerOutput.value = (apparentPowerInVA / 1000).toFixed(3);
-            realPowerOutput.value = (realPowerInWatts / 1000).toFixed(3);
-            reactivePowerOutput.value = (reactivePowerInVAR / 1000).toFixed(3);
+            // --- Display Results ---
+            allInputElements.forEach(input => {
+                const id = fieldIdOf(input);
+                if (!input.readOnly && input.value.trim() !== '') return; // A source value
+                let outputValue = outputs[id];
+                if (outputValue === undefined) {
+                    // Not solvable yet: leave it editable so the user can supply it.
+                    input.value = '';
+                    setReadOnly(input, false);
+                    return;
+                }
+                if (Math.abs(outputValue) < 1e-9) outputValue = 0;
+                input.value = formatFieldValue(threePhasePowerCalculator, id, outputValue);
+                setReadOnly(input, true);
+            });
         }
 
         // --- Clear All Fields Function ---
         function clearFields() {
             allInputElements.forEach(input => {
-                if (input) input.value = '';
+                input.value = '';
+                setReadOnly(input, false);
+                resetPlaceholder(input);
             });
-            resetOutputFields();
+            perPhaseInputs.forEach(input => {
+                const fieldDef = threePhasePowerCalculator.fields.find(f => f.id === fieldIdOf(input));
+                input.value = fieldDef.value !== undefined ? fieldDef.value : '';
+            });
+            resetPerPhaseOutputs();
             clearStatus();
-            if (vllInput) vllInput.focus();
+            if (isUnbalanced()) perPhaseInputs[0].focus();
+            else if (vllInput) vllInput.focus();
         }
 
         // --- Event Listeners ---
@@ -190,7 +633,24 @@ const threePhasePowerCalculator = {
             if (input) input.addEventListener('input', debouncedCalculate);
         });
 
+        const debouncedCalculateUnbalanced = debounce(calculateUnbalanced, 300);
+        perPhaseInputs.forEach(input => input.addEventListener('input', debouncedCalculateUnbalanced));
+
+        modeSelect.addEventListener('change', () => {
+            toggleModeFields();
+            clearStatus();
+            if (isUnbalanced()) calculateUnbalanced();
+            else calculatePower();
+        });
+
         if (clearBtn) clearBtn.addEventListener('click', clearFields);
+        ['unitchange', 'formatchange'].forEach(eventName => sectionElement.addEventListener(eventName, () => {
+            if (isUnbalanced()) calculateUnbalanced();
+            else calculatePower();
+        }));
+
+        // Initial setup
+        toggleModeFields();
 
         console.log('3-Phase Power Calculator Initialized.');
     }
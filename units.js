@@ -0,0 +1,145 @@
+// units.js
+// Engineering units for fields that declare one. A field's `unit` is the unit its compute()
+// works in (e.g. 'W' for the Frequency Droop powers, 'kWh' for the SoC energies); main.js renders a
+// unit dropdown next to it, and the modules convert between the selected (display) unit and the
+// compute unit around compute(). The last unit picked for each quantity is remembered. Units with
+// no table below (e.g. 'h' for the SoC durations) get no dropdown and only label the output.
+
+import { getField, scopedFieldId, isCalculated } from './fieldHelpers.js';
+
+// --- Unit Tables ---
+// Factors are relative to the first (SI base) unit of each quantity.
+export const QUANTITIES = {
+    'power': { W: 1, kW: 1e3, MW: 1e6 },
+    'reactive-power': { VAR: 1, kVAR: 1e3, MVAR: 1e6 },
+    'apparent-power': { VA: 1, kVA: 1e3, MVA: 1e6 },
+    'voltage': { V: 1, kV: 1e3 },
+    'energy': { Wh: 1, kWh: 1e3, MWh: 1e6 },
+    'length': { m: 1, km: 1e3, ft: 0.3048 }
+};
+
+// Real, reactive and apparent power share one preference: picking kW also selects kVAR and kVA.
+const LINKED_QUANTITIES = ['power', 'reactive-power', 'apparent-power'];
+
+const PREFERENCES_KEY = 'electricalCalculators.units';
+
+export function quantityOf(unit) {
+    return Object.keys(QUANTITIES).find(quantity => Object.prototype.hasOwnProperty.call(QUANTITIES[quantity], unit)) || null;
+}
+
+export function unitsLike(unit) {
+    const quantity = quantityOf(unit);
+    return quantity ? Object.keys(QUANTITIES[quantity]) : [];
+}
+
+// Rounds away binary noise from the factor (1.1 kW -> 1100 W, not 1100.0000000000002).
+export function convertUnit(value, fromUnit, toUnit) {
+    if (fromUnit === toUnit) return value;
+    const quantity = quantityOf(fromUnit);
+    if (!quantity || quantityOf(toUnit) !== quantity) throw new Error(`Cannot convert ${fromUnit} to ${toUnit}.`);
+    const converted = (value * QUANTITIES[quantity][fromUnit]) / QUANTITIES[quantity][toUnit];
+    return Number.isFinite(converted) ? parseFloat(converted.toPrecision(12)) : converted;
+}
+
+// Converts a raw field value (number or numeric string). Blanks and non-numeric text pass through.
+function convertRawValue(value, fromUnit, toUnit) {
+    if (fromUnit === toUnit || value === undefined || value === null) return value;
+    if (typeof value === 'number') return convertUnit(value, fromUnit, toUnit);
+    const text = String(value).trim();
+    if (text === '' || isNaN(Number(text))) return value;
+    return String(convertUnit(Number(text), fromUnit, toUnit));
+}
+
+// Parses "1.5 MW" style text for a field with a unit; returns null when the text has no unit suffix.
+export function parseValueWithUnit(text, unit) {
+    const match = String(text).trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*([A-Za-z]+)$/i);
+    if (!match) return null;
+    const fromUnit = unitsLike(unit).find(candidate => candidate.toLowerCase() === match[2].toLowerCase());
+    if (!fromUnit) throw new Error(`"${text}" is not in a unit compatible with ${unit}.`);
+    return convertUnit(parseFloat(match[1]), fromUnit, unit);
+}
+
+// --- Preferences ---
+function readPreferences() {
+    try {
+        return JSON.parse(localStorage.getItem(PREFERENCES_KEY) || '{}') || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function savePreference(unit) {
+    const quantity = quantityOf(unit);
+    const updates = { [quantity]: unit };
+    if (LINKED_QUANTITIES.includes(quantity)) {
+        // Same position in each table = same prefix (W/VAR/VA, kW/kVAR/kVA, MW/MVAR/MVA)
+        const index = Object.keys(QUANTITIES[quantity]).indexOf(unit);
+        LINKED_QUANTITIES.forEach(linked => { updates[linked] = Object.keys(QUANTITIES[linked])[index]; });
+    }
+    try {
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify({ ...readPreferences(), ...updates }));
+    } catch (error) {
+        // Storage unavailable (private mode, quota): the choice still applies to this page
+    }
+}
+
+// --- Display Units (DOM) ---
+export function getUnitSelect(sectionElement, fieldId) {
+    return sectionElement.querySelector(`[id="${scopedFieldId(sectionElement.id, fieldId)}__unit"]`);
+}
+
+export function displayUnit(sectionElement, field) {
+    const select = field.unit ? getUnitSelect(sectionElement, field.id) : null;
+    return select ? select.value : field.unit;
+}
+
+function fieldsById(calculator) {
+    return Object.fromEntries(calculator.fields.filter(field => field.unit).map(field => [field.id, field]));
+}
+
+// Values as entered (display units) -> compute units. Keys without a unit field are copied as-is.
+export function toComputeUnits(calculator, sectionElement, values) {
+    const unitFields = fieldsById(calculator);
+    return Object.fromEntries(Object.entries(values).map(([fieldId, value]) => {
+        const field = unitFields[fieldId];
+        return [fieldId, field ? convertRawValue(value, displayUnit(sectionElement, field), field.unit) : value];
+    }));
+}
+
+// compute() outputs (compute units) -> the units selected in the form.
+export function fromComputeUnits(calculator, sectionElement, values) {
+    const unitFields = fieldsById(calculator);
+    return Object.fromEntries(Object.entries(values).map(([fieldId, value]) => {
+        const field = unitFields[fieldId];
+        return [fieldId, field ? convertRawValue(value, field.unit, displayUnit(sectionElement, field)) : value];
+    }));
+}
+
+// --- Unit Dropdown Wiring ---
+// Selects start on the remembered unit for their quantity. Changing a unit converts an entered value
+// so the physical quantity stays the same, remembers the choice and fires a bubbling 'unitchange'
+// event on the field; the modules listen for it on the section to re-render their outputs.
+export function initUnitSelectors(calculator, sectionElement) {
+    const preferences = readPreferences();
+    calculator.fields.filter(field => field.unit).forEach(field => {
+        const select = getUnitSelect(sectionElement, field.id);
+        const element = getField(sectionElement, field.id);
+        if (!select || !element) return;
+
+        const preferred = preferences[quantityOf(field.unit)];
+        if (preferred && unitsLike(field.unit).includes(preferred) && preferred !== select.value) {
+            element.value = convertRawValue(element.value, select.value, preferred);
+            select.value = preferred;
+        }
+        select.dataset.previousUnit = select.value;
+
+        select.addEventListener('change', () => {
+            if (!isCalculated(element)) {
+                element.value = convertRawValue(element.value, select.dataset.previousUnit, select.value);
+            }
+            select.dataset.previousUnit = select.value;
+            savePreference(select.value);
+            element.dispatchEvent(new Event('unitchange', { bubbles: true }));
+        });
+    });
+}
\ No newline at end of file
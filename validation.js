@@ -0,0 +1,173 @@
+// validation.js
+// Declarative input checks. A field may declare a `validation` object:
+//   required     : the field must not be blank; { unless: ['<field id>', ...] } only while one of those
+//                  fields is blank (a common value that several specific ones can replace)
+//   min, max     : inclusive bounds; a number, or { field: '<other field id>' } to compare with
+//                  another input (e.g. deadband-lower: { max: { field: 'base-frequency' } })
+//   exclusiveMin : strict lower bound (a number or { field })
+//   integer      : the value must be a whole number
+//   nonZero      : the value must not be zero (divisors such as a droop)
+//   when         : { '<select field id>': value or [values] }; the rules only apply in those modes
+// Entered number fields are always checked for being numeric. Values are compared in compute units.
+// The modules call validateInputs() from compute(), so the UI and the CLI report the same errors;
+// main.js calls initFieldValidation() to mark the offending inputs inline.
+
+import { getField, fieldIdOf, isCalculated } from './fieldHelpers.js';
+import { fieldName } from './fieldLabels.js';
+import { defaultFieldValue } from './fieldState.js';
+import { toComputeUnits } from './units.js';
+import { debounce } from './debounce.js';
+
+const REQUIRED_MESSAGE = 'Required.';
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+// Field names in messages leave out the "(Optional)" hint.
+function nameOf(field) {
+    return fieldName(field).replace(/\s*\(Optional\)/i, '');
+}
+
+// Select values default to the first option, as on a fresh form.
+function modeMatches(when, inputs, fieldsById) {
+    return Object.entries(when).every(([fieldId, expected]) => {
+        const value = isBlank(inputs[fieldId]) && fieldsById[fieldId] ? defaultFieldValue(fieldsById[fieldId]) : String(inputs[fieldId]);
+        return [].concat(expected).map(String).includes(value);
+    });
+}
+
+// Whether a field is used with these inputs: it has no `when`, or its modes are selected.
+export function isFieldInMode(calculator, field, inputs) {
+    const fieldsById = Object.fromEntries(calculator.fields.filter(candidate => !candidate.isSeparator).map(candidate => [candidate.id, candidate]));
+    return !field.validation || !field.validation.when || modeMatches(field.validation.when, inputs, fieldsById);
+}
+
+// --- Engine (DOM-free) ---
+// Returns { valid, errors, fieldErrors: { [fieldId]: message } }. Blank required fields are only
+// reported once a required field holds an entered (non-default) value, so an untouched form shows
+// no errors, but it is not valid either. fieldIds limits the check to a group of fields, e.g. an
+// optional section that is validated on its own.
+export function validateInputs(calculator, inputs, fieldIds = null) {
+    const fields = calculator.fields.filter(field => !field.isSeparator);
+    const fieldsById = Object.fromEntries(fields.map(field => [field.id, field]));
+    const checkedFields = fields.filter(field => !(field.attributes && field.attributes.readonly)
+        && (!fieldIds || fieldIds.includes(field.id))
+        && (!field.validation || !field.validation.when || modeMatches(field.validation.when, inputs, fieldsById)));
+
+    const errors = [];
+    const fieldErrors = {};
+    const missing = [];
+    const numbers = {};
+    let entered = false;
+    const fail = (field, problem) => {
+        fieldErrors[field.id] = `${problem.charAt(0).toUpperCase()}${problem.slice(1)}.`;
+        errors.push(`${nameOf(field)} ${problem}.`);
+    };
+
+    // Presence and number format
+    const isRequired = rules => (rules.required !== null && typeof rules.required === 'object'
+        ? rules.required.unless.some(fieldId => isBlank(inputs[fieldId]))
+        : Boolean(rules.required));
+    checkedFields.forEach(field => {
+        const rules = field.validation || {};
+        const raw = inputs[field.id];
+        if (isBlank(raw)) {
+            if (isRequired(rules)) missing.push(field);
+            return;
+        }
+        if (rules.required && String(raw).trim() !== defaultFieldValue(field)) entered = true;
+        if (field.type !== 'number') return;
+        const value = Number(String(raw).trim());
+        if (Number.isFinite(value)) numbers[field.id] = value;
+        else fail(field, 'must be a number');
+    });
+
+    // Bounds; a bound on another field is skipped until that field holds a number
+    const boundOf = limit => (limit !== null && typeof limit === 'object'
+        ? { value: numbers[limit.field], text: fieldsById[limit.field] ? nameOf(fieldsById[limit.field]) : limit.field }
+        : { value: limit, text: String(limit) });
+    checkedFields.forEach(field => {
+        const rules = field.validation || {};
+        const value = numbers[field.id];
+        if (value === undefined) return;
+        const checks = [
+            ['integer', () => Number.isInteger(value), () => 'must be a whole number'],
+            ['nonZero', () => value !== 0, () => 'cannot be zero'],
+            ['exclusiveMin', bound => value > bound.value, bound => `must be > ${bound.text}`],
+            ['min', bound => value >= bound.value, bound => `must be ≥ ${bound.text}`],
+            ['max', bound => value <= bound.value, bound => `must be ≤ ${bound.text}`]
+        ];
+        const failed = checks.find(([rule, passes]) => {
+            if (rules[rule] === undefined || rules[rule] === false) return false;
+            const bound = boundOf(rules[rule]);
+            return bound.value !== undefined && !passes(bound);
+        });
+        if (failed) fail(field, failed[2](boundOf(rules[failed[0]])));
+    });
+
+    if (missing.length > 0) {
+        missing.forEach(field => { fieldErrors[field.id] = REQUIRED_MESSAGE; });
+        if (entered) errors.unshift(`Please fill in: ${missing.map(nameOf).join(', ')}.`);
+    }
+    return { valid: errors.length === 0 && missing.length === 0, errors, fieldErrors };
+}
+
+// --- Inline Marking (DOM) ---
+// Re-validates the form shortly after each edit and marks every offending input with the 'invalid'
+// class and a message below it. Blank required fields are only marked once the user has edited them,
+// and calculated values are never marked.
+export function initFieldValidation(calculator, sectionElement) {
+    const inputFields = calculator.fields.filter(field => !field.isSeparator && !(field.attributes && field.attributes.readonly));
+    const touched = new Set();
+
+    function formValues() {
+        const values = {};
+        inputFields.forEach(field => {
+            const element = getField(sectionElement, field.id);
+            if (element) values[field.id] = isCalculated(element) ? '' : element.value;
+        });
+        return toComputeUnits(calculator, sectionElement, values);
+    }
+
+    function markField(element, message) {
+        const group = element.parentElement;
+        let messageElement = group.querySelector('.field-error');
+        element.classList.toggle('invalid', message !== '');
+        if (message === '') {
+            element.removeAttribute('aria-invalid');
+            if (messageElement) messageElement.remove();
+            return;
+        }
+        element.setAttribute('aria-invalid', 'true');
+        if (!messageElement) {
+            messageElement = document.createElement('span');
+            messageElement.className = 'field-error';
+            group.appendChild(messageElement);
+        }
+        messageElement.textContent = message;
+    }
+
+    function validateForm() {
+        const { fieldErrors } = validateInputs(calculator, formValues());
+        inputFields.forEach(field => {
+            const element = getField(sectionElement, field.id);
+            if (!element) return;
+            const message = fieldErrors[field.id] || '';
+            const shown = !isCalculated(element) && (message !== REQUIRED_MESSAGE || touched.has(field.id));
+            markField(element, shown ? message : '');
+        });
+    }
+
+    const debouncedValidate = debounce(validateForm, 300);
+    sectionElement.addEventListener('input', event => {
+        if (event.target.dataset && event.target.dataset.fieldId) touched.add(fieldIdOf(event.target));
+        debouncedValidate();
+    });
+    sectionElement.addEventListener('change', debouncedValidate);
+    sectionElement.addEventListener('unitchange', validateForm);
+    // Clear All empties the form without input events; the module's own handler has run by now
+    sectionElement.addEventListener('click', event => {
+        if (!event.target.classList.contains('clearBtn')) return;
+        touched.clear();
+        validateForm();
+    });
+}
\ No newline at end of file
@@ -1,89 +1,447 @@
 // voltageCalculator.js
 
+import { getField, fieldIdOf, setCalculated } from './fieldHelpers.js';
+import { toComputeUnits, fromComputeUnits } from './units.js';
+import { validateInputs } from './validation.js';
+import { formatNumber, formatWithUnit, formatFieldValue } from './formatting.js';
+import { given, derived } from './derivation.js';
+
+// --- System Topologies ---
+// ratio: V_LL / V_LN for the reference (low) legs; null when the system has no neutral.
+// lineAngles / neutralAngles: phasor angles in degrees (ABC rotation, V_AN or V_AB as reference).
+// neutralScale: per-leg multiple of V_LN (the high leg of a high-leg delta is sqrt(3) times a low leg).
+const SYSTEM_TYPES = {
+    wye: {
+        ratio: Math.sqrt(3),
+        lineAngles: { AB: 30, BC: -90, CA: 150 },
+        neutralAngles: { AN: 0, BN: -120, CN: 120 }
+    },
+    delta: {
+        ratio: null,
+        lineAngles: { AB: 0, BC: -120, CA: 120 }
+    },
+    // Winding A-C is center-tapped to neutral; B is the high (wild) leg.
+    'high-leg-delta': {
+        ratio: 2,
+        lineAngles: { AB: 60, BC: -60, CA: 180 },
+        neutralAngles: { AN: 0, BN: -90, CN: 180 },
+        neutralScale: { BN: Math.sqrt(3) }
+    },
+    'split-phase': {
+        ratio: 2,
+        lineAngles: { L1L2: 0 },
+        neutralAngles: { L1N: 0, L2N: 180 }
+    },
+    'single-phase': {
+        ratio: 1,
+        lineAngles: { LN: 0 },
+        neutralAngles: { LN: 0 }
+    }
+};
+
+// Wraps an angle in degrees to (-180, 180].
+function normaliseAngle(angle) {
+    const wrapped = ((angle + 180) % 360 + 360) % 360 - 180;
+    return wrapped === -180 ? 180 : wrapped;
+}
+
+// "AB 480 V ∠ 30.0°, BC ..."; magnitudes use the precision preference and the best-fitting voltage unit.
+function formatPhasors(magnitudes, angles) {
+    return Object.entries(angles)
+        .map(([name, angle]) => `${name} ${formatWithUnit(magnitudes[name], 'V')} ∠ ${formatNumber(normaliseAngle(angle), { decimals: 1 })}°`)
+        .join(', ');
+}
+
+// --- Transformer Helpers ---
+// Parses an IEC vector group such as 'Dyn11', 'YNd1' or 'Yy0'. Only star (Y) and delta (D) windings are supported.
+function parseVectorGroup(text) {
+    const match = String(text).trim().match(/^(Y|D)(N)?(y|d)(n)?(\d{1,2})$/i);
+    if (!match) return null;
+    const clock = parseInt(match[5], 10);
+    if (clock > 11) return null;
+    return {
+        primary: match[1].toUpperCase(),
+        secondary: match[3].toLowerCase(),
+        secondaryNeutral: Boolean(match[4]) || match[3].toLowerCase() === 'y',
+        clock
+    };
+}
+
+// Rated primary/secondary V_LL, vector group and tap position -> secondary voltages and phase displacement.
+// Taps are on the primary: each step of +tap-step % adds primary turns, lowering the secondary voltage.
+// The secondary lags the primary by clock x 30° (Dyn11: leads by 30°); primary phasors are taken as V_AN = 0°.
+function computeTransformer(inputs) {
+    const validation = validateInputs(voltageConverter, inputs);
+    if (!validation.valid) return { outputs: {}, errors: validation.errors };
+    const rawOf = id => (inputs[id] === undefined || inputs[id] === null) ? '' : String(inputs[id]).trim();
+
+    const errors = [];
+    const primaryVoltage = parseFloat(rawOf('primary-voltage'));
+    const secondaryVoltage = parseFloat(rawOf('secondary-voltage'));
+    const tapPosition = rawOf('tap-position') === '' ? 0 : parseFloat(rawOf('tap-position'));
+    const tapStep = rawOf('tap-step') === '' ? 0 : parseFloat(rawOf('tap-step'));
+    const appliedVoltage = rawOf('applied-primary-voltage') === '' ? primaryVoltage : parseFloat(rawOf('applied-primary-voltage'));
+    const vectorGroup = parseVectorGroup(rawOf('vector-group'));
+
+    if (!vectorGroup) errors.push('Vector group must look like Dyn11, YNd1 or Yy0 (clock number 0-11).');
+    else if ((vectorGroup.primary === 'Y') === (vectorGroup.secondary === 'y') ? vectorGroup.clock % 2 !== 0 : vectorGroup.clock % 2 === 0) {
+        errors.push('Yy and Dd vector groups have even clock numbers; Yd and Dy groups have odd ones.');
+    }
+    const tapFactor = 1 + (tapPosition * tapStep) / 100;
+    if (errors.length === 0 && tapFactor <= 0) errors.push('Tap position and step give a non-positive primary winding.');
+    if (errors.length > 0) return { outputs: {}, errors };
+
+    // Line voltage ratio, and the turns ratio of the windings themselves (a star winding sees V_LL / sqrt(3)).
+    const voltageRatio = (primaryVoltage * tapFactor) / secondaryVoltage;
+    const windingVoltage = (vll, winding) => (winding.toUpperCase() === 'Y' ? vll / Math.sqrt(3) : vll);
+    const windingTurnsRatio = windingVoltage(primaryVoltage * tapFactor, vectorGroup.primary) / windingVoltage(secondaryVoltage, vectorGroup.secondary);
+
+    const secondaryLL = appliedVoltage / voltageRatio;
+    const phaseShift = normaliseAngle(-vectorGroup.clock * 30);
+    const wye = SYSTEM_TYPES.wye;
+    const shifted = angles => Object.fromEntries(Object.entries(angles).map(([name, angle]) => [name, angle + phaseShift]));
+    const lineMagnitudes = Object.fromEntries(Object.keys(wye.lineAngles).map(name => [name, secondaryLL]));
+
+    const outputs = {
+        'voltage-ratio': voltageRatio,
+        'winding-turns-ratio': windingTurnsRatio,
+        'secondary-vll': secondaryLL,
+        'phase-shift': phaseShift,
+        'secondary-phasors': formatPhasors(lineMagnitudes, shifted(wye.lineAngles))
+    };
+    if (vectorGroup.secondaryNeutral) {
+        const secondaryLN = secondaryLL / Math.sqrt(3);
+        outputs['secondary-vln'] = secondaryLN;
+        const neutralMagnitudes = Object.fromEntries(Object.keys(wye.neutralAngles).map(name => [name, secondaryLN]));
+        outputs['secondary-phasors'] += `; ${formatPhasors(neutralMagnitudes, shifted(wye.neutralAngles))}`;
+    }
+
+    const windingSymbol = winding => (winding.toUpperCase() === 'Y' ? 'V_LL / √3' : 'V_LL');
+    const steps = [
+        {
+            title: 'Tap factor',
+            formula: 'k_tap = 1 + tap_position · tap_step / 100',
+            substitution: `1 + ${given(tapPosition)} · ${given(tapStep)} / 100`,
+            result: derived(tapFactor),
+            note: tapPosition === 0 ? 'principal tap' : 'each step adds primary turns, lowering the secondary voltage'
+        },
+        {
+            title: 'Voltage ratio',
+            formula: 'a = V_primary · k_tap / V_secondary',
+            substitution: `${given(primaryVoltage, 'V')} · ${derived(tapFactor)} / ${given(secondaryVoltage, 'V')}`,
+            result: derived(voltageRatio, '', { decimals: 4 })
+        },
+        {
+            title: 'Winding turns ratio',
+            formula: `N = (${windingSymbol(vectorGroup.primary)})_primary · k_tap / (${windingSymbol(vectorGroup.secondary)})_secondary`,
+            substitution: `${derived(windingVoltage(primaryVoltage, vectorGroup.primary), 'V')} · ${derived(tapFactor)} / ${derived(windingVoltage(secondaryVoltage, vectorGroup.secondary), 'V')}`,
+            result: derived(windingTurnsRatio, '', { decimals: 4 }),
+            note: 'a star winding sees V_LL / √3; a delta winding sees V_LL'
+        },
+        {
+            title: 'Secondary line-to-line voltage',
+            formula: 'V_LL,secondary = V_applied / a',
+            substitution: `${given(appliedVoltage, 'V')} / ${derived(voltageRatio, '', { decimals: 4 })}`,
+            result: derived(secondaryLL, 'V'),
+            note: rawOf('applied-primary-voltage') === '' ? 'no applied voltage entered, so the rated primary voltage applies' : ''
+        }
+    ];
+    if (vectorGroup.secondaryNeutral) {
+        steps.push({
+            title: 'Secondary line-to-neutral voltage',
+            formula: 'V_LN,secondary = V_LL,secondary / √3',
+            substitution: `${derived(secondaryLL, 'V')} / √3`,
+            result: derived(outputs['secondary-vln'], 'V')
+        });
+    }
+    steps.push({
+        title: 'Phase displacement',
+        formula: 'θ = −clock · 30°',
+        substitution: `−${vectorGroup.clock} · 30°`,
+        result: `${formatNumber(phaseShift, { decimals: 1 })}°`,
+        note: `vector group ${rawOf('vector-group')}; wrapped to ±180°, a negative angle means the secondary lags the primary`
+    });
+    return { outputs, errors, steps };
+}
+
 const voltageConverter = {
     // 1. METADATA for HTML Generation
     id: 'voltage-converter',
     title: '3-Phase Voltage Converter',
-    description: 'Enter a value in either field to calculate the other. Assumes a balanced system (√3 factor).',
+    description: 'System voltages: pick the topology and enter a value in either field to calculate the other, with the phasor angles (ABC rotation). Transformer: derive the secondary voltages and phase displacement from the nameplate ratio, vector group (e.g. Dyn11) and tap position.',
 
     // 2. FIELD DEFINITIONS for HTML Generation
     fields: [
+        {
+            id: 'voltage-mode',
+            label: 'Mode:',
+            type: 'select',
+            options: [
+                { value: 'system', text: 'System Voltages' },
+                { value: 'transformer', text: 'Transformer' }
+            ]
+        },
+        // System Voltages
+        {
+            id: 'system-type',
+            label: 'System Type:',
+            type: 'select',
+            options: [
+                { value: 'wye', text: '3-Phase Wye (√3)' },
+                { value: 'delta', text: '3-Phase Delta (no neutral)' },
+                { value: 'high-leg-delta', text: '3-Phase High-Leg Delta (e.g. 120/208/240)' },
+                { value: 'split-phase', text: 'Split-Phase (e.g. 120/240)' },
+                { value: 'single-phase', text: 'Single-Phase (2-wire)' }
+            ]
+        },
         {
             id: 'vll',
             label: 'Line-to-Line Voltage (V<sub>L-L</sub>):',
+            unit: 'V',
             type: 'number',
             placeholder: 'e.g., 480',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0, when: { 'voltage-mode': 'system' } }
         },
         {
             id: 'vln',
             label: 'Line-to-Neutral Voltage (V<sub>L-N</sub>):',
+            unit: 'V',
             type: 'number',
             placeholder: 'e.g., 277',
-            attributes: { step: 'any', min: '0' }
-        }
+            attributes: { step: 'any', min: '0' },
+            validation: { min: 0, when: { 'voltage-mode': 'system' } }
+        },
+        { id: 'line-phasors', label: 'Line-to-Line Phasors:', type: 'text', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'neutral-phasors', label: 'Line-to-Neutral Phasors:', type: 'text', placeholder: 'Calculated', attributes: { readonly: true } },
+        // Transformer
+        { id: 'primary-voltage', label: 'Rated Primary Voltage (V<sub>L-L</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 13800', attributes: { step: 'any', min: '0' }, validation: { required: true, exclusiveMin: 0, when: { 'voltage-mode': 'transformer' } } },
+        { id: 'secondary-voltage', label: 'Rated Secondary Voltage (V<sub>L-L</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 480', attributes: { step: 'any', min: '0' }, validation: { required: true, exclusiveMin: 0, when: { 'voltage-mode': 'transformer' } } },
+        { id: 'vector-group', label: 'Vector Group:', type: 'text', placeholder: 'e.g., Dyn11', validation: { required: true, when: { 'voltage-mode': 'transformer' } } },
+        { id: 'tap-position', label: 'Tap Position (0 = nominal):', type: 'number', value: '0', attributes: { step: '1' }, validation: { integer: true, when: { 'voltage-mode': 'transformer' } } },
+        { id: 'tap-step', label: 'Tap Step [% per position]:', type: 'number', value: '2.5', attributes: { step: 'any', min: '0' }, validation: { when: { 'voltage-mode': 'transformer' } } },
+        { id: 'applied-primary-voltage', label: 'Applied Primary Voltage (Optional, default rated):', unit: 'V', type: 'number', placeholder: 'e.g., 13800', attributes: { step: 'any', min: '0' }, validation: { min: 0, when: { 'voltage-mode': 'transformer' } } },
+        { id: 'voltage-ratio', label: 'Voltage Ratio (V<sub>1</sub> / V<sub>2</sub>, at tap):', type: 'number', format: { decimals: 4 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'winding-turns-ratio', label: 'Winding Turns Ratio (N<sub>1</sub> / N<sub>2</sub>):', type: 'number', format: { decimals: 4 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'secondary-vll', label: 'Secondary Voltage (V<sub>L-L</sub>):', unit: 'V', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'secondary-vln', label: 'Secondary Voltage (V<sub>L-N</sub>):', unit: 'V', type: 'number', placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'phase-shift', label: 'Secondary Phase Displacement [°]:', type: 'number', format: { decimals: 1 }, placeholder: 'Calculated', attributes: { readonly: true } },
+        { id: 'secondary-phasors', label: 'Secondary Phasors:', type: 'text', placeholder: 'Calculated', attributes: { readonly: true } }
     ],
 
-    // 3. INITIALIZATION LOGIC
-    init(sectionElement) {
-        const SQRT3 = Math.sqrt(3);
+    // 3. COMPUTE LOGIC (DOM-free)
+    // Provide exactly one of vll or vln (number or numeric string); the other is derived using the
+    // 'system-type' ratio (wye sqrt(3), split-phase and high-leg delta 2, single-phase 1; a delta has
+    // no neutral, so only vll applies). Also returns the phasor strings 'line-phasors' / 'neutral-phasors'.
+    // With 'voltage-mode' = 'transformer', the transformer fields are used instead (see computeTransformer).
+    // Both modes also return the derivation `steps`.
+    compute(inputs) {
+        if (inputs['voltage-mode'] === 'transformer') return computeTransformer(inputs);
+
+        const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+        const errors = [];
+        const systemType = SYSTEM_TYPES[inputs['system-type'] || 'wye'];
+        if (!systemType) {
+            errors.push(`Unknown system type "${inputs['system-type']}".`);
+            return { outputs: {}, errors };
+        }
+
+        if (!isBlank(inputs.vll) && !isBlank(inputs.vln)) {
+            errors.push('Please provide EITHER Line-to-Line OR Line-to-Neutral voltage, not both.');
+            return { outputs: {}, errors };
+        }
+        const sourceKey = !isBlank(inputs.vll) ? 'vll' : (!isBlank(inputs.vln) ? 'vln' : null);
+        if (sourceKey === null) return { outputs: {}, errors };
+
+        const validation = validateInputs(voltageConverter, inputs);
+        if (!validation.valid) return { outputs: {}, errors: validation.errors };
+        const value = parseFloat(inputs[sourceKey]);
+        if (systemType.ratio === null && sourceKey === 'vln') {
+            errors.push('A delta system has no neutral; please enter the Line-to-Line voltage.');
+            return { outputs: {}, errors };
+        }
+
+        const outputs = sourceKey === 'vll'
+            ? { vll: value }
+            : { vll: value * systemType.ratio, vln: value };
+        if (systemType.ratio !== null && outputs.vln === undefined) outputs.vln = value / systemType.ratio;
+
+        const lineMagnitudes = Object.fromEntries(Object.keys(systemType.lineAngles).map(name => [name, outputs.vll]));
+        outputs['line-phasors'] = formatPhasors(lineMagnitudes, systemType.lineAngles);
+        if (systemType.neutralAngles) {
+            const neutralScale = systemType.neutralScale || {};
+            const neutralMagnitudes = Object.fromEntries(Object.keys(systemType.neutralAngles)
+                .map(name => [name, outputs.vln * (neutralScale[name] || 1)]));
+            outputs['neutral-phasors'] = formatPhasors(neutralMagnitudes, systemType.neutralAngles);
+        }
+
+        const systemName = inputs['system-type'] || 'wye';
+        const steps = [];
+        if (systemType.ratio === null) {
+            steps.push({
+                title: 'Line-to-line voltage',
+                formula: 'V_LL = V_LL',
+                result: given(value, 'V'),
+                note: 'a delta system has no neutral, so there is no line-to-neutral voltage'
+            });
+        } else {
+            const ratioText = systemType.ratio === Math.sqrt(3) ? '√3' : String(systemType.ratio);
+            steps.push(sourceKey === 'vll'
+                ? {
+                    title: 'Line-to-neutral voltage',
+                    formula: `V_LN = V_LL / ${ratioText}`,
+                    substitution: `${given(value, 'V')} / ${ratioText}`,
+                    result: derived(outputs.vln, 'V'),
+                    note: `${ratioText} is the V_LL / V_LN ratio of a ${systemName} system`
+                }
+                : {
+                    title: 'Line-to-line voltage',
+                    formula: `V_LL = ${ratioText} · V_LN`,
+                    substitution: `${ratioText} · ${given(value, 'V')}`,
+                    result: derived(outputs.vll, 'V'),
+                    note: `${ratioText} is the V_LL / V_LN ratio of a ${systemName} system`
+                });
+        }
+        if (systemType.neutralScale && systemType.neutralScale.BN) {
+            steps.push({
+                title: 'High-leg voltage',
+                formula: 'V_BN = √3 · V_LN',
+                substitution: `√3 · ${derived(outputs.vln, 'V')}`,
+                result: derived(outputs.vln * systemType.neutralScale.BN, 'V'),
+                note: 'B is the high (wild) leg; A and C are the center-tapped legs'
+            });
+        }
+        return { outputs, errors, steps };
+    },
 
+    // 4. INITIALIZATION LOGIC (UI adapter over compute)
+    init(sectionElement) {
         // Find elements *within* the passed sectionElement context
-        const vllInput = sectionElement.querySelector('#vll');
-        const vlnInput = sectionElement.querySelector('#vln');
+        const modeSelect = getField(sectionElement, 'voltage-mode');
+        const systemTypeSelect = getField(sectionElement, 'system-type');
+        const vllInput = getField(sectionElement, 'vll');
+        const vlnInput = getField(sectionElement, 'vln');
+        const phasorOutputs = ['line-phasors', 'neutral-phasors'].map(id => getField(sectionElement, id));
+        const transformerInputs = ['primary-voltage', 'secondary-voltage', 'vector-group', 'tap-position', 'tap-step', 'applied-primary-voltage']
+            .map(id => getField(sectionElement, id));
+        const transformerOutputs = ['voltage-ratio', 'winding-turns-ratio', 'secondary-vll', 'secondary-vln', 'phase-shift', 'secondary-phasors']
+            .map(id => getField(sectionElement, id));
         const clearBtn = sectionElement.querySelector('.clearBtn');
         const statusDiv = sectionElement.querySelector('.status');
 
+        // The field the user last typed into drives the conversion when the system type changes.
+        let lastSourceInput = vllInput;
+
         // --- Helper Functions ---
         function clearStatus() {
             statusDiv.textContent = '';
         }
 
-        function calculateFromLL() {
+        function isTransformerMode() {
+            return modeSelect.value === 'transformer';
+        }
+
+        function toggleModeFields() {
+            const transformer = isTransformerMode();
+            const hasNeutral = SYSTEM_TYPES[systemTypeSelect.value].ratio !== null;
+            [systemTypeSelect, vllInput, ...phasorOutputs].forEach(element => { element.parentElement.style.display = transformer ? 'none' : ''; });
+            vlnInput.parentElement.style.display = transformer || !hasNeutral ? 'none' : '';
+            phasorOutputs[1].parentElement.style.display = transformer || !hasNeutral ? 'none' : '';
+            [...transformerInputs, ...transformerOutputs].forEach(element => { element.parentElement.style.display = transformer ? '' : 'none'; });
+        }
+
+        // Recalculates the opposite field (and the phasors) from whichever input was just edited.
+        function calculateFrom(sourceInput, targetInput) {
             clearStatus();
-            const vllValue = parseFloat(vllInput.value);
-
-            if (!isNaN(vllValue) && vllValue >= 0) {
-                const vlnCalculated = vllValue / SQRT3;
-                vlnInput.value = vlnCalculated.toFixed(2);
-            } else if (vllInput.value.trim() === '') {
-                vlnInput.value = '';
-            } else if (vllValue < 0) {
-                vlnInput.value = '';
-                statusDiv.textContent = 'Voltage cannot be negative.';
-            } else {
-                vlnInput.value = ''; // Clear on any other invalid input
+            lastSourceInput = sourceInput;
+            setCalculated(sourceInput, false);
+            setCalculated(targetInput, false);
+            phasorOutputs.forEach(output => { output.value = ''; });
+            const result = voltageConverter.compute(toComputeUnits(voltageConverter, sectionElement, {
+                'system-type': systemTypeSelect.value,
+                [fieldIdOf(sourceInput)]: sourceInput.value
+            }));
+            const outputs = fromComputeUnits(voltageConverter, sectionElement, result.outputs);
+            const errors = result.errors;
+
+            if (errors.length > 0 || outputs.vll === undefined) {
+                targetInput.value = ''; // Clear on empty or invalid input
+                // A bare "not a number" is left silent while typing; range errors are reported.
+                if (sourceInput.value.trim() !== '' && !isNaN(parseFloat(sourceInput.value))) {
+                    statusDiv.textContent = errors.join(' ');
+                }
+                return;
             }
+            const targetValue = outputs[fieldIdOf(targetInput)];
+            targetInput.value = targetValue === undefined ? '' : formatFieldValue(voltageConverter, fieldIdOf(targetInput), targetValue);
+            setCalculated(targetInput, targetValue !== undefined);
+            phasorOutputs.forEach(output => { output.value = outputs[fieldIdOf(output)] || ''; });
+        }
+
+        function recalculateSystem() {
+            if (lastSourceInput === vlnInput) calculateFrom(vlnInput, vllInput);
+            else calculateFrom(vllInput, vlnInput);
         }
 
-        function calculateFromLN() {
+        function calculateTransformer() {
             clearStatus();
-            const vlnValue = parseFloat(vlnInput.value);
-
-            if (!isNaN(vlnValue) && vlnValue >= 0) {
-                const vllCalculated = vlnValue * SQRT3;
-                vllInput.value = vllCalculated.toFixed(2);
-            } else if (vlnInput.value.trim() === '') {
-                vllInput.value = '';
-            } else if (vlnValue < 0) {
-                vllInput.value = '';
-                statusDiv.textContent = 'Voltage cannot be negative.';
-            } else {
-                vllInput.value = ''; // Clear on any other invalid input
-            }
+            transformerOutputs.forEach(output => { output.value = ''; });
+            const rawValues = toComputeUnits(voltageConverter, sectionElement,
+                Object.fromEntries(transformerInputs.map(input => [fieldIdOf(input), input.value])));
+            rawValues['voltage-mode'] = 'transformer';
+            const result = voltageConverter.compute(rawValues);
+            const outputs = fromComputeUnits(voltageConverter, sectionElement, result.outputs);
+            const errors = result.errors;
+
+            transformerOutputs.forEach(output => {
+                const outputValue = outputs[fieldIdOf(output)];
+                if (outputValue === undefined) return;
+                if (typeof outputValue !== 'number') output.value = outputValue;
+                else output.value = formatFieldValue(voltageConverter, fieldIdOf(output), outputValue);
+            });
+            if (errors.length > 0) statusDiv.textContent = errors.join(' ');
         }
 
         function clearFields() {
             vllInput.value = '';
             vlnInput.value = '';
+            setCalculated(vllInput, false);
+            setCalculated(vlnInput, false);
+            phasorOutputs.forEach(output => { output.value = ''; });
+            transformerInputs.forEach(input => {
+                const fieldDef = voltageConverter.fields.find(f => f.id === fieldIdOf(input));
+                input.value = fieldDef.value !== undefined ? fieldDef.value : '';
+            });
+            transformerOutputs.forEach(output => { output.value = ''; });
+            lastSourceInput = vllInput;
             clearStatus();
-            vllInput.focus();
+            if (isTransformerMode()) transformerInputs[0].focus();
+            else vllInput.focus();
         }
 
         // --- Event Listeners ---
-        vllInput.addEventListener('input', calculateFromLL);
-        vlnInput.addEventListener('input', calculateFromLN);
+        vllInput.addEventListener('input', () => calculateFrom(vllInput, vlnInput));
+        vlnInput.addEventListener('input', () => calculateFrom(vlnInput, vllInput));
+        systemTypeSelect.addEventListener('change', () => {
+            // A delta has no neutral, so fall back to the line-to-line value.
+            if (SYSTEM_TYPES[systemTypeSelect.value].ratio === null) lastSourceInput = vllInput;
+            toggleModeFields();
+            recalculateSystem();
+        });
+        transformerInputs.forEach(input => input.addEventListener('input', calculateTransformer));
+        modeSelect.addEventListener('change', () => {
+            toggleModeFields();
+            if (isTransformerMode()) calculateTransformer();
+            else recalculateSystem();
+        });
         clearBtn.addEventListener('click', clearFields);
+        ['unitchange', 'formatchange'].forEach(eventName => sectionElement.addEventListener(eventName, () => {
+            if (isTransformerMode()) calculateTransformer();
+            else recalculateSystem();
+        }));
+
+        // Initial setup
+        toggleModeFields();
 
         console.log('Voltage Converter Initialized');
     }
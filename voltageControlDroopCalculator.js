@@ -1,5 +1,11 @@
 // voltageControlDroopCalculator.js
 
+import { getField, fieldIdOf } from './fieldHelpers.js';
+import { toComputeUnits, fromComputeUnits } from './units.js';
+import { validateInputs } from './validation.js';
+import { formatFieldValue } from './formatting.js';
+import { given, derived } from './derivation.js';
+
 // --- Utility Function (debounce) ---
 function debounce(func, wait) {
     let timeout;
@@ -23,35 +29,102 @@ const voltageControlDroopCalculator = {
     // 2. FIELD DEFINITIONS
     fields: [
         // Control & System Parameters
-        { id: 'droop-percent', label: 'Voltage Droop [%]:', type: 'number', placeholder: 'e.g., 2 to 7', attributes: { step: 'any' } },
-        { id: 'nominal-voltage', label: 'Nominal Voltage (V<sub>nom</sub>) [V]:', type: 'number', placeholder: 'e.g., 480', attributes: { step: 'any' } },
-        { id: 'q-max', label: 'Qmax (Rated Reactive Power) [kVAR]:', type: 'number', placeholder: 'e.g., 500', attributes: { step: 'any' } },
-        { id: 'q-initial', label: 'Qinitial (Initial Setpoint) [kVAR]:', type: 'number', placeholder: 'e.g., 0', value: 0, attributes: { step: 'any' } },
+        { id: 'droop-percent', label: 'Voltage Droop [%]:', type: 'number', placeholder: 'e.g., 2 to 7', attributes: { step: 'any' }, validation: { required: true, nonZero: true } },
+        { id: 'nominal-voltage', label: 'Nominal Voltage (V<sub>nom</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 480', attributes: { step: 'any' }, validation: { required: true, exclusiveMin: 0 } },
+        { id: 'q-max', label: 'Qmax (Rated Reactive Power):', unit: 'kVAR', type: 'number', placeholder: 'e.g., 500', attributes: { step: 'any' }, validation: { required: true } },
+        { id: 'q-initial', label: 'Qinitial (Initial Setpoint):', unit: 'kVAR', type: 'number', placeholder: 'e.g., 0', value: 0, attributes: { step: 'any' }, validation: { required: true } },
 
         // Deadband & Measurement
         { isSeparator: true },
-        { id: 'deadband-lower', label: 'Voltage Deadband Lower (V<sub>db_low</sub>) [V]:', type: 'number', placeholder: 'e.g., 475 (or 480 for no deadband)', attributes: { step: 'any' } },
-        { id: 'deadband-higher', label: 'Voltage Deadband Higher (V<sub>db_high</sub>) [V]:', type: 'number', placeholder: 'e.g., 485 (or 480 for no deadband)', attributes: { step: 'any' } },
-        { id: 'voltage-actual', label: 'Actual Voltage (V<sub>actual</sub>) [V]:', type: 'number', placeholder: 'e.g., 470', attributes: { step: 'any' } },
+        { id: 'deadband-lower', label: 'Voltage Deadband Lower (V<sub>db_low</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 475 (or 480 for no deadband)', attributes: { step: 'any' }, validation: { required: true, max: { field: 'nominal-voltage' } } },
+        { id: 'deadband-higher', label: 'Voltage Deadband Higher (V<sub>db_high</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 485 (or 480 for no deadband)', attributes: { step: 'any' }, validation: { required: true, min: { field: 'nominal-voltage' } } },
+        { id: 'voltage-actual', label: 'Actual Voltage (V<sub>actual</sub>):', unit: 'V', type: 'number', placeholder: 'e.g., 470', attributes: { step: 'any' }, validation: { required: true } },
 
         // Output
         { isSeparator: true },
-        { id: 'q-setpoint', label: 'Calculated Q Setpoint [kVAR]:', type: 'number', placeholder: 'Calculated', attributes: { readonly: true, title: 'Positive = Inject Q (capacitive), Negative = Absorb Q (inductive)' } }
+        { id: 'q-setpoint', label: 'Calculated Q Setpoint:', unit: 'kVAR', type: 'number', placeholder: 'Calculated', attributes: { readonly: true, title: 'Positive = Inject Q (capacitive), Negative = Absorb Q (inductive)' } }
     ],
 
-    // 3. INITIALIZATION LOGIC
+    // 3. COMPUTE LOGIC (DOM-free)
+    // Inputs are keyed by field id. Returns the clipped Q setpoint in kVAR, with the derivation steps.
+    compute(inputs) {
+        const inputIds = {
+            droop: 'droop-percent',
+            vNom: 'nominal-voltage',
+            qMax: 'q-max',
+            qInitial: 'q-initial',
+            dbLower: 'deadband-lower',
+            dbHigher: 'deadband-higher',
+            vActual: 'voltage-actual',
+        };
+        const values = Object.fromEntries(Object.entries(inputIds).map(([key, id]) => [key, parseFloat(inputs[id])]));
+
+        // --- Validation ---
+        const validation = validateInputs(voltageControlDroopCalculator, inputs);
+        if (!validation.valid) return { outputs: {}, errors: validation.errors };
+
+        // --- Perform Calculation ---
+        let qSetpoint = values.qInitial;
+        const droop = values.droop / 100; // Convert from percent to per-unit
+        const steps = [];
+        const responseStep = (title, deadbandSymbol, deadband, deltaQ) => ({
+            title,
+            formula: `Q = Q_initial − (V_actual − ${deadbandSymbol}) / (V_nom · droop) · Q_max`,
+            substitution: `${given(values.qInitial, 'kVAR')} − (${given(values.vActual, 'V')} − ${given(deadband, 'V')}) / (${given(values.vNom, 'V')} · ${given(droop)}) · ${given(values.qMax, 'kVAR')}`,
+            result: derived(values.qInitial + deltaQ, 'kVAR')
+        });
+
+        if (values.vActual > values.dbHigher) {
+            // Voltage is too high (swell), so absorb reactive power (negative Q).
+            // Formula: ΔQ = - (1/Droop) * (V_actual - V_db_high) / V_nom
+            const deltaV = values.vActual - values.dbHigher;
+            const deltaQ = (-1 / droop) * (deltaV / values.vNom) * values.qMax;
+            qSetpoint += deltaQ;
+            steps.push(responseStep('High voltage: absorb Q (V_actual > V_db_high)', 'V_db_high', values.dbHigher, deltaQ));
+        } else if (values.vActual < values.dbLower) {
+            // Voltage is too low (sag), so inject reactive power (positive Q).
+            // Formula: ΔQ = - (1/Droop) * (V_actual - V_db_low) / V_nom
+            const deltaV = values.vActual - values.dbLower;
+            const deltaQ = (-1 / droop) * (deltaV / values.vNom) * values.qMax;
+            qSetpoint += deltaQ;
+            steps.push(responseStep('Low voltage: inject Q (V_actual < V_db_low)', 'V_db_low', values.dbLower, deltaQ));
+        } else {
+            // If inside the deadband, qSetpoint remains at its initial value.
+            // This logic works correctly even with no deadband (where dbLower == dbHigher).
+            steps.push({
+                title: 'Inside the deadband (V_db_low ≤ V_actual ≤ V_db_high)',
+                formula: 'Q = Q_initial',
+                result: derived(qSetpoint, 'kVAR'),
+                note: `${given(values.dbLower, 'V')} ≤ ${given(values.vActual, 'V')} ≤ ${given(values.dbHigher, 'V')}, so Q stays at its initial value`
+            });
+        }
+
+        // Crucial Step: Clip the final output to the system's Qmax limits.
+        const finalQSetpoint = Math.max(-values.qMax, Math.min(values.qMax, qSetpoint));
+        steps.push({
+            title: 'Clip to the Q capability',
+            formula: 'Q_setpoint = min(max(Q, −Q_max), Q_max)',
+            substitution: `min(max(${derived(qSetpoint, 'kVAR')}, −${given(values.qMax, 'kVAR')}), ${given(values.qMax, 'kVAR')})`,
+            result: derived(finalQSetpoint, 'kVAR'),
+            note: finalQSetpoint !== qSetpoint ? 'Q_max reached' : ''
+        });
+
+        return { outputs: { 'q-setpoint': finalQSetpoint }, errors: [], steps };
+    },
+
+    // 4. INITIALIZATION LOGIC (UI adapter over compute)
     init(sectionElement) {
         // --- Find DOM Elements ---
         const inputs = {
-            droop: sectionElement.querySelector('#droop-percent'),
-            vNom: sectionElement.querySelector('#nominal-voltage'),
-            qMax: sectionElement.querySelector('#q-max'),
-            qInitial: sectionElement.querySelector('#q-initial'),
-            dbLower: sectionElement.querySelector('#deadband-lower'),
-            dbHigher: sectionElement.querySelector('#deadband-higher'),
-            vActual: sectionElement.querySelector('#voltage-actual'),
+            droop: getField(sectionElement, 'droop-percent'),
+            vNom: getField(sectionElement, 'nominal-voltage'),
+            qMax: getField(sectionElement, 'q-max'),
+            qInitial: getField(sectionElement, 'q-initial'),
+            dbLower: getField(sectionElement, 'deadband-lower'),
+            dbHigher: getField(sectionElement, 'deadband-higher'),
+            vActual: getField(sectionElement, 'voltage-actual'),
         };
-        const qSetpointOutput = sectionElement.querySelector('#q-setpoint');
+        const qSetpointOutput = getField(sectionElement, 'q-setpoint');
         const clearBtn = sectionElement.querySelector('.clearBtn');
         const statusDiv = sectionElement.querySelector('.status');
         const allInputElements = Object.values(inputs);
@@ -65,64 +138,25 @@ const voltageControlDroopCalculator = {
             clearStatus();
             resetOutputFields();
 
-            const values = Object.fromEntries(Object.entries(inputs).map(([key, el]) => [key, parseFloat(el.value)]));
-
-            // --- Validation ---
-            if (Object.values(values).some(v => isNaN(v))) {
-                if (!allInputElements.every(el => el.value.trim() === '')) {
-                     statusDiv.textContent = 'Please fill all input fields with valid numbers.';
-                }
-                return;
-            }
-
-            let errors = [];
-            if (Math.abs(values.droop) < 1e-9) errors.push('Droop cannot be zero.');
-            if (values.vNom <= 0) errors.push('Nominal Voltage must be > 0.');
-            if (values.dbLower > values.vNom) errors.push('Deadband Lower should be ≤ Nominal Voltage.');
-            if (values.dbHigher < values.vNom) errors.push('Deadband Higher should be ≥ Nominal Voltage.');
-            
-            // *** UPDATED VALIDATION LOGIC ***
-            // Now only triggers an error if lower is strictly greater than higher.
-            if (values.dbLower > values.dbHigher) {
-                errors.push('Deadband Lower cannot be greater than Deadband Higher.');
-            }
+            const rawValues = toComputeUnits(voltageControlDroopCalculator, sectionElement,
+                Object.fromEntries(allInputElements.map(input => [fieldIdOf(input), input.value])));
+            const result = voltageControlDroopCalculator.compute(rawValues);
+            const outputs = fromComputeUnits(voltageControlDroopCalculator, sectionElement, result.outputs);
+            const errors = result.errors;
 
             if (errors.length > 0) {
                 statusDiv.textContent = `Validation Error(s): ${errors.join(' ')}`;
                 return;
             }
 
-            // --- Perform Calculation ---
-            let qSetpoint = values.qInitial;
-            const droop = values.droop / 100; // Convert from percent to per-unit
-
-            if (values.vActual > values.dbHigher) {
-                // Voltage is too high (swell), so absorb reactive power (negative Q).
-                // Formula: ΔQ = - (1/Droop) * (V_actual - V_db_high) / V_nom
-                const deltaV = values.vActual - values.dbHigher;
-                const deltaQ = (-1 / droop) * (deltaV / values.vNom) * values.qMax;
-                qSetpoint += deltaQ;
-            } else if (values.vActual < values.dbLower) {
-                // Voltage is too low (sag), so inject reactive power (positive Q).
-                // Formula: ΔQ = - (1/Droop) * (V_actual - V_db_low) / V_nom
-                const deltaV = values.vActual - values.dbLower;
-                const deltaQ = (-1 / droop) * (deltaV / values.vNom) * values.qMax;
-                qSetpoint += deltaQ;
-            }
-            // If inside the deadband, qSetpoint remains at its initial value.
-            // This logic works correctly even with no deadband (where dbLower == dbHigher).
-
-            // Crucial Step: Clip the final output to the system's Qmax limits.
-            const finalQSetpoint = Math.max(-values.qMax, Math.min(values.qMax, qSetpoint));
-
             // Display Result
-            qSetpointOutput.value = finalQSetpoint.toFixed(3);
+            if (outputs['q-setpoint'] !== undefined) qSetpointOutput.value = formatFieldValue(voltageControlDroopCalculator, 'q-setpoint', outputs['q-setpoint']);
         }
 
         // --- Clear All Fields Function ---
         function clearFields() {
             allInputElements.forEach(input => {
-                const id = input.id;
+                const id = fieldIdOf(input);
                 const fieldDef = voltageControlDroopCalculator.fields.find(f => f.id === id);
                 if (fieldDef && typeof fieldDef.value !== 'undefined') {
                     input.value = fieldDef.value;
@@ -139,6 +173,8 @@ const voltageControlDroopCalculator = {
         const debouncedCalculate = debounce(calculateDroop, 300);
         allInputElements.forEach(input => { if (input) input.addEventListener('input', debouncedCalculate); });
         if (clearBtn) clearBtn.addEventListener('click', clearFields);
+        sectionElement.addEventListener('unitchange', calculateDroop);
+        sectionElement.addEventListener('formatchange', calculateDroop);
 
         console.log('Voltage Droop Control (Q-V) Calculator Initialized.');
     }
@@ -1,5 +1,11 @@
 // voltageDroopCalculator.js
 
+import { getField, fieldIdOf } from './fieldHelpers.js';
+import { toComputeUnits, fromComputeUnits } from './units.js';
+import { validateInputs } from './validation.js';
+import { formatFieldValue } from './formatting.js';
+import { given, derived } from './derivation.js';
+
 // --- Utility Function (debounce) ---
 // This is a useful helper to prevent calculations on every single keystroke.
 function debounce(func, wait) {
@@ -25,60 +31,107 @@ const voltageDroopCalculator = {
         // --- Inputs ---
         {
             id: 'nominalVoltage',
-            label: 'Nominal Voltage [V]:',
+            label: 'Nominal Voltage:',
+            unit: 'V',
             type: 'number',
             placeholder: 'e.g., 480',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { required: true, exclusiveMin: 0 }
         },
         {
             id: 'voltageSetpoint',
-            label: 'Voltage Setpoint [V]:',
+            label: 'Voltage Setpoint:',
+            unit: 'V',
             type: 'number',
             placeholder: 'e.g., 485',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { required: true, min: 0 }
         },
         {
             id: 'measuredVoltage',
-            label: 'Measured Voltage [V]:',
+            label: 'Measured Voltage:',
+            unit: 'V',
             type: 'number',
             placeholder: 'e.g., 478',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { required: true, min: 0 }
         },
         {
             id: 'droopBaseQ',
-            label: 'Droop Base Q [VAR]:',
+            label: 'Droop Base Q:',
+            unit: 'VAR',
             type: 'number',
             placeholder: 'e.g., 100000',
-            attributes: { step: 'any' } // Can be negative
+            attributes: { step: 'any' }, // Can be negative
+            validation: { required: true }
         },
         {
             id: 'droopPercentage',
             label: 'Droop Percentage [%]:',
             type: 'number',
             placeholder: 'e.g., 5',
-            attributes: { step: 'any', min: '0' }
+            attributes: { step: 'any', min: '0' },
+            validation: { required: true, exclusiveMin: 0 }
         },
         // --- Separator ---
         { isSeparator: true },
         // --- Outputs ---
         {
             id: 'qResponse',
-            label: 'Q Response [VAR]:',
+            label: 'Q Response:',
+            unit: 'VAR',
             type: 'number',
             placeholder: 'Calculated',
             attributes: { readonly: true } // This field is always an output
         }
     ],
 
-    // 3. INITIALIZATION LOGIC
+    // 3. COMPUTE LOGIC (DOM-free)
+    // Inputs are keyed by field id. Returns { outputs: { qResponse }, errors, steps }.
+    compute(inputs) {
+        const validation = validateInputs(voltageDroopCalculator, inputs);
+        if (!validation.valid) return { outputs: {}, errors: validation.errors };
+
+        const nominalV = parseFloat(inputs.nominalVoltage);
+        const setpointV = parseFloat(inputs.voltageSetpoint);
+        const measuredV = parseFloat(inputs.measuredVoltage);
+        const droopBase = parseFloat(inputs.droopBaseQ);
+        const droopPercent = parseFloat(inputs.droopPercentage);
+
+        // --- Apply the formula ---
+        // Q Response = ((Voltage Setpoint / Nominal Voltage) - (Measured Voltage / Nominal Voltage)) * (Droop Base Q / Droop Percentage)
+        // Note: Droop Percentage must be converted to a decimal (e.g., 5% -> 0.05)
+        const qResponse = ((setpointV / nominalV) - (measuredV / nominalV)) * (droopBase / (droopPercent / 100));
+
+        const deviation = (setpointV / nominalV) - (measuredV / nominalV);
+        const steps = [
+            {
+                title: 'Voltage deviation in per unit',
+                formula: 'ΔV_pu = (V_setpoint − V_measured) / V_nominal',
+                substitution: `(${given(setpointV, 'V')} − ${given(measuredV, 'V')}) / ${given(nominalV, 'V')}`,
+                result: derived(deviation, 'pu')
+            },
+            {
+                title: 'Reactive power response',
+                formula: 'Q = ΔV_pu · Q_base / droop',
+                substitution: `${derived(deviation, 'pu')} · ${given(droopBase, 'VAR')} / ${given(droopPercent / 100)}`,
+                result: derived(qResponse, 'VAR'),
+                note: `droop = ${given(droopPercent, '%')} = ${given(droopPercent / 100)} per unit`
+            }
+        ];
+
+        return { outputs: { qResponse }, errors: [], steps };
+    },
+
+    // 4. INITIALIZATION LOGIC (UI adapter over compute)
     init(sectionElement) {
         // Find elements within the module's section
-        const nominalVoltageInput = sectionElement.querySelector('#nominalVoltage');
-        const voltageSetpointInput = sectionElement.querySelector('#voltageSetpoint');
-        const measuredVoltageInput = sectionElement.querySelector('#measuredVoltage');
-        const droopBaseQInput = sectionElement.querySelector('#droopBaseQ');
-        const droopPercentageInput = sectionElement.querySelector('#droopPercentage');
-        const qResponseInput = sectionElement.querySelector('#qResponse');
+        const nominalVoltageInput = getField(sectionElement, 'nominalVoltage');
+        const voltageSetpointInput = getField(sectionElement, 'voltageSetpoint');
+        const measuredVoltageInput = getField(sectionElement, 'measuredVoltage');
+        const droopBaseQInput = getField(sectionElement, 'droopBaseQ');
+        const droopPercentageInput = getField(sectionElement, 'droopPercentage');
+        const qResponseInput = getField(sectionElement, 'qResponse');
         const clearBtn = sectionElement.querySelector('.clearBtn');
         const statusDiv = sectionElement.querySelector('.status');
         
@@ -105,38 +158,21 @@ const voltageDroopCalculator = {
         // --- Main Calculation Logic ---
         function calculateDroop() {
             clearStatus();
+            qResponseInput.value = '';
 
-            const nominalV = parseFloat(nominalVoltageInput.value);
-            const setpointV = parseFloat(voltageSetpointInput.value);
-            const measuredV = parseFloat(measuredVoltageInput.value);
-            const droopBase = parseFloat(droopBaseQInput.value);
-            const droopPercent = parseFloat(droopPercentageInput.value);
-
-            // Check if all fields are filled with valid numbers
-            if ([nominalV, setpointV, measuredV, droopBase, droopPercent].some(isNaN)) {
-                qResponseInput.value = ''; // Clear output if any input is invalid or empty
-                return;
-            }
+            const rawValues = toComputeUnits(voltageDroopCalculator, sectionElement,
+                Object.fromEntries(inputs.map(input => [fieldIdOf(input), input.value])));
+            const result = voltageDroopCalculator.compute(rawValues);
+            const outputs = fromComputeUnits(voltageDroopCalculator, sectionElement, result.outputs);
+            const errors = result.errors;
 
-            // Perform validation for division-by-zero errors
-            if (nominalV === 0) {
-                statusDiv.textContent = 'Error: Nominal Voltage cannot be zero.';
-                qResponseInput.value = '';
+            if (errors.length > 0) {
+                statusDiv.textContent = errors.join(' ');
                 return;
             }
-            if (droopPercent === 0) {
-                statusDiv.textContent = 'Error: Droop Percentage cannot be zero.';
-                qResponseInput.value = '';
-                return;
-            }
-
-            // --- Apply the formula ---
-            // Q Response = ((Voltage Setpoint / Nominal Voltage) - (Measured Voltage / Nominal Voltage)) * (Droop Base Q / Droop Percentage)
-            // Note: Droop Percentage must be converted to a decimal (e.g., 5% -> 0.05)
-            const qResponse = ((setpointV / nominalV) - (measuredV / nominalV)) * (droopBase / (droopPercent / 100));
 
             // Display the result
-            qResponseInput.value = qResponse.toFixed(3);
+            if (outputs.qResponse !== undefined) qResponseInput.value = formatFieldValue(voltageDroopCalculator, 'qResponse', outputs.qResponse);
         }
 
         // --- Event Listeners ---
@@ -146,6 +182,8 @@ const voltageDroopCalculator = {
         });
         
         clearBtn.addEventListener('click', clearFields);
+        sectionElement.addEventListener('unitchange', calculateDroop);
+        sectionElement.addEventListener('formatchange', calculateDroop);
         
         console.log('Voltage Droop Calculator Initialized');
     }